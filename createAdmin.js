@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { syncSystemRoles } = require('./utils/catalog');
+const { createFirstAdmin } = require('./utils/bootstrap');
+
+dotenv.config();
+
+/**
+ * Function to create the first admin user on a fresh install.
+ * @param {Object} account - Username, email and password of the admin.
+ */
+const runCreateAdmin = async (account) => {
+  try {
+    // Step 1: Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Step 2: Make sure the system roles, including Admin, exist
+    const roles = await syncSystemRoles();
+    if (roles.created.length) console.log(`Created system roles: ${roles.created.join(', ')}`);
+
+    // Step 3: Create the admin, unless someone already holds the Admin role
+    const user = await createFirstAdmin(account);
+    console.log(user ? `Created admin user ${user.username}.` : 'An admin user already exists; nothing was changed.');
+  } catch (err) {
+    console.error('Error creating the admin user:', err);
+    process.exitCode = 1;
+  } finally {
+    // Close the MongoDB connection
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+};
+
+// Execute the script: ADMIN_PASSWORD=... node createAdmin.js --username NAME --email EMAIL
+// The password is read from the environment so it never shows up in the process list
+const argument = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const account = {
+  username: argument('--username') || process.env.ADMIN_USERNAME,
+  email: argument('--email') || process.env.ADMIN_EMAIL,
+  password: process.env.ADMIN_PASSWORD,
+};
+if (!account.username || !account.email || !account.password) {
+  console.error('Usage: ADMIN_PASSWORD=... node createAdmin.js --username NAME --email EMAIL');
+  process.exit(1);
+}
+runCreateAdmin(account);
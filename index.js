@@ -11,20 +11,46 @@ const projectRoutes = require('./routes/projects');
 const testPlanRoutes = require('./routes/testPlans');
 const roleRoutes = require('./routes/roles');
 const permissionRoutes = require('./routes/permissions');
+const userRoutes = require('./routes/users');
+const authRoutes = require('./routes/auth');
+const testRunRoutes = require('./routes/testRuns');
+const testCaseRoutes = require('./routes/testCases');
+const defectRoutes = require('./routes/defects');
+const auditRoutes = require('./routes/audit');
+
+// MIDDLEWARE
+const authenticate = require('./middleware/authenticate');
+const requestId = require('./middleware/requestId');
+const { MERGE_PATCH, JSON_PATCH } = require('./middleware/patch');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+
+// JOBS
+const { purgeConfig, startPurgeScheduler } = require('./utils/purge');
+const { permissionSyncConfig } = require('./utils/catalog');
+const { adminConfig, bootstrap } = require('./utils/bootstrap');
 
 dotenv.config();
 
 const app = express();
 
 // Middleware
-app.use(bodyParser.json());
-app.use(cors());
+app.use(requestId);
+// PATCH bodies are merge patches or JSON Patches (middleware/patch.js)
+app.use(bodyParser.json({ type: ['application/json', MERGE_PATCH, JSON_PATCH] }));
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'ETag'] }));
 
 // Using Routes
-app.use('/api/test-plans', testPlanRoutes);
-app.use('/api/projects', projectRoutes);
-app.use('/api/roles', roleRoutes);
-app.use('/api/permissions', permissionRoutes);
+// Login/refresh/logout are public; every other /api router requires an access token
+app.use('/api/auth', authRoutes);
+app.use('/api/test-plans', authenticate, testPlanRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+app.use('/api/roles', authenticate, roleRoutes);
+app.use('/api/permissions', authenticate, permissionRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/test-runs', authenticate, testRunRoutes);
+app.use('/api/test-cases', authenticate, testCaseRoutes);
+app.use('/api/defects', authenticate, defectRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
 
 // Swagger setup
 const swaggerOptions = {
@@ -37,7 +63,63 @@ const swaggerOptions = {
     },
     servers: [
       { url: 'http://localhost:3000', description: 'Local server' },
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      parameters: {
+        // Conditional requests; an ETag is the resource's version (utils/concurrency.js)
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string', example: '"3"' },
+          description: 'ETag from a previous GET; the update is refused with 412 if the resource has changed since',
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          schema: { type: 'string', example: '"3"' },
+          description: 'ETag from a previous GET; answered with 304 Not Modified while the resource is unchanged',
+        },
+      },
+      schemas: {
+        // Envelope shared by every error response
+        Error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'VALIDATION_ERROR' },
+            message: { type: 'string', example: 'Request validation failed' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  field: { type: 'string', example: 'name' },
+                  message: { type: 'string', example: 'name is required' },
+                },
+              },
+            },
+          },
+        },
+        // RFC 6902 body of the PATCH endpoints
+        JsonPatch: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['op', 'path'],
+            properties: {
+              op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+              path: { type: 'string', description: 'JSON Pointer to the target, e.g. /permissions/-', example: '/name' },
+              from: { type: 'string', description: 'JSON Pointer to the source of move and copy' },
+              value: { description: 'Value for add, replace and test' },
+            },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
   apis: ['./routes/*.js'], // Point to your route files
 };
@@ -50,9 +132,33 @@ mongoose
   .then(() => console.log('MongoDB Connected'))
   .catch((err) => console.error(err));
 
-// Routes
+// Health check (public)
 app.get('/', (req, res) => res.send('API is running...'));
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+  });
+});
+
+// Unknown API routes and every error passed to next() share one error envelope
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
-// Start server
+// Start server (skipped when the app is required by the test suite)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+  // Permanently remove soft-deleted records past their retention period
+  startPurgeScheduler({ ...purgeConfig(), isReady: () => mongoose.connection.readyState === 1 });
+
+  // Sync the permission catalog and system roles, and create the first admin, once the database is up
+  const setup = { permissionSync: permissionSyncConfig(), admin: adminConfig() };
+  mongoose.connection
+    .asPromise()
+    .then(() => bootstrap(setup))
+    .catch((err) => console.error('Error during startup bootstrap:', err));
+}
+
+module.exports = app;
@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+const { unauthorized } = require('../utils/errors');
+
+/**
+ * Require a valid `Authorization: Bearer <access token>` header.
+ * On success the authenticated user is available as `req.user`.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return next(unauthorized('Authentication required'));
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      return next(unauthorized('Invalid or expired access token'));
+    }
+
+    // Load the user and make sure the token has not been revoked since it was issued
+    const user = await User.findOne({ _id: payload.sub, isDeleted: false }).select('+tokenVersion');
+    if (!user || (user.tokenVersion || 0) !== payload.ver) {
+      return next(unauthorized('Invalid or expired access token'));
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = authenticate;
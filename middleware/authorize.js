@@ -0,0 +1,70 @@
+const {
+  resolvePermissionKeys,
+  resolveProjectPermissionKeys,
+  projectIdsWithPermission,
+} = require('../utils/permissions');
+const { unauthorized, forbidden } = require('../utils/errors');
+
+/**
+ * Check whether the authenticated user holds a permission, optionally within
+ * a project. Resolved keys are cached on the request so stacked checks only
+ * hit the database once per scope.
+ * @param {Object} req - Express request with `req.user`.
+ * @param {string} key - Permission key, e.g. 'vwprj'.
+ * @param {string} [projectId] - Project to resolve membership roles against.
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (req, key, projectId) => {
+  if (!projectId) {
+    if (!req.permissions) {
+      req.permissions = await resolvePermissionKeys(req.user);
+    }
+    return req.permissions.has(key);
+  }
+
+  req.projectPermissions = req.projectPermissions || {};
+  const cacheKey = projectId.toString();
+  if (!req.projectPermissions[cacheKey]) {
+    req.projectPermissions[cacheKey] = await resolveProjectPermissionKeys(req.user, projectId);
+  }
+  return req.projectPermissions[cacheKey].has(key);
+};
+
+/**
+ * Require the authenticated user to hold a permission key. Must run after
+ * `authenticate`.
+ * @param {string} key - Permission key, e.g. 'vwprj'.
+ * @param {Object} [options]
+ * @param {Function} [options.project] - `(req) => projectId` (may be async); the
+ *   permission is then resolved in the context of that project, so project
+ *   membership roles count alongside global roles.
+ * @param {boolean} [options.anyProject] - Pass when the user holds the key
+ *   globally or in at least one project (for listings the handler narrows down).
+ * @returns {Function} Express middleware failing with a 403 that names the missing key.
+ */
+const requirePermission = (key, { project, anyProject = false } = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(unauthorized('Authentication required'));
+    }
+
+    let allowed;
+    if (anyProject) {
+      const projectIds = await projectIdsWithPermission(req.user, key);
+      allowed = projectIds === null || projectIds.length > 0;
+    } else {
+      const projectId = project ? await project(req) : null;
+      allowed = await hasPermission(req, key, projectId);
+    }
+
+    if (!allowed) {
+      return next(forbidden('Missing required permission', { details: [{ permission: key }] }));
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { requirePermission, hasPermission };
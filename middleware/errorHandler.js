@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { ApiError, notFound } = require('../utils/errors');
+const { QueryParamError } = require('../utils/listQuery');
+const { SearchQueryError } = require('../utils/searchQuery');
+
+/**
+ * Translate any error reaching Express into the `{ code, message, details }`
+ * envelope. Handlers pass errors on with `next(err)`; known database and
+ * query errors get a specific status, anything else is a 500.
+ */
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof QueryParamError) {
+    const detail = { location: 'query', field: err.param, message: err.message };
+    if (err.allowed) detail.allowed = err.allowed;
+    return new ApiError(400, err.message, { code: 'INVALID_PARAMETER', details: [detail] });
+  }
+  if (err instanceof SearchQueryError) {
+    return new ApiError(400, err.message, { code: 'INVALID_SEARCH', details: [{ location: 'body', message: err.message }] });
+  }
+
+  // Malformed JSON body from body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(({ path, message }) => ({ location: 'body', field: path, message }));
+    return new ApiError(422, 'Validation failed', { code: 'VALIDATION_FAILED', details });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, `Invalid value for ${err.path}`, {
+      code: 'INVALID_PARAMETER',
+      details: [{ field: err.path, message: `Invalid value for ${err.path}` }],
+    });
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return new ApiError(409, 'The resource was modified concurrently, please retry', { code: 'CONCURRENT_MODIFICATION' });
+  }
+  if (err.code === 11000) {
+    const details = Object.keys(err.keyValue || {}).map((field) => ({ field, message: `${field} already exists` }));
+    return new ApiError(409, 'A record with the same unique value already exists', { code: 'DUPLICATE', details });
+  }
+
+  return null;
+};
+
+// Express recognizes error handlers by their four arguments, so `next` stays
+const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+  if (apiError) {
+    return res.status(apiError.status).json(apiError);
+  }
+
+  console.error(err);
+  res.status(500).json(new ApiError(500, 'Internal server error'));
+};
+
+/**
+ * Answer requests that matched no route.
+ */
+const notFoundHandler = (req, res, next) => {
+  next(notFound(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+module.exports = { errorHandler, notFoundHandler, toApiError };
@@ -0,0 +1,94 @@
+const { validate, idParams } = require('./validate');
+const { applyMergePatch, applyJsonPatch, patchedMembers, isEqual } = require('../utils/patch');
+const { snapshot } = require('../utils/audit');
+const { badRequest, notFound, unprocessable, unsupportedMediaType } = require('../utils/errors');
+
+/**
+ * PATCH requests. The body is either an RFC 7396 merge patch
+ * (`application/merge-patch+json`, or plain `application/json`) or an RFC 6902
+ * JSON Patch (`application/json-patch+json`), applied to the editable fields of
+ * the stored document (utils/patch.js).
+ *
+ * The handler then sees what the PUT handler sees: `req.body` holds the fields
+ * the patch changed, checked against the given field rules, with null for
+ * fields it removed. The document the patch was applied to is left on
+ * `req.patchBase`, so the handler updates exactly that version:
+ *
+ *   router.patch('/:id', patchRequest({ load, fields, notFoundMessage }), updateProject);
+ */
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply the patch in the body to the stored document and replace the body with the changes.
+ */
+const applyPatch = ({ load, fields, notFoundMessage }) => async (req, res, next) => {
+  try {
+    if (!req.is([MERGE_PATCH, JSON_PATCH, 'application/json'])) {
+      return next(unsupportedMediaType(`PATCH requires an ${MERGE_PATCH} or ${JSON_PATCH} body`));
+    }
+
+    const current = await load(req);
+    if (!current) {
+      return next(notFound(notFoundMessage));
+    }
+
+    // The editable part of the document, as JSON (ids and dates as strings)
+    const stored = snapshot(current);
+    const editable = Object.keys(fields).reduce((document, field) => {
+      if (stored[field] !== undefined) document[field] = stored[field];
+      return document;
+    }, {});
+
+    let patched;
+    if (req.is(JSON_PATCH)) {
+      const readOnly = patchedMembers(req.body).filter((member) => member !== '' && !(member in fields));
+      if (readOnly.length) {
+        return next(unprocessable(`Only ${Object.keys(fields).join(', ')} can be patched`, {
+          details: readOnly.map((field) => ({ field, message: `${field} cannot be patched` })),
+        }));
+      }
+      patched = applyJsonPatch(editable, req.body);
+    } else {
+      if (!isPlainObject(req.body)) {
+        return next(badRequest('A merge patch must be a JSON object', { code: 'INVALID_PATCH' }));
+      }
+      patched = applyMergePatch(editable, req.body);
+    }
+    if (!isPlainObject(patched)) {
+      return next(badRequest('The patched document must be a JSON object', { code: 'INVALID_PATCH' }));
+    }
+
+    // Only the changed fields go on, like a partial PUT; undeclared ones are dropped
+    req.body = Object.keys(fields).reduce((changes, field) => {
+      if (!isEqual(editable[field], patched[field])) {
+        changes[field] = patched[field] === undefined ? null : patched[field];
+      }
+      return changes;
+    }, {});
+    req.patchBase = current;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Build the middleware for a PATCH route.
+ * @param {Object} options
+ * @param {Function} options.load - `(req) => Promise<Object|null>` reading the stored document (lean).
+ * @param {Object} options.fields - Rules for the editable fields, as for validate(); fields a patch
+ *   may remove must be `nullable`.
+ * @param {string} options.notFoundMessage - The 404 message when there is no document.
+ * @returns {Array<Function>} Express middleware.
+ */
+const patchRequest = ({ load, fields, notFoundMessage }) => [
+  validate({ params: idParams }),
+  applyPatch({ load, fields, notFoundMessage }),
+  validate({ body: fields }),
+];
+
+module.exports = { patchRequest, MERGE_PATCH, JSON_PATCH };
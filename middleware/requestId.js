@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+const MAX_LENGTH = 200;
+
+/**
+ * Give every request an id, reusing a caller-supplied `X-Request-Id` when it
+ * looks sane, and echo it back so clients and logs can be correlated.
+ */
+const requestId = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && supplied.length <= MAX_LENGTH && /^[\w.:-]+$/.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
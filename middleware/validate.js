@@ -0,0 +1,192 @@
+const { badRequest } = require('../utils/errors');
+
+/**
+ * Declarative request validation. A schema maps `params`, `query` and `body`
+ * to field rules:
+ *
+ *   {
+ *     type: 'string' | 'objectId' | 'integer' | 'number' | 'boolean' | 'date' | 'array' | 'object' | 'any',
+ *     required, nullable, trim, enum, minLength, maxLength, min, max,
+ *     items,   // rule for each element of an array
+ *     custom,  // (value) => error message or undefined
+ *   }
+ *
+ * `type` may also be an array of types. Query values arrive as strings and are
+ * coerced for integer, number and boolean. Only declared body fields reach the
+ * handler, and `requireOneOf` lists body fields of which at least one must be
+ * present (for partial updates). Failures are answered with a 400
+ * `VALIDATION_ERROR` listing every problem.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  objectId: (value) => typeof value === 'string' && OBJECT_ID.test(value),
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()),
+  array: Array.isArray,
+  object: isPlainObject,
+  any: () => true,
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  objectId: 'a valid ID',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  date: 'a valid date',
+  array: 'an array',
+  object: 'an object',
+};
+
+/**
+ * Coerce a query string value to the rule's type when it is unambiguous.
+ */
+const coerceQueryValue = (value, types) => {
+  if (typeof value !== 'string') return value;
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Check one value against a rule.
+ * @returns {{ value: *, error: string|undefined }}
+ */
+const checkValue = (value, rule, label, location) => {
+  const types = [].concat(rule.type || 'any');
+  let current = location === 'query' ? coerceQueryValue(value, types) : value;
+
+  if (current === null) {
+    return rule.nullable ? { value: null } : { error: `${label} cannot be null` };
+  }
+  if (!types.some((type) => TYPE_CHECKS[type](current))) {
+    return { error: `${label} must be ${types.map((type) => TYPE_NAMES[type] || type).join(' or ')}` };
+  }
+
+  if (typeof current === 'string') {
+    if (rule.trim) current = current.trim();
+    if (rule.minLength !== undefined && current.length < rule.minLength) {
+      return { error: rule.minLength === 1 ? `${label} cannot be empty` : `${label} must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && current.length > rule.maxLength) {
+      return { error: `${label} must be at most ${rule.maxLength} characters` };
+    }
+  }
+  if (typeof current === 'number') {
+    if (rule.min !== undefined && current < rule.min) return { error: `${label} must be at least ${rule.min}` };
+    if (rule.max !== undefined && current > rule.max) return { error: `${label} must be at most ${rule.max}` };
+  }
+  if (rule.enum && !rule.enum.includes(current)) {
+    return { error: `${label} must be one of: ${rule.enum.join(', ')}` };
+  }
+
+  if (Array.isArray(current)) {
+    if (rule.minLength !== undefined && current.length < rule.minLength) {
+      return { error: `${label} must have at least ${rule.minLength} item(s)` };
+    }
+    if (rule.maxLength !== undefined && current.length > rule.maxLength) {
+      return { error: `${label} must have at most ${rule.maxLength} items` };
+    }
+    if (rule.items) {
+      const items = [];
+      for (let index = 0; index < current.length; index += 1) {
+        const item = checkValue(current[index], rule.items, `${label}[${index}]`, location);
+        if (item.error) return item;
+        items.push(item.value);
+      }
+      current = items;
+    }
+  }
+
+  const customError = rule.custom && rule.custom(current);
+  if (customError) return { error: `${label} ${customError}` };
+
+  return { value: current };
+};
+
+/**
+ * Validate one request location against its field rules.
+ * @returns {{ values: Object, details: Array<Object> }}
+ */
+const checkLocation = (source, fields, location) => {
+  const values = {};
+  const details = [];
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = source[field];
+    if (value === undefined || (location === 'query' && value === '')) {
+      if (rule.required) details.push({ location, field, message: `${field} is required` });
+      return;
+    }
+
+    const result = checkValue(value, rule, field, location);
+    if (result.error) {
+      details.push({ location, field, message: result.error });
+    } else {
+      values[field] = result.value;
+    }
+  });
+
+  return { values, details };
+};
+
+/**
+ * Build middleware validating a request against a schema.
+ * @param {Object} schema - `{ params, query, body, requireOneOf }`.
+ * @returns {Function} Express middleware.
+ */
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+
+  if (schema.params) {
+    details.push(...checkLocation(req.params, schema.params, 'params').details);
+  }
+
+  if (schema.query) {
+    const result = checkLocation(req.query, schema.query, 'query');
+    details.push(...result.details);
+    req.query = { ...req.query, ...result.values };
+  }
+
+  if (schema.body) {
+    if (!isPlainObject(req.body)) {
+      details.push({ location: 'body', message: 'Request body must be a JSON object' });
+    } else {
+      const result = checkLocation(req.body, schema.body, 'body');
+      details.push(...result.details);
+      req.body = result.values; // Undeclared fields never reach the handler
+
+      if (schema.requireOneOf && result.details.length === 0 && !schema.requireOneOf.some((field) => field in result.values)) {
+        details.push({ location: 'body', message: `At least one of ${schema.requireOneOf.join(', ')} must be provided` });
+      }
+    }
+  }
+
+  if (details.length) {
+    return next(badRequest('Request validation failed', { code: 'VALIDATION_ERROR', details }));
+  }
+  next();
+};
+
+// Shared rules
+const objectId = { type: 'objectId', required: true };
+const idParams = { id: objectId };
+// Body of the POST /search endpoints; the clauses themselves are checked by utils/searchQuery.js
+const searchBody = {
+  pagination: { type: 'object' },
+  where: { type: 'object' },
+  sort: { type: 'array', items: { type: 'object' } },
+};
+// Query of the GET /trash listings; page and limit are checked by parsePage
+const trashQuery = { cascaded: { type: 'boolean' } };
+
+module.exports = { validate, objectId, idParams, searchBody, trashQuery };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { migrate, rollback, migrationStatus } = require('./utils/migrations');
+
+dotenv.config();
+
+const COMMANDS = ['up', 'down', 'status'];
+
+/**
+ * Print which migrations have run.
+ */
+const printStatus = async () => {
+  const { migrations, unknown } = await migrationStatus();
+  migrations.forEach(({ version, name, applied, appliedAt, batch }) =>
+    console.log(`  ${applied ? 'applied' : 'pending'}  ${version}-${name}${applied ? ` (batch ${batch}, ${appliedAt.toISOString()})` : ''}`)
+  );
+  unknown.forEach(({ version, name }) => console.log(`  missing  ${version}-${name} (recorded, but its file is gone)`));
+  if (!migrations.length) console.log('  no migrations');
+};
+
+/**
+ * Function to run, roll back or list data migrations.
+ * @param {string} command - `up`, `down` or `status`.
+ * @param {Object} options
+ * @param {string} [options.to] - up: stop after this version.
+ * @param {number} [options.steps] - down: number of migrations to undo (default: the last batch).
+ * @param {boolean} options.dryRun - Only list what would run.
+ */
+const runMigrations = async (command, { to, steps, dryRun }) => {
+  try {
+    // Step 1: Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Step 2: Run the command
+    if (command === 'status') {
+      await printStatus();
+    } else if (command === 'up') {
+      const { migrations } = await migrate({ to, dryRun });
+      console.log(migrations.length ? `${dryRun ? 'Would apply' : 'Applied'}:` : 'Nothing to migrate.');
+      migrations.forEach(({ version, name, description }) => console.log(`  ${version}-${name}: ${description}`));
+    } else {
+      const { migrations } = await rollback({ steps, dryRun });
+      console.log(migrations.length ? `${dryRun ? 'Would roll back' : 'Rolled back'}:` : 'Nothing to roll back.');
+      migrations.forEach(({ version, name, description }) => console.log(`  ${version}-${name}: ${description}`));
+    }
+  } catch (err) {
+    console.error('Error during migration:', err);
+    process.exitCode = 1;
+  } finally {
+    // Close the MongoDB connection
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+};
+
+// Execute the script: node migrate.js [up|down|status] [--to VERSION] [--steps N] [--dry-run]
+const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'up';
+if (!COMMANDS.includes(command)) {
+  console.error(`Unknown command ${command}; use ${COMMANDS.join(', ')}`);
+  process.exit(1);
+}
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const steps = option('--steps') === undefined ? undefined : Number(option('--steps'));
+if (steps !== undefined && (!Number.isInteger(steps) || steps < 1)) {
+  console.error('--steps must be a whole number (1 or more)');
+  process.exit(1);
+}
+runMigrations(command, { to: option('--to'), steps, dryRun: process.argv.includes('--dry-run') });
@@ -0,0 +1,23 @@
+/**
+ * Rename the `created_at`/`updated_at` timestamps of projects and test plans
+ * to `createdAt`/`updatedAt`, the names every other model uses.
+ */
+
+const COLLECTIONS = ['projects', 'testplans'];
+const RENAMES = { created_at: 'createdAt', updated_at: 'updatedAt' };
+
+const renameFields = async (db, renames) => {
+  for (const name of COLLECTIONS) {
+    for (const [from, to] of Object.entries(renames)) {
+      await db.collection(name).updateMany({ [from]: { $exists: true } }, { $rename: { [from]: to } });
+    }
+  }
+};
+
+module.exports = {
+  description: 'Rename created_at/updated_at to createdAt/updatedAt on projects and test plans',
+
+  up: ({ db }) => renameFields(db, RENAMES),
+
+  down: ({ db }) => renameFields(db, Object.fromEntries(Object.entries(RENAMES).map(([from, to]) => [to, from]))),
+};
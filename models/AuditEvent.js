@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const RESOURCE_TYPES = ['Project', 'ProjectMember', 'Suite', 'TestPlan', 'TestCase', 'TestRun', 'Requirement', 'Defect', 'Role', 'Permission', 'User'];
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// One changed top-level field; values are stored as they were serialized
+const ChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Append-only record of a change made through the API; never updated or soft deleted
+const AuditEventSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resource_type: { type: String, enum: RESOURCE_TYPES, required: true },
+  resource_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  action: { type: String, enum: ACTIONS, required: true },
+  changes: [ChangeSchema],
+  request_id: { type: String },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+AuditEventSchema.index({ resource_type: 1, resource_id: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
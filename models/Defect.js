@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+// Status workflow: the statuses a defect can move to from each status
+const TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['open', 'resolved', 'closed'],
+  resolved: ['closed', 'reopened'],
+  closed: ['reopened'],
+  reopened: ['in_progress', 'resolved', 'closed'],
+};
+
+const DefectSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  reproduction_steps: [{ type: String, trim: true }],
+  expected_result: { type: String },
+  actual_result: { type: String },
+  severity: { type: String, enum: ['trivial', 'minor', 'major', 'critical', 'blocker'], default: 'major' },
+  status: { type: String, enum: Object.keys(TRANSITIONS), default: 'open' },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  // Where the defect was found; all optional, and cleared when the test or run is purged
+  test_plan_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestPlan', default: null },
+  test_case_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestCase', default: null },
+  test_run_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestRun', default: null },
+  result_id: { type: mongoose.Schema.Types.ObjectId, default: null }, // step result within the run
+  resolved_at: { type: Date, default: null },
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+DefectSchema.index({ project_id: 1, status: 1 });
+DefectSchema.index({ test_run_id: 1, result_id: 1 });
+
+/**
+ * Whether the workflow lets a defect move from one status to another.
+ * @param {string} from - Current status.
+ * @param {string} to - Requested status.
+ * @returns {boolean}
+ */
+DefectSchema.statics.canTransition = function (from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+DefectSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// middleware to updated `updatedAt` on save
+DefectSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+DefectSchema.plugin(versioning);
+
+module.exports = mongoose.model('Defect', DefectSchema);
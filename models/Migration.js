@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// A migration that has been applied (utils/migrations.js); removed again when it is rolled back
+const MigrationSchema = new mongoose.Schema({
+  version: { type: String, required: true, unique: true }, // file name prefix, e.g. '001'
+  name: { type: String, required: true },
+  batch: { type: Number, required: true }, // migrations applied by the same run share a batch
+  appliedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Migration', MigrationSchema);
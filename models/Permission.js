@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
 
 const PermissionSchema = new mongoose.Schema({
   key: { type: String, required: true, unique: true },
   name: { type: String, required: true, unique: true },
   description: { type: String, required: true },
+  // Defined by the permission catalog (utils/catalog.js) and kept in line with it
+  system: { type: Boolean, default: false },
+  // A system permission whose key was removed from the catalog
+  deprecated: { type: Boolean, default: false },
   isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -15,4 +22,6 @@ PermissionSchema.pre('save', function (next) {
   next();
 });
 
+PermissionSchema.plugin(versioning);
+
 module.exports = mongoose.model('Permission', PermissionSchema);
@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
 
 const ProjectSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String },
   isDeleted: { type: Boolean, default: false },
-  created_at: { type: Date, default: Date.now },
-  updated_at: { type: Date, default: Date.now },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 
 // middleware to updated `updatedAt` on save
@@ -14,4 +19,6 @@ ProjectSchema.pre('save', function (next) {
   next();
 });
 
+ProjectSchema.plugin(versioning);
+
 module.exports = mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const versioning = require('./plugins/versioning');
+
+const ProjectMemberSchema = new mongoose.Schema({
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Role', required: true },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// A user holds exactly one role per project
+ProjectMemberSchema.index({ project_id: 1, user_id: 1 }, { unique: true });
+
+// middleware to updated `updatedAt` on save
+ProjectMemberSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ProjectMemberSchema.plugin(versioning);
+
+module.exports = mongoose.model('ProjectMember', ProjectMemberSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the token handed to the client
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Let MongoDB remove expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+const RequirementSchema = new mongoose.Schema({
+  external_id: { type: String, required: true, trim: true }, // id in the product's tracker, e.g. "REQ-42"; unique per project
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  // Tests covering the requirement (utils/traceability.js)
+  test_plans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TestPlan' }],
+  test_cases: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TestCase' }],
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+RequirementSchema.index({ project_id: 1, external_id: 1 });
+
+// middleware to updated `updatedAt` on save
+RequirementSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RequirementSchema.plugin(versioning);
+
+module.exports = mongoose.model('Requirement', RequirementSchema);
@@ -1,12 +1,19 @@
 const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
 
 const RoleSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   key: { type: String, required: true, unique: true },
+  // Defined by the catalog (utils/catalog.js): cannot be deleted or lose its critical permissions
+  system: { type: Boolean, default: false },
   isDeleted: { type: Boolean, default: false},
+  ...softDeleteFields,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
-  permissions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Permission' }]
+  permissions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Permission' }],
+  // Roles whose permissions this role inherits (utils/roleInheritance.js)
+  parent_roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Role' }],
 });
 
 // middleware to updated `updatedAt` on save
@@ -15,4 +22,6 @@ RoleSchema.pre('save', function (next) {
   next();
 });
 
+RoleSchema.plugin(versioning);
+
 module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+const SuiteSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  parent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Suite', default: null }, // null for top-level suites
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+SuiteSchema.index({ project_id: 1, parent_id: 1 });
+
+// middleware to updated `updatedAt` on save
+SuiteSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SuiteSchema.plugin(versioning);
+
+module.exports = mongoose.model('Suite', SuiteSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const StepSchema = require('./schemas/StepSchema');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+const TestCaseSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  preconditions: { type: String },
+  steps: [StepSchema], // kept sorted by `order`
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+  type: {
+    type: String,
+    enum: ['functional', 'regression', 'smoke', 'integration', 'performance', 'security', 'usability', 'other'],
+    default: 'functional',
+  },
+  tags: [{ type: String, trim: true }],
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// middleware to updated `updatedAt` on save
+TestCaseSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+TestCaseSchema.plugin(versioning);
+
+module.exports = mongoose.model('TestCase', TestCaseSchema);
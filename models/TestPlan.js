@@ -1,12 +1,21 @@
 const mongoose = require('mongoose');
+const StepSchema = require('./schemas/StepSchema');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
 
 const TestPlanSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String },
   project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  suite_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Suite', default: null }, // null when not filed in a suite
+  steps: [StepSchema], // kept sorted by `order`
+  test_cases: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TestCase' }], // reused cases, in execution order
   isDeleted: { type: Boolean, default: false }, // add isDeleted field
-  created_at: { type: Date, default: Date.now },
-  updated_at: { type: Date, default: Date.now },
+  ...softDeleteFields,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 
 // middleware to updated `updatedAt` on save
@@ -15,4 +24,6 @@ TestPlanSchema.pre('save', function (next) {
   next();
 });
 
+TestPlanSchema.plugin(versioning);
+
 module.exports = mongoose.model('TestPlan', TestPlanSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const StepSchema = require('./schemas/StepSchema');
+
+// Immutable copy of a test plan's content after one change; revisions are numbered 1..n per plan and never updated
+const TestPlanRevisionSchema = new mongoose.Schema({
+  test_plan_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestPlan', required: true },
+  revision: { type: Number, required: true, min: 1 },
+  name: { type: String, required: true },
+  description: { type: String },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  suite_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Suite', default: null },
+  steps: [StepSchema],
+  test_cases: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TestCase' }],
+  reverted_from: { type: Number, default: null }, // set when the change reverted the plan to an earlier revision
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+TestPlanRevisionSchema.index({ test_plan_id: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('TestPlanRevision', TestPlanRevisionSchema);
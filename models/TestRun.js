@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+// Result of one step, snapshotted from the test plan when the run started
+const StepResultSchema = new mongoose.Schema({
+  step_id: { type: mongoose.Schema.Types.ObjectId }, // the test plan or test case step this was copied from
+  test_case_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestCase' }, // set when the step came from a test case
+  order: { type: Number, required: true },
+  action: { type: String, required: true },
+  expected_result: { type: String },
+  test_data: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'passed', 'failed', 'blocked', 'skipped'],
+    default: 'pending',
+  },
+  actual_result: { type: String },
+  notes: { type: String },
+  executed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  executed_at: { type: Date },
+});
+
+const TestRunSchema = new mongoose.Schema({
+  test_plan_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TestPlan', required: true },
+  project_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  name: { type: String, required: true }, // test plan name at the time of the run
+  status: {
+    type: String,
+    enum: ['in_progress', 'passed', 'failed', 'blocked', 'incomplete', 'not_run', 'aborted'],
+    default: 'in_progress',
+  },
+  steps: [StepResultSchema],
+  notes: { type: String },
+  started_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  started_at: { type: Date, default: Date.now },
+  completed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completed_at: { type: Date },
+  duration_ms: { type: Number },
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// middleware to updated `updatedAt` on save
+TestRunSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Derive an outcome from step statuses: any failure fails it, then any
+ * blocked step blocks it, and unexecuted steps leave it incomplete. Skipped
+ * steps count as passing, but a run without a passed step tested nothing.
+ * @param {Array<string>} statuses - Step statuses.
+ * @returns {string} 'failed', 'blocked', 'incomplete', 'not_run' or 'passed'.
+ */
+TestRunSchema.statics.statusOf = function (statuses) {
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('blocked')) return 'blocked';
+  if (statuses.includes('pending')) return 'incomplete';
+  if (!statuses.includes('passed')) return 'not_run'; // no steps, or only skipped ones
+  return 'passed';
+};
+
+/**
+ * Derive the overall outcome of the run from its step results (see statusOf).
+ * @returns {string} The overall run status.
+ */
+TestRunSchema.methods.computeStatus = function () {
+  return this.constructor.statusOf(this.steps.map((step) => step.status));
+};
+
+TestRunSchema.plugin(versioning);
+
+module.exports = mongoose.model('TestRun', TestRunSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const softDeleteFields = require('./schemas/softDeleteFields');
+const versioning = require('./plugins/versioning');
+
+const SALT_ROUNDS = 10;
+
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  firstName: { type: String },
+  lastName: { type: String },
+  passwordHash: { type: String, select: false }, // never returned unless explicitly selected
+  tokenVersion: { type: Number, default: 0, select: false }, // bumped to invalidate issued access tokens
+  roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Role' }],
+  isDeleted: { type: Boolean, default: false },
+  ...softDeleteFields,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// middleware to updated `updatedAt` on save
+UserSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Hash and store a new password for the user.
+ * @param {string} password - The plain text password.
+ */
+UserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Check a plain text password against the stored hash.
+ * The document must have been loaded with `.select('+passwordHash')`.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+UserSchema.methods.verifyPassword = function (password) {
+  if (!this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Strip credentials from any serialized user
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  },
+});
+
+UserSchema.plugin(versioning);
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,24 @@
+/**
+ * Bump a document's version (`__v`) on every write, so it can serve as the
+ * document's ETag (utils/concurrency.js). `save()` checks and increments the
+ * version through Mongoose's optimistic concurrency; query updates increment it.
+ */
+
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const versioning = (schema) => {
+  const versionKey = schema.get('versionKey');
+  schema.set('optimisticConcurrency', true);
+
+  schema.pre(UPDATE_HOOKS, function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return; // pipeline updates are left alone
+
+    const increments = update.$inc || {};
+    if (increments[versionKey] === undefined) {
+      this.setUpdate({ ...update, $inc: { ...increments, [versionKey]: 1 } });
+    }
+  });
+};
+
+module.exports = versioning;
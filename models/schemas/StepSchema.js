@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// A single ordered test step, embedded in the documents that own it
+const StepSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  expected_result: { type: String },
+  test_data: { type: String },
+  order: { type: Number, required: true },
+});
+
+module.exports = StepSchema;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Bookkeeping kept next to `isDeleted` on every soft-deletable model
+const softDeleteFields = {
+  deletedAt: { type: Date, default: null },
+  deleted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // The record whose delete removed this one (itself for a direct delete), so a restore undoes the whole cascade
+  deleted_with: { type: mongoose.Schema.Types.ObjectId, default: null },
+};
+
+module.exports = softDeleteFields;
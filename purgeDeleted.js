@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { purgeConfig, purgeDeleted } = require('./utils/purge');
+
+dotenv.config();
+
+/**
+ * Function to permanently remove soft-deleted records past their retention period.
+ * @param {Object} options
+ * @param {number} options.retentionDays - Records deleted longer ago than this are purged.
+ * @param {boolean} options.dryRun - Only report what would be removed.
+ */
+const runPurge = async ({ retentionDays, dryRun }) => {
+  try {
+    // Step 1: Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Step 2: Purge records deleted before the cutoff and clean up references to them
+    const report = await purgeDeleted({ retentionDays, dryRun });
+    console.log(`${dryRun ? 'Would purge' : 'Purged'} records deleted before ${report.cutoff.toISOString()}:`);
+
+    // Step 3: Report what was removed
+    Object.entries(report.removed).forEach(([collection, count]) => console.log(`  removed ${collection}: ${count}`));
+    Object.entries(report.cleaned).forEach(([reference, count]) => console.log(`  cleaned ${reference}: ${count}`));
+
+    console.log(dryRun ? 'Dry run complete; nothing was changed.' : 'Purge complete.');
+  } catch (err) {
+    console.error('Error during purge:', err);
+    process.exitCode = 1;
+  } finally {
+    // Close the MongoDB connection
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+};
+
+// Execute the script: node purgeDeleted.js [--days N] [--dry-run]
+const daysIndex = process.argv.indexOf('--days');
+const retentionDays = daysIndex === -1 ? purgeConfig().retentionDays : Number(process.argv[daysIndex + 1]);
+if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+  console.error('--days must be a number of days (0 or more)');
+  process.exit(1);
+}
+runPurge({ retentionDays, dryRun: process.argv.includes('--dry-run') });
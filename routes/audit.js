@@ -0,0 +1,202 @@
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Request validation
+const listRequest = validate({
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    actor: { type: 'objectId' },
+    resource_type: { type: 'string', enum: AuditEvent.schema.path('resource_type').enumValues },
+    resource_id: { type: 'objectId' },
+    project_id: { type: 'objectId' },
+    action: { type: 'string', enum: AuditEvent.schema.path('action').enumValues },
+    from: { type: 'date' },
+    to: { type: 'date' },
+  },
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Trail of every create, update, delete and restore made through the API
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           description: The user who made the change (username and email)
+ *         resource_type:
+ *           type: string
+ *           enum: [Project, ProjectMember, Suite, TestPlan, TestCase, TestRun, Requirement, Defect, Role, Permission, User]
+ *         resource_id:
+ *           type: string
+ *         project_id:
+ *           type: string
+ *           nullable: true
+ *           description: Project the resource belongs to; null for roles, permissions and users
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         changes:
+ *           type: array
+ *           description: The top-level fields that changed; passwords are recorded as "[redacted]"
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         request_id:
+ *           type: string
+ *           description: X-Request-Id of the request that made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit events, most recent first
+ *     description: >
+ *       Holders of vwaud within a project see that project's events; events for roles,
+ *       permissions and users are only visible with the global permission.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Only changes made by this user
+ *       - in: query
+ *         name: resource_type
+ *         schema:
+ *           type: string
+ *           enum: [Project, ProjectMember, Suite, TestPlan, TestCase, TestRun, Requirement, Defect, Role, Permission, User]
+ *         description: Only changes to this kind of resource
+ *       - in: query
+ *         name: resource_id
+ *         schema:
+ *           type: string
+ *         description: Only changes to this resource
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *         description: Only changes within this project
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         description: Only this kind of change
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or before this time
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved audit events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       403:
+ *         description: Missing required permission (vwaud)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwaud', { anyProject: true }), listRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, actor, resource_type, resource_id, project_id, action, from, to } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (resource_type) filter.resource_type = resource_type;
+    if (resource_id) filter.resource_id = resource_id;
+    if (project_id) filter.project_id = project_id;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwaud');
+    if (visibleProjects) {
+      filter.project_id = project_id
+        ? { $in: visibleProjects.filter((visible) => visible.toString() === project_id) }
+        : { $in: visibleProjects };
+    }
+
+    const total = await AuditEvent.countDocuments(filter);
+    const events = await AuditEvent.find(filter)
+      .populate('actor', 'username email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      events,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authenticate = require('../middleware/authenticate');
+const { issueTokens, revokeActiveRefreshToken } = require('../utils/tokens');
+const { validate } = require('../middleware/validate');
+const { unauthorized } = require('../utils/errors');
+
+const router = express.Router();
+
+// Request validation
+const requiredString = { type: 'string', required: true, minLength: 1 };
+const loginRequest = validate({ body: { username: requiredString, password: requiredString } });
+const refreshTokenRequest = validate({ body: { refreshToken: requiredString } });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Login, token refresh, and logout
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TokenResponse:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: "Bearer"
+ *         accessToken:
+ *           type: string
+ *           description: "Signed JWT to send as `Authorization: Bearer <token>`"
+ *         refreshToken:
+ *           type: string
+ *           description: Opaque token used to obtain a new access token
+ *         expiresIn:
+ *           type: string
+ *           description: Lifetime of the access token
+ *           example: "15m"
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with a username and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "jdoe"
+ *               password:
+ *                 type: string
+ *                 example: "correct horse battery staple"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TokenResponse'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *       400:
+ *         description: Username and password are required
+ *       401:
+ *         description: Invalid username or password
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/login', loginRequest, async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    // Find the user with credentials
+    const user = await User.findOne({ username, isDeleted: false }).select('+passwordHash +tokenVersion');
+    if (!user || !(await user.verifyPassword(password))) {
+      return next(unauthorized('Invalid username or password'));
+    }
+
+    const tokens = await issueTokens(user);
+    res.status(200).json({ ...tokens, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The supplied refresh token is revoked and replaced (rotation).
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid or expired refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', refreshTokenRequest, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Rotate: revoke the old refresh token first, atomically, so a token replayed
+    // concurrently (or already used) yields no second token pair
+    const stored = await revokeActiveRefreshToken(refreshToken);
+    if (!stored) {
+      return next(unauthorized('Invalid or expired refresh token'));
+    }
+
+    const user = await User.findOne({ _id: stored.user, isDeleted: false }).select('+tokenVersion');
+    if (!user) {
+      return next(unauthorized('Invalid or expired refresh token'));
+    }
+
+    const tokens = await issueTokens(user);
+    res.status(200).json(tokens);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out by revoking a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Refresh token is required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', refreshTokenRequest, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Revoking an unknown or already revoked token is not an error
+    await revokeActiveRefreshToken(refreshToken);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/revoke:
+ *   post:
+ *     summary: Revoke every session of the current user
+ *     description: Revokes all refresh tokens and invalidates access tokens already issued to the caller.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/revoke', authenticate, async (req, res, next) => {
+  try {
+    await RefreshToken.updateMany(
+      { user: req.user._id, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({ message: 'All sessions revoked successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the currently authenticated user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The current user with roles populated
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    await req.user.populate('roles', 'name key');
+    res.status(200).json(req.user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,848 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Defect = require('../models/Defect');
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { fromBody, fromDocument, fromReference } = require('../utils/projectScope');
+const { queryableFields, parseSort, parsePage } = require('../utils/listQuery');
+const { escapeRegex } = require('../utils/searchQuery');
+const { softDeleteOne, cascadeRestoreError, restoreOne, findTrash } = require('../utils/softDelete');
+const { validate, idParams, trashQuery } = require('../middleware/validate');
+const { notFound, unprocessable } = require('../utils/errors');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { setETag, checkIfMatch } = require('../utils/concurrency');
+
+const router = express.Router();
+
+const SEVERITIES = Defect.schema.path('severity').enumValues;
+const STATUSES = Defect.schema.path('status').enumValues;
+const defectProject = fromDocument(Defect);
+const populated = 'assignee created_by updated_by';
+
+// Editable defect fields
+const defectFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  reproduction_steps: { type: 'array', items: { type: 'string', trim: true, minLength: 1, maxLength: 1000 } },
+  expected_result: { type: 'string', maxLength: 2000 },
+  actual_result: { type: 'string', maxLength: 2000 },
+  severity: { type: 'string', enum: SEVERITIES },
+  assignee: { type: 'objectId', nullable: true },
+};
+
+// Request validation
+const createRequest = validate({
+  body: {
+    ...defectFields,
+    title: { ...defectFields.title, required: true },
+    project_id: { type: 'objectId', required: true },
+    test_plan_id: { type: 'objectId' },
+    test_case_id: { type: 'objectId' },
+    test_run_id: { type: 'objectId' },
+    result_id: { type: 'objectId' },
+  },
+});
+const fromResultRequest = validate({
+  body: {
+    test_run_id: { type: 'objectId', required: true },
+    result_id: { type: 'objectId', required: true },
+    title: defectFields.title,
+    description: defectFields.description,
+    severity: defectFields.severity,
+    assignee: defectFields.assignee,
+  },
+});
+const listRequest = validate({
+  query: {
+    project_id: { type: 'objectId' },
+    status: { type: 'string', enum: STATUSES },
+    severity: { type: 'string', enum: SEVERITIES },
+    assignee: {
+      type: 'string',
+      custom: (value) => (value === 'none' || mongoose.isValidObjectId(value) ? undefined : 'must be "none" or a valid ID'),
+    },
+    test_plan_id: { type: 'objectId' },
+    test_case_id: { type: 'objectId' },
+    test_run_id: { type: 'objectId' },
+    title: { type: 'string', maxLength: 200 },
+  },
+});
+const updateFields = { ...defectFields, status: { type: 'string', enum: STATUSES } };
+const updateRequest = validate({ params: idParams, body: updateFields, requireOneOf: Object.keys(updateFields) });
+
+/**
+ * Check that an assignee is an active user.
+ * @returns {Promise<ApiError|null>} A 422 when the user does not exist or is deleted.
+ */
+const invalidAssignee = async (assignee) => {
+  if (assignee === undefined || assignee === null) return null;
+  return (await User.exists({ _id: assignee, isDeleted: false })) ? null : unprocessable('Invalid assignee');
+};
+
+/**
+ * Resolve where a defect was found, filling the test plan and test case from
+ * the run and its step result when they are not given.
+ * @param {string} projectId - Project of the defect.
+ * @param {Object} body - `test_plan_id`, `test_case_id`, `test_run_id` and `result_id`, each optional.
+ * @returns {Promise<{ links: Object }|{ error: ApiError }>}
+ */
+const resolveLinks = async (projectId, { test_plan_id, test_case_id, test_run_id, result_id }) => {
+  const links = { test_plan_id: test_plan_id || null, test_case_id: test_case_id || null, test_run_id: null, result_id: null };
+  const mismatch = (field, message) => ({ error: unprocessable(message, { details: [{ field, message }] }) });
+
+  if (result_id && !test_run_id) {
+    return mismatch('result_id', 'A step result needs its test_run_id');
+  }
+  if (test_run_id) {
+    const run = await TestRun.findOne({ _id: test_run_id, project_id: projectId, isDeleted: false });
+    if (!run) return mismatch('test_run_id', 'Invalid test run ID');
+    if (test_plan_id && !run.test_plan_id.equals(test_plan_id)) {
+      return mismatch('test_plan_id', 'The test run is not a run of this test plan');
+    }
+    links.test_run_id = run._id;
+    links.test_plan_id = run.test_plan_id;
+
+    if (result_id) {
+      const result = run.steps.id(result_id);
+      if (!result) return mismatch('result_id', 'The step result is not part of the test run');
+      if (test_case_id && !(result.test_case_id && result.test_case_id.equals(test_case_id))) {
+        return mismatch('test_case_id', 'The step result does not come from this test case');
+      }
+      links.result_id = result._id;
+      links.test_case_id = result.test_case_id || null;
+    }
+  }
+
+  if (links.test_plan_id && !(await TestPlan.exists({ _id: links.test_plan_id, project_id: projectId, isDeleted: false }))) {
+    return mismatch('test_plan_id', 'Invalid test plan ID');
+  }
+  if (links.test_case_id && !(await TestCase.exists({ _id: links.test_case_id, project_id: projectId, isDeleted: false }))) {
+    return mismatch('test_case_id', 'Invalid test case ID');
+  }
+  return { links };
+};
+
+/**
+ * Pre-fill a defect from a failed step result: the steps leading up to the
+ * failure (within the same test case, or the plan's own steps) become the
+ * reproduction steps, and the result's expectation and outcome are copied.
+ * @param {Object} run - The test run.
+ * @param {Object} result - The failed step result within the run.
+ * @returns {Object} Defect fields.
+ */
+const prefillFromResult = (run, result) => {
+  const sameSource = (step) => String(step.test_case_id || '') === String(result.test_case_id || '');
+  const reproduction_steps = run.steps
+    .filter((step) => sameSource(step) && step.order <= result.order)
+    .sort((a, b) => a.order - b.order)
+    .map((step) => (step.test_data ? `${step.action} (test data: ${step.test_data})` : step.action));
+
+  return {
+    title: `${run.name}: ${result.action}`.slice(0, 200),
+    description: result.notes,
+    reproduction_steps,
+    expected_result: result.expected_result,
+    actual_result: result.actual_result,
+    project_id: run.project_id,
+    test_plan_id: run.test_plan_id,
+    test_case_id: result.test_case_id || null,
+    test_run_id: run._id,
+    result_id: result._id,
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Defects
+ *   description: API for tracking defects found while executing tests
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Defect:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676f5a61fb25a1d1ae9f2b01"
+ *         title:
+ *           type: string
+ *           example: "Registration: no confirmation email is sent"
+ *         description:
+ *           type: string
+ *         reproduction_steps:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Open the registration page", "Submit the form (test data: new@example.com)"]
+ *         expected_result:
+ *           type: string
+ *         actual_result:
+ *           type: string
+ *         severity:
+ *           type: string
+ *           enum: [trivial, minor, major, critical, blocker]
+ *         status:
+ *           type: string
+ *           enum: [open, in_progress, resolved, closed, reopened]
+ *         assignee:
+ *           type: string
+ *           nullable: true
+ *         project_id:
+ *           type: string
+ *         test_plan_id:
+ *           type: string
+ *           nullable: true
+ *         test_case_id:
+ *           type: string
+ *           nullable: true
+ *         test_run_id:
+ *           type: string
+ *           nullable: true
+ *         result_id:
+ *           type: string
+ *           nullable: true
+ *           description: The step result within the test run
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the defect was last resolved; cleared on reopening
+ *         isDeleted:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *         updated_by:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/defects:
+ *   post:
+ *     summary: Report a defect
+ *     description: >
+ *       The defect can point at where it was found. Given a test run, the test plan defaults to the
+ *       run's plan; given a step result of the run as well, the test case defaults to the result's.
+ *     tags: [Defects]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               reproduction_steps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expected_result:
+ *                 type: string
+ *               actual_result:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [trivial, minor, major, critical, blocker]
+ *               assignee:
+ *                 type: string
+ *               project_id:
+ *                 type: string
+ *               test_plan_id:
+ *                 type: string
+ *               test_case_id:
+ *                 type: string
+ *               test_run_id:
+ *                 type: string
+ *               result_id:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Defect reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Defect'
+ *       400:
+ *         description: Request body failed validation
+ *       403:
+ *         description: Missing required permission (crtdf)
+ *       422:
+ *         description: >
+ *           The project, assignee, test plan, test case or test run does not exist, or they do not
+ *           belong together (e.g. the result is not part of the run)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('crtdf', { project: fromBody() }), createRequest, async (req, res, next) => {
+  try {
+    const { title, description, reproduction_steps, expected_result, actual_result, severity, assignee, project_id } = req.body;
+
+    const project = await Project.findOne({ _id: project_id, isDeleted: false });
+    if (!project) {
+      return next(unprocessable('Invalid project ID'));
+    }
+    const assigneeError = await invalidAssignee(assignee);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+    const { links, error } = await resolveLinks(project_id, req.body);
+    if (error) {
+      return next(error);
+    }
+
+    const defect = new Defect({
+      title,
+      description,
+      reproduction_steps,
+      expected_result,
+      actual_result,
+      severity,
+      assignee,
+      project_id,
+      ...links,
+      created_by: req.user._id,
+      updated_by: req.user._id,
+    });
+    await defect.save();
+    await recordAudit(req, 'Defect', 'create', { after: defect });
+
+    res.status(201).json(defect);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/from-result:
+ *   post:
+ *     summary: Report a defect from a failed step result
+ *     description: >
+ *       Pre-fills the defect from the result: the title from the run and step, the reproduction steps
+ *       from the steps up to the failed one (within the same test case), the expected and actual
+ *       results, the result's notes as description, and links to the project, test plan, test case,
+ *       run and result. Fields given in the body override the pre-filled ones.
+ *     tags: [Defects]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               test_run_id:
+ *                 type: string
+ *               result_id:
+ *                 type: string
+ *                 description: ID of the step result within the run
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [trivial, minor, major, critical, blocker]
+ *               assignee:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Defect reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Defect'
+ *       400:
+ *         description: Request body failed validation
+ *       403:
+ *         description: Missing required permission (crtdf)
+ *       422:
+ *         description: The test run or assignee does not exist, the result is not part of the run, or the result did not fail
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/from-result', requirePermission('crtdf', { project: fromReference(TestRun, 'test_run_id') }), fromResultRequest, async (req, res, next) => {
+  try {
+    const { test_run_id, result_id, title, description, severity, assignee } = req.body;
+
+    const run = await TestRun.findOne({ _id: test_run_id, isDeleted: false });
+    if (!run) {
+      return next(unprocessable('Invalid test run ID'));
+    }
+    const result = run.steps.id(result_id);
+    if (!result) {
+      return next(unprocessable('The step result is not part of the test run'));
+    }
+    if (result.status !== 'failed') {
+      return next(unprocessable(`Only failed results can be reported as defects; this one is ${result.status}`));
+    }
+    const assigneeError = await invalidAssignee(assignee);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+
+    const defect = new Defect({
+      ...prefillFromResult(run, result),
+      ...(title !== undefined && { title }),
+      ...(description !== undefined && { description }),
+      severity,
+      assignee,
+      created_by: req.user._id,
+      updated_by: req.user._id,
+    });
+    await defect.save();
+    await recordAudit(req, 'Defect', 'create', { after: defect });
+
+    res.status(201).json(defect);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects:
+ *   get:
+ *     summary: Retrieve defects with pagination and filtering
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, resolved, closed, reopened]
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [trivial, minor, major, critical, blocker]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: Only defects assigned to this user ("none" for unassigned defects)
+ *       - in: query
+ *         name: test_plan_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: test_case_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: test_run_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Filter by title (case-insensitive)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: "Field to sort by (e.g., severity, status, createdAt); newest first by default"
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved defects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 defects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Defect'
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter
+ *       403:
+ *         description: Missing required permission (vwdef)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwdef', { anyProject: true }), listRequest, async (req, res, next) => {
+  try {
+    const { project_id, status, severity, assignee, test_plan_id, test_case_id, test_run_id, title } = req.query;
+    const { sortable } = queryableFields(Defect, ['isDeleted']);
+    const sort = parseSort(req.query, sortable, { createdAt: -1 });
+    const { page, limit, skip } = parsePage(req.query);
+
+    // Build filter object
+    const filter = { isDeleted: false };
+    if (project_id) filter.project_id = project_id;
+    if (status) filter.status = status;
+    if (severity) filter.severity = severity;
+    if (assignee) filter.assignee = assignee === 'none' ? null : assignee;
+    if (test_plan_id) filter.test_plan_id = test_plan_id;
+    if (test_case_id) filter.test_case_id = test_case_id;
+    if (test_run_id) filter.test_run_id = test_run_id;
+    if (title) filter.title = { $regex: escapeRegex(title), $options: 'i' }; // Case-insensitive substring search
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwdef');
+    if (visibleProjects) {
+      filter.project_id = project_id
+        ? { $in: visibleProjects.filter((visible) => visible.toString() === project_id) }
+        : { $in: visibleProjects };
+    }
+
+    const total = await Defect.countDocuments(filter);
+    const defects = await Defect.find(filter)
+      .populate('assignee', 'username email')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      defects,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/trash:
+ *   get:
+ *     summary: List deleted defects
+ *     description: >
+ *       Lists defects that were deleted directly, most recent first, in projects where the caller
+ *       holds dltdf. Pass cascaded=true to include defects deleted along with their project.
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: query
+ *         name: cascaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted defects with deletedAt, deleted_by and deleted_with
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (dltdf)
+ */
+router.get('/trash', requirePermission('dltdf', { anyProject: true }), validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const visibleProjects = await projectIdsWithPermission(req.user, 'dltdf');
+    const filter = visibleProjects ? { project_id: { $in: visibleProjects } } : {};
+    const { items, ...pageInfo } = await findTrash(Defect, req.query, filter);
+
+    res.status(200).json({ ...pageInfo, defects: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/{id}:
+ *   get:
+ *     summary: Retrieve a defect
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the defect
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The defect, with the assignee, creator and last editor populated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Defect'
+ *       304:
+ *         description: Defect unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwdef)
+ *       404:
+ *         description: Defect not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', requirePermission('vwdef', { project: defectProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const defect = await Defect.findOne({ _id: req.params.id, isDeleted: false }).populate(populated, 'username email');
+
+    if (!defect) {
+      return next(notFound('Defect not found'));
+    }
+
+    setETag(res, defect);
+    res.status(200).json(defect);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/{id}:
+ *   put:
+ *     summary: Update a defect, assign it or move it through the status workflow
+ *     description: >
+ *       Statuses follow the workflow open -> in_progress, resolved or closed; in_progress -> open,
+ *       resolved or closed; resolved -> closed or reopened; closed -> reopened; reopened ->
+ *       in_progress, resolved or closed. Pass assignee null to unassign.
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the defect
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               reproduction_steps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expected_result:
+ *                 type: string
+ *               actual_result:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [trivial, minor, major, critical, blocker]
+ *               status:
+ *                 type: string
+ *                 enum: [open, in_progress, resolved, closed, reopened]
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Defect updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Defect'
+ *       400:
+ *         description: At least one field must be provided
+ *       403:
+ *         description: Missing required permission (upddf)
+ *       404:
+ *         description: Defect not found
+ *       409:
+ *         description: The defect was modified concurrently
+ *       412:
+ *         description: The defect has changed since the ETag in If-Match
+ *       422:
+ *         description: The workflow does not allow this status change (INVALID_TRANSITION), or the assignee does not exist
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', requirePermission('upddf', { project: defectProject }), updateRequest, async (req, res, next) => {
+  try {
+    const { status, assignee } = req.body;
+
+    const defect = await Defect.findOne({ _id: req.params.id, isDeleted: false });
+    if (!defect) {
+      return next(notFound('Defect not found'));
+    }
+    const precondition = checkIfMatch(req, defect);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    if (status !== undefined && status !== defect.status && !Defect.canTransition(defect.status, status)) {
+      const allowed = Defect.TRANSITIONS[defect.status];
+      return next(unprocessable(`A ${defect.status} defect cannot become ${status}`, {
+        code: 'INVALID_TRANSITION',
+        details: [{ field: 'status', value: status, message: `Allowed from ${defect.status}: ${allowed.join(', ')}` }],
+      }));
+    }
+    const assigneeError = await invalidAssignee(assignee);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+
+    const before = snapshot(defect);
+    const previousStatus = defect.status;
+    Object.keys(updateFields).forEach((field) => {
+      if (req.body[field] !== undefined) defect[field] = req.body[field];
+    });
+    // Only a resolution stamps resolved_at; closing keeps it, or leaves it empty for a defect never resolved
+    if (status === 'reopened') {
+      defect.resolved_at = null;
+    } else if (status === 'resolved' && previousStatus !== 'resolved') {
+      defect.resolved_at = Date.now();
+    }
+    defect.updated_by = req.user._id;
+    await defect.save(); // Fails with a 409 if the defect changed since it was loaded
+    await recordAudit(req, 'Defect', 'update', { before, after: defect });
+
+    setETag(res, defect);
+    res.status(200).json(defect);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/{id}:
+ *   delete:
+ *     summary: Soft delete a defect
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the defect
+ *     responses:
+ *       200:
+ *         description: Defect soft deleted successfully
+ *       403:
+ *         description: Missing required permission (dltdf)
+ *       404:
+ *         description: Defect not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', requirePermission('dltdf', { project: defectProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const before = await Defect.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    const deletedDefect = before && await softDeleteOne(Defect, req.params.id, req.user);
+
+    if (!deletedDefect) {
+      return next(notFound('Defect not found'));
+    }
+    await recordAudit(req, 'Defect', 'delete', { before, after: deletedDefect });
+
+    res.status(200).json({
+      message: 'Defect soft deleted successfully',
+      defect: deletedDefect,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/defects/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted defect
+ *     description: Defects deleted along with their project come back by restoring the project instead.
+ *     tags: [Defects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the defect
+ *     responses:
+ *       200:
+ *         description: Defect restored successfully
+ *       403:
+ *         description: Missing required permission (dltdf)
+ *       404:
+ *         description: No deleted defect with this ID
+ *       422:
+ *         description: The defect was deleted with its project, or its project is still deleted
+ */
+router.post('/:id/restore', requirePermission('dltdf', { project: defectProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const defect = await Defect.findOne({ _id: req.params.id, isDeleted: true });
+    if (!defect) {
+      return next(notFound('Deleted defect not found'));
+    }
+
+    const cascadeError = cascadeRestoreError(defect, 'Defect');
+    if (cascadeError) {
+      return next(cascadeError);
+    }
+    if (!(await Project.exists({ _id: defect.project_id, isDeleted: false }))) {
+      return next(unprocessable('The defect\'s project is deleted; restore it first'));
+    }
+
+    const restoredDefect = await restoreOne(Defect, defect._id);
+    await recordAudit(req, 'Defect', 'restore', { before: defect, after: restoredDefect });
+
+    res.status(200).json({
+      message: 'Defect restored successfully',
+      defect: restoredDefect,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,52 @@
 const express = require('express');
 const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/authorize');
+const { parseListQuery } = require('../utils/listQuery');
+const { buildSearchFilter, buildSearchSort, parsePagination } = require('../utils/searchQuery');
+const { softDeleteOne, restoreOne, findTrash } = require('../utils/softDelete');
+const { validate, idParams, searchBody, trashQuery } = require('../middleware/validate');
+const { patchRequest } = require('../middleware/patch');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { findPermissionHolders } = require('../utils/permissions');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
 
 const router = express.Router();
 
+// Managing permissions is an admin-level capability
+router.use(requirePermission('mngpm'));
+
+// Editable permission fields
+const permissionFields = {
+  key: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  description: { type: 'string', trim: true, minLength: 1, maxLength: 500 },
+};
+
+// Request validation
+const listRequest = validate({ query: { deleted: { type: 'boolean' } } });
+const deleteRequest = validate({ params: idParams, query: { dryRun: { type: 'boolean' } } });
+const searchRequest = validate({ body: searchBody });
+const createRequest = validate({
+  body: {
+    key: { ...permissionFields.key, required: true },
+    name: { ...permissionFields.name, required: true },
+    description: { ...permissionFields.description, required: true },
+  },
+});
+const updateRequest = validate({ params: idParams, body: permissionFields, requireOneOf: Object.keys(permissionFields) });
+const patchPermissionRequest = patchRequest({
+  load: (req) => Permission.findOne({ _id: req.params.id, isDeleted: false }).lean(),
+  fields: permissionFields,
+  notFoundMessage: 'Permission not found',
+});
+
 /**
  * @swagger
  * tags:
  *   name: Permissions
- *   description: API for managing permissions
+ *   description: API for managing permissions (requires the mngpm permission)
  */
 
 /**
@@ -114,49 +153,185 @@ const router = express.Router();
  *                         format: date-time
  *                         description: "Timestamp when the permission was last updated"
  *                         example: "2024-12-23T16:21:52.933Z"
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: "Error message"
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.get('/', async (req, res) => {
+router.get('/', listRequest, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sortBy, order = 'asc', filterBy, filterTerm, deleted = false } = req.query;
-
-    const skip = (page - 1) * limit;
+    const { deleted = false } = req.query;
+    const { filter, sort, page, limit, skip } = parseListQuery(req.query, Permission, {
+      defaultSort: { createdAt: 1 },
+      exclude: ['isDeleted'],
+    });
 
-    // Build filter object
-    const filter = {};
-    if (filterBy && filterTerm) {
-      filter[filterBy] = { $regex: filterTerm, $options: 'i' }; // Case-insensitive regex search
-    }
     if (!deleted) {
       filter.isDeleted = false; // Exclude soft-deleted records by default
     }
 
-    // Build sorting object
-    const sortOrder = sortBy ? { [sortBy]: order === 'asc' ? 1 : -1 } : { createdAt: 1 };
-
     // Fetch total count and filtered records
     const total = await Permission.countDocuments(filter);
-    const permissions = await Permission.find(filter).sort(sortOrder).skip(skip).limit(parseInt(limit));
+    const permissions = await Permission.find(filter).sort(sort).skip(skip).limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      permissions,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Fields of a permission that can be searched and sorted on
+const SEARCH_FIELDS = {
+  key: 'string',
+  name: 'string',
+  description: 'string',
+  isDeleted: 'boolean',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+/**
+ * @swagger
+ * /api/permissions/search:
+ *   post:
+ *     summary: Search permissions with structured filters, sorting, and pagination
+ *     description: Searchable fields are key, name, description, isDeleted, createdAt and updatedAt.
+ *     tags: [Permissions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SearchRequest'
+ *     responses:
+ *       200:
+ *         description: Matching permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Malformed search, or a field that cannot be searched or sorted on
+ *       403:
+ *         description: Missing required permission (mngpm)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/search', searchRequest, async (req, res, next) => {
+  try {
+    const { pagination, where, sort } = req.body;
+    const { page, limit, skip } = parsePagination(pagination);
+
+    const filter = buildSearchFilter(where, SEARCH_FIELDS);
+
+    const total = await Permission.countDocuments(filter);
+    const permissions = await Permission.find(filter)
+      .sort(buildSearchSort(sort, SEARCH_FIELDS, { createdAt: 1 }))
+      .skip(skip)
+      .limit(limit);
 
     res.status(200).json({
       total,
-      page: parseInt(page),
+      page,
       totalPages: Math.ceil(total / limit),
       permissions,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/permissions/trash:
+ *   get:
+ *     summary: List deleted permissions
+ *     description: Lists soft-deleted permissions, most recently deleted first.
+ *     tags: [Permissions]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted permissions with deletedAt and deleted_by
+ *       400:
+ *         description: Invalid pagination parameter
+ *       403:
+ *         description: Missing required permission (mngpm)
+ */
+router.get('/trash', validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const { items, ...pageInfo } = await findTrash(Permission, req.query);
+
+    res.status(200).json({ ...pageInfo, permissions: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/permissions/unused:
+ *   get:
+ *     summary: List permissions that no role grants
+ *     description: >
+ *       Permissions not listed on any role that is not deleted. Inheritance does not matter here: a
+ *       permission only reaches users through a role that lists it.
+ *     tags: [Permissions]
+ *     responses:
+ *       200:
+ *         description: The unused permissions, sorted by key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Missing required permission (mngpm)
+ */
+router.get('/unused', async (req, res, next) => {
+  try {
+    const used = await Role.distinct('permissions', { isDeleted: false });
+    const permissions = await Permission.find({ _id: { $nin: used }, isDeleted: false }).sort({ key: 1 });
+
+    res.status(200).json({ total: permissions.length, permissions });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -175,6 +350,7 @@ router.get('/', async (req, res) => {
  *           type: string
  *           example: "67698e19fb25a1d1ae9f24f6"
  *         description: The unique identifier of the permission
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: A single permission object
@@ -209,21 +385,18 @@ router.get('/', async (req, res) => {
  *                   format: date-time
  *                   description: Timestamp when the permission was last updated
  *                   example: "2024-12-23T16:21:52.933Z"
+ *       304:
+ *         description: Permission unchanged since the ETag in If-None-Match
  *       404:
  *         description: Permission not found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "Permission not found"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
 */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -232,12 +405,103 @@ router.get('/:id', async (req, res) => {
     
     // Handle not found
     if (!permission || permission.isDeleted) {
-      return res.status(404).json({ error: 'Permission not found' });
+      return next(notFound('Permission not found'));
     }
     
+    setETag(res, permission);
     res.status(200).json(permission);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/permissions/{id}/holders:
+ *   get:
+ *     summary: List the roles and users that hold a permission
+ *     description: >
+ *       Roles that grant the permission directly or inherit it from one that does, and the users holding
+ *       one of those roles globally or in a project. Deleted roles and users are left out.
+ *     tags: [Permissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the permission
+ *     responses:
+ *       200:
+ *         description: The holders of the permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionHolders'
+ *       403:
+ *         description: Missing required permission (mngpm)
+ *       404:
+ *         description: Permission not found
+ *
+ * components:
+ *   schemas:
+ *     PermissionHolders:
+ *       type: object
+ *       properties:
+ *         permission:
+ *           type: object
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *               inherited:
+ *                 type: boolean
+ *                 description: The role gets the permission from a parent role rather than listing it
+ *         users:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               global_roles:
+ *                 type: array
+ *                 description: Keys of the user's global roles that grant the permission
+ *                 items:
+ *                   type: string
+ *               projects:
+ *                 type: array
+ *                 description: Projects where the user's membership role grants the permission
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     project_id:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ */
+router.get('/:id/holders', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const permission = await Permission.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!permission) {
+      return next(notFound('Permission not found'));
+    }
+
+    const holders = await findPermissionHolders(permission._id);
+    res.status(200).json({ permission, ...holders });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -310,39 +574,80 @@ router.get('/:id', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "Permission key and name must be unique"
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Permission key or name already exists
  *       500:
  *         description: Internal server error
  */
-router.post('/', async (req, res) => {
+router.post('/', createRequest, async (req, res, next) => {
   try {
     const { key, name, description } = req.body;
 
-    // Validate request body
-    if (!key || !name) {
-      return res.status(400).json({ error: 'Key and name are required' });
-    }
-
     // Create the permission
     const permission = new Permission({ key, name, description });
     await permission.save();
+    await recordAudit(req, 'Permission', 'create', { after: permission });
 
     res.status(201).json(permission);
   } catch (err) {
     if (err.code === 11000) {
       // Duplicate key or name error
-      res.status(400).json({ error: 'Permission key and name must be unique' });
-    } else {
-      res.status(500).json({ error: err.message });
+      return next(conflict('Permission key and name must be unique'));
     }
+    next(err);
   }
 });
 
+/**
+ * Apply the validated fields in req.body to a permission; shared by PUT and PATCH.
+ */
+const updatePermission = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Build update object
+    const updates = { ...req.body };
+    updates.updatedAt = Date.now(); // Update timestamp
+
+    // Find and update the permission
+    const before = req.patchBase || (await Permission.findOne({ _id: id, isDeleted: false }).lean());
+
+    // Handle not found
+    if (!before) {
+      return next(notFound('Permission not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    // Catalog permissions keep their key: roles and the next sync find them by it
+    if (before.system && req.body.key !== undefined && req.body.key !== before.key) {
+      return next(unprocessable('The key of a catalog permission cannot be changed', { code: 'SYSTEM_PERMISSION' }));
+    }
+
+    const updatedPermission = await Permission.findOneAndUpdate(
+      { _id: id, isDeleted: false, ...sameVersion(before) },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updatedPermission) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'Permission', 'update', { before, after: updatedPermission });
+
+    setETag(res, updatedPermission);
+    res.status(200).json(updatedPermission);
+  } catch (err) {
+    if (err.code === 11000) {
+      // Handle duplicate key or name error
+      return next(conflict('Duplicate key or name'));
+    }
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /api/permissions/{id}:
@@ -358,6 +663,7 @@ router.post('/', async (req, res) => {
  *           type: string
  *           example: "67698e19fb25a1d1ae9f24f6"
  *         description: The ID of the permission to update
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -420,72 +726,88 @@ router.post('/', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Permission not found"
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Duplicate key or name"
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Permission key or name already exists, or the permission was modified concurrently
+ *       412:
+ *         description: The permission has changed since the ETag in If-Match
+ *       422:
+ *         description: The key of a catalog permission cannot be changed (SYSTEM_PERMISSION)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { key, name, description } = req.body;
-
-    // Validation: Ensure at least one field to update is provided
-    if (!key && !name && !description) {
-      return res.status(400).json({ error: 'At least one field (key, name, or description) must be provided' });
-    }
-
-    // Build update object
-    const updates = {};
-    if (key) updates.key = key;
-    if (name) updates.name = name;
-    if (description) updates.description = description;
-    updates.updatedAt = Date.now(); // Update timestamp
-
-    // Find and update the permission
-    const updatedPermission = await Permission.findOneAndUpdate(
-      { _id: id },
-      updates,
-      { new: true, runValidators: true }
-    );
-
-    // Handle not found
-    if (!updatedPermission) {
-      return res.status(404).json({ error: 'Permission not found' });
-    }
+router.put('/:id', updateRequest, updatePermission);
 
-    res.status(200).json(updatedPermission);
-  } catch (err) {
-    if (err.code === 11000) {
-      // Handle duplicate key or name error
-      res.status(400).json({ error: 'Duplicate key or name' });
-    } else {
-      res.status(500).json({ error: err.message });
-    }
-  }
-});
+/**
+ * @swagger
+ * /api/permissions/{id}:
+ *   patch:
+ *     summary: Partially update a permission
+ *     description: >
+ *       Accepts a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902); plain application/json is read
+ *       as a merge patch. Key, name and description are all required, so none of them can be removed.
+ *     tags:
+ *       - Permissions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the permission to update
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *     responses:
+ *       200:
+ *         description: Permission updated successfully
+ *       400:
+ *         description: Malformed patch, or the patched permission fails validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission not found
+ *       409:
+ *         description: >
+ *           A patch operation does not fit the permission, a test operation failed, the key or name
+ *           already exists, or the permission was modified concurrently
+ *       412:
+ *         description: The permission has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is neither a merge patch nor a JSON Patch
+ *       422:
+ *         description: >
+ *           The JSON Patch addresses a field that cannot be changed, or the patch changes the key of
+ *           a catalog permission (SYSTEM_PERMISSION)
+ */
+router.patch('/:id', patchPermissionRequest, updatePermission);
 
 
 /**
@@ -493,6 +815,9 @@ router.put('/:id', async (req, res) => {
  * /api/permissions/{id}:
  *   delete:
  *     summary: Soft delete a permission
+ *     description: >
+ *       A deleted permission stops granting access through every role that holds it. Pass dryRun=true
+ *       first to see which roles and users would lose it; nothing is changed then.
  *     tags: 
  *       - Permissions
  *     parameters:
@@ -503,9 +828,17 @@ router.put('/:id', async (req, res) => {
  *           type: string
  *           example: "67698e19fb25a1d1ae9f24f6"
  *         description: The ID of the permission to soft delete
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report the impact of the delete (see PermissionHolders)
  *     responses:
  *       200:
- *         description: Permission soft deleted successfully
+ *         description: >
+ *           Permission soft deleted successfully, or with dryRun, the permission and the roles and
+ *           users that would lose it
  *         content:
  *           application/json:
  *             schema:
@@ -552,45 +885,92 @@ router.put('/:id', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Permission not found"
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: >
+ *           The permission belongs to the catalog and is managed by syncPermissions.js (SYSTEM_PERMISSION);
+ *           a dry run still reports its impact
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', deleteRequest, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Find and soft delete the permission
-    const updatedPermission = await Permission.findOneAndUpdate(
-      { _id: id },
-      { isDeleted: true, updatedAt: Date.now() },
-      { new: true }
-    );
+    const before = await Permission.findOne({ _id: id, isDeleted: false }).lean();
+    if (!before) {
+      return next(notFound('Permission not found'));
+    }
+    // A dry run only reports who would lose the permission
+    if (req.query.dryRun) {
+      const impact = await findPermissionHolders(before._id);
+      return res.status(200).json({ dryRun: true, permission: before, ...impact });
+    }
+
+    // Deleting a catalog permission would take it from every system role at once
+    if (before.system) {
+      return next(unprocessable('Catalog permissions cannot be deleted', { code: 'SYSTEM_PERMISSION' }));
+    }
+
+    // Soft delete the permission
+    const updatedPermission = await softDeleteOne(Permission, id, req.user);
 
     // Handle not found
     if (!updatedPermission) {
-      return res.status(404).json({ error: 'Permission not found' });
+      return next(notFound('Permission not found'));
     }
+    await recordAudit(req, 'Permission', 'delete', { before, after: updatedPermission });
 
     res.status(200).json({
       message: 'Permission soft deleted successfully',
       permission: updatedPermission,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/permissions/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted permission
+ *     tags: [Permissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The permission ID
+ *     responses:
+ *       200:
+ *         description: Permission restored successfully
+ *       403:
+ *         description: Missing required permission (mngpm)
+ *       404:
+ *         description: No deleted permission with this ID
+ */
+router.post('/:id/restore', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const before = await Permission.findOne({ _id: req.params.id, isDeleted: true }).lean();
+    const restoredPermission = before && await restoreOne(Permission, req.params.id);
+    if (!restoredPermission) {
+      return next(notFound('Deleted permission not found'));
+    }
+    await recordAudit(req, 'Permission', 'restore', { before, after: restoredPermission });
+
+    res.status(200).json({
+      message: 'Permission restored successfully',
+      permission: restoredPermission,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,369 @@
+const express = require('express');
+const ProjectMember = require('../models/ProjectMember');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/authorize');
+const { fromParam } = require('../utils/projectScope');
+const { permissionKeysForRoles, resolveProjectPermissionKeys } = require('../utils/permissions');
+const { validate, objectId, idParams } = require('../middleware/validate');
+const { notFound, conflict, forbidden, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+
+// Mounted under /api/projects/:id/members
+const router = express.Router({ mergeParams: true });
+
+// Request validation
+const memberParams = { ...idParams, userId: objectId };
+const listRequest = validate({ params: idParams });
+const addRequest = validate({ params: idParams, body: { user_id: objectId, role_id: objectId } });
+const updateRequest = validate({ params: memberParams, body: { role_id: objectId } });
+const removeRequest = validate({ params: memberParams });
+
+/**
+ * Check that the caller may manage a membership: managing members must not
+ * become a way to gain permissions or to overrule more privileged members, so
+ * the caller cannot change or remove their own membership, and every role
+ * involved (the member's current role and the role to assign) may only grant
+ * permissions, inherited ones included, that the caller holds in the project.
+ * @param {Object} req - Express request with `req.user`.
+ * @param {string} projectId - Project of the membership.
+ * @param {string} userId - Member being added, changed or removed.
+ * @param {Array<string>} roleIds - Roles the member holds or is to be given.
+ * @returns {Promise<ApiError|null>} A 403 naming the permissions the caller lacks, or null.
+ */
+const membershipError = async (req, projectId, userId, roleIds) => {
+  if (req.user._id.equals(userId)) {
+    return forbidden('You cannot change your own project membership');
+  }
+
+  const [granted, held] = await Promise.all([
+    permissionKeysForRoles(roleIds),
+    resolveProjectPermissionKeys(req.user, projectId),
+  ]);
+  const missing = [...granted].filter((key) => !held.has(key));
+  if (!missing.length) return null;
+  return forbidden('The member\'s role grants permissions you do not hold in this project', {
+    details: missing.map((permission) => ({ permission })),
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: ProjectMembers
+ *   description: API for assigning users a role within a single project
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   get:
+ *     summary: List the members of a project and their project role
+ *     tags: [ProjectMembers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Project members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       project_id:
+ *                         type: string
+ *                       user_id:
+ *                         type: object
+ *                         description: The member (username and email)
+ *                       role_id:
+ *                         type: object
+ *                         description: The member's role in this project (name and key)
+ *       403:
+ *         description: Missing required permission (vwprj)
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwprj', { project: fromParam() }), listRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const members = await ProjectMember.find({ project_id: id })
+      .populate('user_id', 'username email')
+      .populate('role_id', 'name key');
+
+    res.status(200).json({ members });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   post:
+ *     summary: Add a user to a project with a role
+ *     tags: [ProjectMembers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 example: "676a0f9cfb25a1d1ae9f2501"
+ *               role_id:
+ *                 type: string
+ *                 example: "67698e19fb25a1d1ae9f24f6"
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: >
+ *           Missing required permission (mngmb), the member is the caller, or the role grants
+ *           permissions the caller does not hold in the project (listed in details)
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: The user is already a member of the project
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('mngmb', { project: fromParam() }), addRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { user_id, role_id } = req.body;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    // Validate the referenced user and role
+    const user = await User.findOne({ _id: user_id, isDeleted: false });
+    if (!user) {
+      return next(unprocessable('Invalid user ID'));
+    }
+    const role = await Role.findOne({ _id: role_id, isDeleted: false });
+    if (!role) {
+      return next(unprocessable('Invalid role ID'));
+    }
+    const membershipDenied = await membershipError(req, id, user._id, [role._id]);
+    if (membershipDenied) {
+      return next(membershipDenied);
+    }
+
+    const member = new ProjectMember({ project_id: id, user_id, role_id, created_by: req.user._id });
+    await member.save();
+    await member.populate([
+      { path: 'user_id', select: 'username email' },
+      { path: 'role_id', select: 'name key' },
+    ]);
+    await recordAudit(req, 'ProjectMember', 'create', { after: member });
+
+    res.status(201).json(member);
+  } catch (err) {
+    if (err.code === 11000) {
+      // One membership per user and project
+      return next(conflict('User is already a member of this project'));
+    }
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role within the project
+ *     tags: [ProjectMembers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The member's user ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role_id:
+ *                 type: string
+ *                 example: "67698e19fb25a1d1ae9f24f6"
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: >
+ *           Missing required permission (mngmb), the member is the caller, or the member's current
+ *           or new role grants permissions the caller does not hold in the project (listed in details)
+ *       404:
+ *         description: Project or member not found
+ *       409:
+ *         description: The membership was modified concurrently
+ *       412:
+ *         description: The membership has changed since the ETag in If-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:userId', requirePermission('mngmb', { project: fromParam() }), updateRequest, async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role_id } = req.body;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const role = await Role.findOne({ _id: role_id, isDeleted: false });
+    if (!role) {
+      return next(unprocessable('Invalid role ID'));
+    }
+
+    const before = await ProjectMember.findOne({ project_id: id, user_id: userId }).lean();
+    if (!before) {
+      return next(notFound('Member not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+    const membershipDenied = await membershipError(req, id, before.user_id, [before.role_id, role._id]);
+    if (membershipDenied) {
+      return next(membershipDenied);
+    }
+
+    const member = await ProjectMember.findOneAndUpdate(
+      { _id: before._id, ...sameVersion(before) },
+      { role_id, updatedAt: Date.now() },
+      { new: true }
+    )
+      .populate('user_id', 'username email')
+      .populate('role_id', 'name key');
+
+    if (!member) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'ProjectMember', 'update', { before, after: member });
+
+    setETag(res, member);
+    res.status(200).json(member);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a user from the project
+ *     tags: [ProjectMembers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The member's user ID
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: >
+ *           Missing required permission (mngmb), the member is the caller, or the member's role
+ *           grants permissions the caller does not hold in the project (listed in details)
+ *       404:
+ *         description: Project or member not found
+ *       409:
+ *         description: The membership was modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:userId', requirePermission('mngmb', { project: fromParam() }), removeRequest, async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const before = await ProjectMember.findOne({ project_id: id, user_id: userId }).lean();
+    if (!before) {
+      return next(notFound('Member not found'));
+    }
+    const membershipDenied = await membershipError(req, id, before.user_id, [before.role_id]);
+    if (membershipDenied) {
+      return next(membershipDenied);
+    }
+
+    // The role checked above must still be the member's role when they are removed
+    const member = await ProjectMember.findOneAndDelete({ _id: before._id, ...sameVersion(before) });
+    if (!member) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'ProjectMember', 'delete', { before: member });
+
+    res.status(200).json({ message: 'Member removed successfully', member });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,50 @@
 const express = require('express');
 const Project = require('../models/Project');
+const { requirePermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { fromParam } = require('../utils/projectScope');
+const { queryableFields, parseSort, parsePage } = require('../utils/listQuery');
+const { escapeRegex, buildSearchFilter, buildSearchSort, parsePagination } = require('../utils/searchQuery');
+const { deleteProject, restoreCascade, findTrash } = require('../utils/softDelete');
+const { validate, idParams, searchBody, trashQuery } = require('../middleware/validate');
+const { patchRequest } = require('../middleware/patch');
+const { notFound } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { toUpdate } = require('../utils/patch');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+const projectMemberRoutes = require('./projectMembers');
+const suiteRoutes = require('./suites');
+const requirementRoutes = require('./requirements');
 
 const router = express.Router();
 
+// Editable project fields
+const projectFields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+};
+
+// Request validation
+const listQuery = validate({
+  query: {
+    name: { type: 'string', maxLength: 200 },
+    description: { type: 'string', maxLength: 200 },
+  },
+});
+const searchRequest = validate({ body: { ...searchBody, filters: { type: 'array', items: { type: 'object' } } } });
+const createBody = validate({ body: { ...projectFields, name: { ...projectFields.name, required: true } } });
+const updateRequest = validate({ params: idParams, body: projectFields, requireOneOf: Object.keys(projectFields) });
+const patchProjectRequest = patchRequest({
+  load: (req) => Project.findOne({ _id: req.params.id, isDeleted: false }).lean(),
+  fields: { ...projectFields, description: { ...projectFields.description, nullable: true } },
+  notFoundMessage: 'Project not found',
+});
+
+// Membership management lives in its own router
+router.use('/:id/members', projectMemberRoutes);
+router.use('/:id/suites', suiteRoutes);
+router.use('/:id/requirements', requirementRoutes);
+
 /**
  * @swagger
  * tags:
@@ -81,26 +123,33 @@ const router = express.Router();
  *                       updatedAt:
  *                         type: string
  *                         format: date-time
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
+ *       403:
+ *         description: Missing required permission (vwprj)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('vwprj', { anyProject: true }), listQuery, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, name, description, sortBy, order } = req.query;
+    const { name, description } = req.query;
+    const { sortable } = queryableFields(Project);
 
-    // Filters
-    const filter = {};
-    if (name) filter.name = { $regex: name, $options: 'i' }; // Case-insensitive filter
-    if (description) filter.description = { $regex: description, $options: 'i' };
-
-    // Sorting
-    const sortOrder = sortBy
-      ? { [sortBy]: order === 'desc' ? -1 : 1 }
-      : { createdAt: 1 }; // Default: sort by createdAt ascending
+    // Sorting (default: by creation date ascending) and pagination
+    const sortOrder = parseSort(req.query, sortable, { createdAt: 1 });
+    const { page, limit, skip } = parsePage(req.query);
 
-    // Pagination
-    const skip = (page - 1) * limit;
+    // Filters
+    const filter = { isDeleted: false }; // Exclude soft-deleted records
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwprj');
+    if (visibleProjects) filter._id = { $in: visibleProjects }; // Only projects the user is a member of
+    if (name) filter.name = { $regex: escapeRegex(name), $options: 'i' }; // Case-insensitive filter
+    if (description) filter.description = { $regex: escapeRegex(description), $options: 'i' };
 
     // Fetch projects
-    const projects = await Project.find(filter).sort(sortOrder).skip(skip).limit(parseInt(limit));
+    const projects = await Project.find(filter)
+      .populate('created_by updated_by', 'username email')
+      .sort(sortOrder)
+      .skip(skip)
+      .limit(limit);
 
     // Count total documents matching the filter
     const total = await Project.countDocuments(filter);
@@ -108,62 +157,130 @@ router.get('/', async (req, res) => {
 
     res.status(200).json({
       total,
-      page: parseInt(page),
+      page,
       totalPages,
       projects,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchClause:
+ *       type: object
+ *       description: >
+ *         A single condition (`field`, `op`, `value`) or exactly one group (`and`, `or`, `not`).
+ *         Operators are eq, ne, in, nin, gt, gte, lt, lte, range, exists, contains and startsWith.
+ *         `range` takes an object with any of gt/gte/lt/lte; `exists` takes true or false;
+ *         contains/startsWith are case-insensitive and only apply to text fields.
+ *         Date fields accept ISO 8601 strings. Groups nest at most 5 levels and hold at most 50 conditions.
+ *       properties:
+ *         field:
+ *           type: string
+ *           example: "name"
+ *         op:
+ *           type: string
+ *           enum: [eq, ne, in, nin, gt, gte, lt, lte, range, exists, contains, startsWith]
+ *           example: "contains"
+ *         value:
+ *           example: "checkout"
+ *         and:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SearchClause'
+ *         or:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SearchClause'
+ *         not:
+ *           $ref: '#/components/schemas/SearchClause'
+ *     SearchRequest:
+ *       type: object
+ *       properties:
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             page:
+ *               type: integer
+ *               example: 1
+ *             limit:
+ *               type: integer
+ *               maximum: 100
+ *               example: 10
+ *         where:
+ *           $ref: '#/components/schemas/SearchClause'
+ *         sort:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "name"
+ *               order:
+ *                 type: string
+ *                 enum:
+ *                   - asc
+ *                   - desc
+ *                 description: "Default: asc (desc for /api/projects/search)"
+ *                 example: "asc"
+ *       example:
+ *         pagination: { page: 1, limit: 10 }
+ *         where:
+ *           and:
+ *             - { field: "name", op: "startsWith", value: "Check" }
+ *             - { field: "createdAt", op: "range", value: { gte: "2024-01-01", lt: "2025-01-01" } }
+ *             - not: { field: "description", op: "exists", value: true }
+ *         sort:
+ *           - { field: "createdAt", order: "desc" }
+ */
+
+// Fields of a project that can be searched and sorted on
+const SEARCH_FIELDS = {
+  name: 'string',
+  description: 'string',
+  isDeleted: 'boolean',
+  created_by: 'objectId',
+  updated_by: 'objectId',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
 /**
  * @swagger
  * /api/projects/search:
  *   post:
- *     summary: Search projects with advanced filtering, sorting, and pagination
+ *     summary: Search projects with structured filters, sorting, and pagination
+ *     description: >
+ *       Searchable fields are name, description, isDeleted, created_by, updated_by, createdAt and updatedAt.
+ *       The legacy `filters` array of `{ key, term }` pairs is still accepted; each pair is treated as a
+ *       `contains` condition and ANDed with `where`. Sort keys without an `order` sort descending.
  *     tags: [Projects]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               pagination:
- *                 type: object
+ *             allOf:
+ *               - $ref: '#/components/schemas/SearchRequest'
+ *               - type: object
  *                 properties:
- *                   page:
- *                     type: integer
- *                     example: 1
- *                   limit:
- *                     type: integer
- *                     example: 10
- *               filters:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     key:
- *                       type: string
- *                       example: "name"
- *                     term:
- *                       type: string
- *                       example: "test"
- *               sort:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     field:
- *                       type: string
- *                       example: "name"
- *                     order:
- *                       type: string
- *                       enum:
- *                         - asc
- *                         - desc
- *                       example: "asc"
+ *                   filters:
+ *                     type: array
+ *                     deprecated: true
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           example: "name"
+ *                         term:
+ *                           type: string
+ *                           example: "test"
  *     responses:
  *       200:
  *         description: List of projects with pagination, filtering, and sorting info
@@ -198,30 +315,31 @@ router.get('/', async (req, res) => {
  *                       updatedAt:
  *                         type: string
  *                         format: date-time
+ *       400:
+ *         description: Malformed search, or a field that cannot be searched or sorted on
+ *       403:
+ *         description: Missing required permission (vwprj)
  */
 
-router.post('/search', async (req, res) => {
+router.post('/search', requirePermission('vwprj', { anyProject: true }), searchRequest, async (req, res, next) => {
   try {
-    const { pagination = {}, filters = [], sort = [] } = req.body;
-
-    // Extract pagination
-    const page = pagination.page || 1;
-    const limit = pagination.limit || 10;
-    const skip = (page - 1) * limit;
-
-    // Build the MongoDB filter object
-    const mongoFilter = filters.reduce((acc, { key, term }) => {
-      if (key && term) {
-        acc[key] = { $regex: term, $options: 'i' } // case-insensitive regex search
-      }
-      return acc;
-    }, {});
-
-    // Build sorting object
-    const sortOrder = sort.reduce((acc, { field, order }) => {
-      acc[field] = order === 'asc' ? 1 : -1;
-      return acc;
-    }, {});
+    const { pagination, filters = [], where, sort = [] } = req.body;
+    const { page, limit, skip } = parsePagination(pagination);
+
+    // Legacy { key, term } pairs become contains conditions ANDed with `where`
+    const clauses = filters
+      .filter(({ key, term } = {}) => key && term)
+      .map(({ key, term }) => ({ field: key, op: 'contains', value: term }));
+    if (where) clauses.push(where);
+
+    const conditions = [{ isDeleted: false }]; // Exclude soft-deleted records
+    if (clauses.length) conditions.push(buildSearchFilter({ and: clauses }, SEARCH_FIELDS));
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwprj');
+    if (visibleProjects) conditions.push({ _id: { $in: visibleProjects } }); // Only projects the user is a member of
+    const mongoFilter = { $and: conditions };
+
+    // Sort keys without an order have always been descending here
+    const sortOrder = buildSearchSort(sort, SEARCH_FIELDS, {}, { defaultOrder: 'desc' });
 
     // Query the database
     const projects = await Project.find(mongoFilter).sort(sortOrder).skip(skip).limit(limit);
@@ -234,6 +352,7 @@ router.post('/search', async (req, res) => {
       request: {
         pagination: { page, limit },
         filters,
+        where,
         sort
       },
       total,
@@ -242,11 +361,50 @@ router.post('/search', async (req, res) => {
       projects,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 
+/**
+ * @swagger
+ * /api/projects/trash:
+ *   get:
+ *     summary: List deleted projects
+ *     description: >
+ *       Lists projects that were deleted, most recent first, limited to projects where the caller
+ *       holds dltpr. Restoring one brings back everything its delete removed.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted projects with deletedAt and deleted_by
+ *       400:
+ *         description: Invalid pagination parameter
+ *       403:
+ *         description: Missing required permission (dltpr)
+ */
+router.get('/trash', requirePermission('dltpr', { anyProject: true }), validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const visibleProjects = await projectIdsWithPermission(req.user, 'dltpr');
+    const { items, ...pageInfo } = await findTrash(Project, req.query, visibleProjects ? { _id: { $in: visibleProjects } } : {});
+
+    res.status(200).json({ ...pageInfo, projects: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -260,6 +418,7 @@ router.post('/search', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The project ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: A single project
@@ -274,27 +433,34 @@ router.post('/search', async (req, res) => {
  *                   type: string
  *                 description:
  *                   type: string
+ *                 created_by:
+ *                   type: object
+ *                   description: User who created the project (username and email)
+ *                 updated_by:
+ *                   type: object
+ *                   description: User who last edited the project (username and email)
  *       404:
  *         description: Project not found
+ *       304:
+ *         description: Project unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwprj)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('vwprj', { project: fromParam() }), validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Find the project by ID
-    const project = await Project.findById(id);
+    const project = await Project.findOne({ _id: id, isDeleted: false }).populate('created_by updated_by', 'username email');
     if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+      return next(notFound('Project not found'));
     }
 
     // Return the project
+    setETag(res, project);
     res.status(200).json(project);
   } catch (err) {
-    // Handle invalid IDs or other errors
-    if (err.kind === 'ObjectId') {
-      return res.status(400).json({ error: 'Invalid project ID format' });
-    }
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -318,17 +484,54 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       201:
  *         description: Project created successfully
+ *       403:
+ *         description: Missing required permission (crtpr)
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('crtpr'), createBody, async (req, res, next) => {
   try {
-    const project = new Project(req.body);
+    // The authenticated user is recorded as creator and last editor
+    const project = new Project({ ...req.body, created_by: req.user._id, updated_by: req.user._id });
     await project.save();
+    await recordAudit(req, 'Project', 'create', { after: project });
     res.status(201).json(project);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+/**
+ * Apply the validated fields in req.body to a project; shared by PUT and PATCH.
+ */
+const updateProject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    // Only declared fields (null where a patch removed one); the creator stays fixed
+    const updates = toUpdate({ ...req.body, updated_by: req.user._id, updatedAt: Date.now() });
+
+    const before = req.patchBase || (await Project.findOne({ _id: id, isDeleted: false }).lean());
+    if (!before) {
+      return next(notFound('Project not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    // Only the version checked above is updated
+    const updatedProject = await Project.findOneAndUpdate({ _id: id, isDeleted: false, ...sameVersion(before) }, updates, { new: true })
+      .populate('created_by updated_by', 'username email');
+    if (!updatedProject) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'Project', 'update', { before, after: updatedProject });
+
+    setETag(res, updatedProject);
+    res.status(200).json(updatedProject);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -342,6 +545,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The project ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -358,28 +562,123 @@ router.post('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Project updated successfully
+ *       403:
+ *         description: Missing required permission (updpr)
+ *       409:
+ *         description: The project was modified concurrently
+ *       412:
+ *         description: The project has changed since the ETag in If-Match
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('updpr', { project: fromParam() }), updateRequest, updateProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   patch:
+ *     summary: Partially update a project by ID
+ *     description: >
+ *       Accepts a JSON Merge Patch (RFC 7396), where null removes the description,
+ *       or a JSON Patch (RFC 6902). Plain application/json is read as a merge patch.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Renamed Project"
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *                 example: null
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Malformed patch, or the patched project fails validation
+ *       403:
+ *         description: Missing required permission (updpr)
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A patch operation does not fit the project, a test operation failed, or the project was modified concurrently
+ *       412:
+ *         description: The project has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is neither a merge patch nor a JSON Patch
+ *       422:
+ *         description: The JSON Patch addresses a field that cannot be changed
+ */
+router.patch('/:id', requirePermission('updpr', { project: fromParam() }), patchProjectRequest, updateProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     summary: Delete a project by ID
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Project and everything in it soft deleted, with counts of the cascaded records
+ *       403:
+ *         description: Missing required permission (dltpr)
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/:id', requirePermission('dltpr', { project: fromParam() }), validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
 
-    const updatedProject = await Project.findByIdAndUpdate(id, updates, { new: true });
-    if (!updatedProject) {
-      return res.status(404).json({ error: 'Project not found' });
+    // Soft delete the project together with everything in it
+    const before = await Project.findOne({ _id: id, isDeleted: false }).lean();
+    const deleted = before && await deleteProject(id, req.user);
+    if (!deleted) {
+      return next(notFound('Project not found'));
     }
+    // The cascaded records carry deleted_with, so only the project itself is audited
+    await recordAudit(req, 'Project', 'delete', { before, after: deleted.project });
 
-    res.status(200).json(updatedProject);
+    res.status(200).json({
+      message: 'Project soft deleted successfully',
+      deletedSuites: deleted.suites,
+      deletedTestPlans: deleted.testPlans,
+      deletedTestCases: deleted.testCases,
+      deletedTestRuns: deleted.testRuns,
+      deletedRequirements: deleted.requirements,
+      deletedDefects: deleted.defects,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 /**
  * @swagger
- * /api/projects/{id}:
- *   delete:
- *     summary: Delete a project by ID
+ * /api/projects/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted project
+ *     description: Restores the project and the suites, test plans, test cases, test runs, requirements and defects its delete removed.
  *     tags: [Projects]
  *     parameters:
  *       - in: path
@@ -390,20 +689,34 @@ router.put('/:id', async (req, res) => {
  *         description: The project ID
  *     responses:
  *       200:
- *         description: Project deleted successfully
+ *         description: Project restored, with counts of the restored records
+ *       403:
+ *         description: Missing required permission (dltpr)
+ *       404:
+ *         description: No deleted project with this ID
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/restore', requirePermission('dltpr', { project: fromParam() }), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    const deletedProject = await Project.findByIdAndDelete(id);
-    if (!deletedProject) {
-      return res.status(404).json({ error: 'Project not found' });
+    const project = await Project.findOne({ _id: req.params.id, isDeleted: true });
+    if (!project) {
+      return next(notFound('Deleted project not found'));
     }
 
-    res.status(200).json({ message: 'Project deleted successfully' });
+    const { record, restored } = await restoreCascade(Project, project);
+    await recordAudit(req, 'Project', 'restore', { before: project, after: record });
+
+    res.status(200).json({
+      message: 'Project restored successfully',
+      project: record,
+      restoredSuites: restored.suites,
+      restoredTestPlans: restored.testPlans,
+      restoredTestCases: restored.testCases,
+      restoredTestRuns: restored.testRuns,
+      restoredRequirements: restored.requirements,
+      restoredDefects: restored.defects,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
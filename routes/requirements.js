@@ -0,0 +1,871 @@
+const express = require('express');
+const Requirement = require('../models/Requirement');
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const { requirePermission } = require('../middleware/authorize');
+const { fromParam } = require('../utils/projectScope');
+const { queryableFields, parseSort, parsePage } = require('../utils/listQuery');
+const { escapeRegex } = require('../utils/searchQuery');
+const { softDeleteOne, cascadeRestoreError, restoreOne, findTrash } = require('../utils/softDelete');
+const { buildTraceability, summarize } = require('../utils/traceability');
+const { validate, objectId, idParams, trashQuery } = require('../middleware/validate');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { setETag, checkIfMatch } = require('../utils/concurrency');
+
+// Mounted under /api/projects/:id/requirements
+const router = express.Router({ mergeParams: true });
+
+const PRIORITIES = Requirement.schema.path('priority').enumValues;
+const projectScope = { project: fromParam() };
+
+// Editable requirement fields
+const linkRule = {
+  type: 'array',
+  items: { type: 'objectId' },
+  custom: (ids) => (new Set(ids).size === ids.length ? undefined : 'cannot list a test twice'),
+};
+const requirementFields = {
+  external_id: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  priority: { type: 'string', enum: PRIORITIES },
+  test_plans: linkRule,
+  test_cases: linkRule,
+};
+
+// Request validation
+const requirementParams = { ...idParams, requirementId: objectId };
+const createRequest = validate({
+  params: idParams,
+  body: {
+    ...requirementFields,
+    external_id: { ...requirementFields.external_id, required: true },
+    title: { ...requirementFields.title, required: true },
+  },
+});
+const listRequest = validate({
+  params: idParams,
+  query: { priority: { type: 'string', enum: PRIORITIES }, title: { type: 'string' } },
+});
+const matrixRequest = validate({
+  params: idParams,
+  query: { priority: { type: 'string', enum: PRIORITIES }, uncovered: { type: 'boolean' } },
+});
+const requirementRequest = validate({ params: requirementParams });
+const trashRequest = validate({ params: idParams, query: trashQuery });
+const updateRequest = validate({
+  params: requirementParams,
+  body: requirementFields,
+  requireOneOf: Object.keys(requirementFields),
+});
+
+// Linked tests, limited to live ones, with the fields the matrix shows
+const linkedTests = [
+  { path: 'test_plans', match: { isDeleted: false }, select: 'name' },
+  { path: 'test_cases', match: { isDeleted: false }, select: 'title' },
+];
+
+/**
+ * Check whether a live requirement of the project already uses an external id.
+ * @param {string} projectId - Project of the requirement.
+ * @param {string} externalId - Proposed external id.
+ * @param {string} [excludeId] - Requirement being updated.
+ * @returns {Promise<boolean>}
+ */
+const externalIdTaken = async (projectId, externalId, excludeId) => {
+  const filter = { project_id: projectId, external_id: externalId, isDeleted: false };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Boolean(await Requirement.exists(filter));
+};
+
+/**
+ * Check that linked tests are live tests of the project.
+ * @param {string} projectId - Project of the requirement.
+ * @param {Object} links - `{ test_plans, test_cases }` from the request body; either may be missing.
+ * @returns {Promise<ApiError|null>} A 422 listing the tests that cannot be linked, or null.
+ */
+const invalidLinks = async (projectId, { test_plans: planIds = [], test_cases: caseIds = [] }) => {
+  const [plans, cases] = await Promise.all([
+    TestPlan.find({ _id: { $in: planIds }, project_id: projectId, isDeleted: false }).select('_id').lean(),
+    TestCase.find({ _id: { $in: caseIds }, project_id: projectId, isDeleted: false }).select('_id').lean(),
+  ]);
+  const missing = (field, ids, found) => {
+    const existing = new Set(found.map((doc) => doc._id.toString()));
+    return ids
+      .filter((id) => !existing.has(id.toString()))
+      .map((value) => ({ field, value, message: `${value} is not a test of this project` }));
+  };
+
+  const details = [...missing('test_plans', planIds, plans), ...missing('test_cases', caseIds, cases)];
+  return details.length ? unprocessable('Linked tests must be live tests of the same project', { details }) : null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Requirements
+ *   description: API for a project's requirements, the tests covering them and the traceability matrix
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Requirement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676e4f50fb25a1d1ae9f2a10"
+ *         external_id:
+ *           type: string
+ *           description: Id in the product's tracker; unique among the project's requirements
+ *           example: "REQ-42"
+ *         title:
+ *           type: string
+ *           example: "Users can pay with a saved card"
+ *         description:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         project_id:
+ *           type: string
+ *         test_plans:
+ *           type: array
+ *           description: Test plans covering the requirement
+ *           items:
+ *             type: string
+ *         test_cases:
+ *           type: array
+ *           description: Test cases covering the requirement
+ *           items:
+ *             type: string
+ *         isDeleted:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *         updated_by:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     LatestRun:
+ *       type: object
+ *       nullable: true
+ *       description: The test's latest execution; null when it never ran
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The test run
+ *         test_plan_id:
+ *           type: string
+ *           description: Test plan the run executed (test cases only)
+ *         status:
+ *           type: string
+ *           description: For a test case, the outcome of its steps in the run
+ *           enum: [in_progress, passed, failed, blocked, incomplete, not_run, aborted]
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *     TraceabilityRow:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         external_id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         priority:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [uncovered, failed, blocked, not_run, incomplete, passed]
+ *           description: >
+ *             uncovered without live linked tests, otherwise the worst status among them: failed, blocked,
+ *             not_run (a test that never ran), incomplete (an unfinished or aborted run), then passed
+ *         test_plans:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               latest_run:
+ *                 $ref: '#/components/schemas/LatestRun'
+ *         test_cases:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               latest_run:
+ *                 $ref: '#/components/schemas/LatestRun'
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/traceability:
+ *   get:
+ *     summary: Get the project's traceability matrix
+ *     description: >
+ *       Lists every requirement with its linked tests, their latest execution and the resulting
+ *       requirement status, sorted by external id. Requirements without live linked tests are
+ *       reported as uncovered.
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: uncovered
+ *         schema:
+ *           type: boolean
+ *         description: true lists only uncovered requirements, false only covered ones
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *     responses:
+ *       200:
+ *         description: The matrix, with the number of requirements per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project_id:
+ *                   type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     uncovered:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     blocked:
+ *                       type: integer
+ *                     not_run:
+ *                       type: integer
+ *                     incomplete:
+ *                       type: integer
+ *                     passed:
+ *                       type: integer
+ *                 requirements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TraceabilityRow'
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (vwreq)
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/traceability', requirePermission('vwreq', projectScope), matrixRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { priority, uncovered } = req.query;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const filter = { project_id: id, isDeleted: false };
+    if (priority) filter.priority = priority;
+    const requirements = await Requirement.find(filter).sort({ external_id: 1 }).populate(linkedTests).lean();
+
+    let rows = await buildTraceability(requirements);
+    if (uncovered !== undefined) {
+      rows = rows.filter((row) => (row.status === 'uncovered') === uncovered);
+    }
+
+    res.status(200).json({ project_id: project._id, summary: summarize(rows), requirements: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements:
+ *   get:
+ *     summary: List the requirements of a project
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Filter by title (case-insensitive)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: "Field to sort by (e.g., external_id, priority, createdAt)"
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of requirements, by external id unless sortBy is given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 requirements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Requirement'
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter
+ *       403:
+ *         description: Missing required permission (vwreq)
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwreq', projectScope), listRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { priority, title } = req.query;
+    const { sortable } = queryableFields(Requirement, ['isDeleted']);
+    const sort = parseSort(req.query, sortable, { external_id: 1 });
+    const { page, limit, skip } = parsePage(req.query);
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const filter = { project_id: id, isDeleted: false };
+    if (priority) filter.priority = priority;
+    if (title) filter.title = { $regex: escapeRegex(title), $options: 'i' }; // Case-insensitive substring search
+
+    const total = await Requirement.countDocuments(filter);
+    const requirements = await Requirement.find(filter).sort(sort).skip(skip).limit(limit);
+
+    res.status(200).json({ total, page, totalPages: Math.ceil(total / limit), requirements });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements:
+ *   post:
+ *     summary: Create a requirement
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               external_id:
+ *                 type: string
+ *                 example: "REQ-42"
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               test_plans:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               test_cases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Requirement created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Requirement'
+ *       400:
+ *         description: Request validation failed (e.g. title is missing, or a test is listed twice)
+ *       403:
+ *         description: Missing required permission (crtrq)
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Another requirement of the project has this external id
+ *       422:
+ *         description: A linked test is not a live test of this project
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('crtrq', projectScope), createRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { external_id, title, description, priority, test_plans, test_cases } = req.body;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+    if (await externalIdTaken(id, external_id)) {
+      return next(conflict('A requirement with this external id already exists'));
+    }
+    const linkError = await invalidLinks(id, req.body);
+    if (linkError) {
+      return next(linkError);
+    }
+
+    const requirement = new Requirement({
+      external_id,
+      title,
+      description,
+      priority,
+      test_plans,
+      test_cases,
+      project_id: id,
+      created_by: req.user._id,
+      updated_by: req.user._id,
+    });
+    await requirement.save();
+    await recordAudit(req, 'Requirement', 'create', { after: requirement });
+
+    res.status(201).json(requirement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/trash:
+ *   get:
+ *     summary: List the project's deleted requirements
+ *     description: >
+ *       Lists requirements that were deleted directly, most recent first. Pass cascaded=true to
+ *       include requirements deleted along with their project.
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: cascaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted requirements with deletedAt, deleted_by and deleted_with
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (dltrq)
+ */
+router.get('/trash', requirePermission('dltrq', projectScope), trashRequest, async (req, res, next) => {
+  try {
+    const { items, ...pageInfo } = await findTrash(Requirement, req.query, { project_id: req.params.id });
+
+    res.status(200).json({ ...pageInfo, requirements: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/{requirementId}:
+ *   get:
+ *     summary: Get a requirement with its live linked tests
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The requirement ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The requirement, with test_plans and test_cases populated (name and title)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Requirement'
+ *       304:
+ *         description: Requirement unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwreq)
+ *       404:
+ *         description: Requirement not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:requirementId', requirePermission('vwreq', projectScope), requirementRequest, async (req, res, next) => {
+  try {
+    const { id, requirementId } = req.params;
+
+    const requirement = await Requirement.findOne({ _id: requirementId, project_id: id, isDeleted: false }).populate(linkedTests);
+    if (!requirement) {
+      return next(notFound('Requirement not found'));
+    }
+
+    setETag(res, requirement);
+    res.status(200).json(requirement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/{requirementId}/traceability:
+ *   get:
+ *     summary: Get a requirement's row of the traceability matrix
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The requirement ID
+ *     responses:
+ *       200:
+ *         description: The requirement's linked tests, their latest execution and its status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TraceabilityRow'
+ *       403:
+ *         description: Missing required permission (vwreq)
+ *       404:
+ *         description: Requirement not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:requirementId/traceability', requirePermission('vwreq', projectScope), requirementRequest, async (req, res, next) => {
+  try {
+    const { id, requirementId } = req.params;
+
+    const requirement = await Requirement.findOne({ _id: requirementId, project_id: id, isDeleted: false })
+      .populate(linkedTests)
+      .lean();
+    if (!requirement) {
+      return next(notFound('Requirement not found'));
+    }
+
+    const [row] = await buildTraceability([requirement]);
+    res.status(200).json(row);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/{requirementId}:
+ *   put:
+ *     summary: Update a requirement or replace its linked tests
+ *     description: test_plans and test_cases, when given, replace the current links.
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The requirement ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               external_id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               test_plans:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               test_cases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Requirement updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Requirement'
+ *       400:
+ *         description: At least one field must be provided
+ *       403:
+ *         description: Missing required permission (updrq)
+ *       404:
+ *         description: Requirement not found
+ *       409:
+ *         description: Another requirement has this external id, or the requirement was modified concurrently
+ *       412:
+ *         description: The requirement has changed since the ETag in If-Match
+ *       422:
+ *         description: A linked test is not a live test of this project
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:requirementId', requirePermission('updrq', projectScope), updateRequest, async (req, res, next) => {
+  try {
+    const { id, requirementId } = req.params;
+
+    const requirement = await Requirement.findOne({ _id: requirementId, project_id: id, isDeleted: false });
+    if (!requirement) {
+      return next(notFound('Requirement not found'));
+    }
+    const precondition = checkIfMatch(req, requirement);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    const { external_id } = req.body;
+    if (external_id !== undefined && (await externalIdTaken(id, external_id, requirement._id))) {
+      return next(conflict('A requirement with this external id already exists'));
+    }
+    const linkError = await invalidLinks(id, req.body);
+    if (linkError) {
+      return next(linkError);
+    }
+
+    const before = snapshot(requirement);
+    Object.keys(requirementFields).forEach((field) => {
+      if (req.body[field] !== undefined) requirement[field] = req.body[field];
+    });
+    requirement.updated_by = req.user._id;
+    await requirement.save(); // Fails with a 409 if the requirement changed since it was loaded
+    await recordAudit(req, 'Requirement', 'update', { before, after: requirement });
+
+    setETag(res, requirement);
+    res.status(200).json(requirement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/{requirementId}:
+ *   delete:
+ *     summary: Soft delete a requirement
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The requirement ID
+ *     responses:
+ *       200:
+ *         description: Requirement soft deleted successfully
+ *       403:
+ *         description: Missing required permission (dltrq)
+ *       404:
+ *         description: Requirement not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:requirementId', requirePermission('dltrq', projectScope), requirementRequest, async (req, res, next) => {
+  try {
+    const { id, requirementId } = req.params;
+
+    const before = await Requirement.findOne({ _id: requirementId, project_id: id, isDeleted: false }).lean();
+    const deletedRequirement = before && await softDeleteOne(Requirement, requirementId, req.user);
+    if (!deletedRequirement) {
+      return next(notFound('Requirement not found'));
+    }
+    await recordAudit(req, 'Requirement', 'delete', { before, after: deletedRequirement });
+
+    res.status(200).json({
+      message: 'Requirement soft deleted successfully',
+      requirement: deletedRequirement,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/requirements/{requirementId}/restore:
+ *   post:
+ *     summary: Restore a deleted requirement
+ *     description: Requirements deleted along with their project come back by restoring the project instead.
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The requirement ID
+ *     responses:
+ *       200:
+ *         description: Requirement restored successfully
+ *       403:
+ *         description: Missing required permission (dltrq)
+ *       404:
+ *         description: No deleted requirement with this ID in the project
+ *       409:
+ *         description: Another requirement now uses the same external id
+ *       422:
+ *         description: The requirement was deleted with its project, or its project is still deleted
+ */
+router.post('/:requirementId/restore', requirePermission('dltrq', projectScope), requirementRequest, async (req, res, next) => {
+  try {
+    const { id, requirementId } = req.params;
+
+    const requirement = await Requirement.findOne({ _id: requirementId, project_id: id, isDeleted: true });
+    if (!requirement) {
+      return next(notFound('Deleted requirement not found'));
+    }
+
+    const cascadeError = cascadeRestoreError(requirement, 'Requirement');
+    if (cascadeError) {
+      return next(cascadeError);
+    }
+    if (!(await Project.exists({ _id: id, isDeleted: false }))) {
+      return next(unprocessable('The project is deleted; restore it first'));
+    }
+    if (await externalIdTaken(id, requirement.external_id)) {
+      return next(conflict('A requirement with this external id already exists'));
+    }
+
+    const restoredRequirement = await restoreOne(Requirement, requirement._id);
+    await recordAudit(req, 'Requirement', 'restore', { before: requirement, after: restoredRequirement });
+
+    res.status(200).json({
+      message: 'Requirement restored successfully',
+      requirement: restoredRequirement,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { validate, objectId, idParams } = require('../middleware/validate');
+const { notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+const { checkCriticalPermissions } = require('../utils/catalog');
+
+// Mounted under /api/roles/:id/permissions, behind the roles router's mngrl check
+const router = express.Router({ mergeParams: true });
+
+// Request validation
+const keyList = {
+  type: 'array',
+  minLength: 1,
+  maxLength: 100,
+  items: { type: 'string', trim: true, minLength: 1 },
+};
+const grantRequest = validate({
+  params: idParams,
+  body: { permission_id: { type: 'objectId' }, keys: keyList },
+  requireOneOf: ['permission_id', 'keys'],
+});
+const revokeRequest = validate({ params: { ...idParams, permissionId: objectId } });
+const revokeByKeyRequest = validate({ params: idParams, query: { keys: { type: 'string', required: true, minLength: 1 } } });
+
+/**
+ * Look up permissions by ID or key and report the ones that are missing.
+ * @param {Object} lookup - `{ ids }` or `{ keys }`.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted] - Also accept soft-deleted permissions.
+ * @returns {Promise<{ permissions: Array<Object>, missing: Array<string> }>}
+ */
+const findPermissions = async ({ ids, keys }, { includeDeleted = false } = {}) => {
+  const filter = ids ? { _id: { $in: ids } } : { key: { $in: keys } };
+  if (!includeDeleted) filter.isDeleted = false;
+
+  const permissions = await Permission.find(filter).select('key name').lean();
+  const found = new Set(permissions.map((permission) => (ids ? String(permission._id) : permission.key)));
+  return { permissions, missing: (ids || keys).filter((value) => !found.has(String(value))) };
+};
+
+/**
+ * The 422 for permissions that do not exist (or are deleted).
+ */
+const unknownPermissions = (missing, field) =>
+  unprocessable('Invalid permissions provided', {
+    details: missing.map((value) => ({ field, value, message: `${value} is not an existing permission` })),
+  });
+
+/**
+ * Atomically add or remove permission ids on a role. Concurrent grants and
+ * revokes by other admins are merged rather than overwritten; only an
+ * `If-Match` header ties the change to the version it names. Revokes from a
+ * system role are always tied to the version its critical permissions were
+ * checked against.
+ * @returns {Promise<Object>} The role after the change.
+ * @throws {ApiError} 404 if the role was deleted meanwhile, 409 if it changed despite If-Match.
+ */
+const changePermissions = async (req, before, operator, ids) => {
+  const versioned = Boolean(req.get('If-Match')) || (operator === '$pull' && before.system);
+  const conditional = versioned ? sameVersion(before) : {};
+  const values = operator === '$addToSet' ? { $each: ids } : { $in: ids };
+
+  const updatedRole = await Role.findOneAndUpdate(
+    { _id: before._id, isDeleted: false, ...conditional },
+    { [operator]: { permissions: values }, $set: { updatedAt: Date.now() } },
+    { new: true }
+  );
+  if (!updatedRole) {
+    throw versioned ? concurrentModification() : notFound('Role not found');
+  }
+  await recordAudit(req, 'Role', 'update', { before, after: updatedRole });
+  return updatedRole;
+};
+
+/**
+ * Refuse to revoke a system role's critical permissions.
+ * @throws {ApiError} 422 (SYSTEM_ROLE) naming the permissions that would be lost.
+ */
+const checkRevoke = async (role, removed) => {
+  const remaining = role.permissions.filter((id) => !removed.includes(String(id)));
+  const stripped = await checkCriticalPermissions(role, { permissions: remaining });
+  if (stripped) throw stripped;
+};
+
+/**
+ * Load the role being changed and check If-Match against it.
+ * @returns {Promise<Object>} The role (lean).
+ * @throws {ApiError} 404 for an unknown or deleted role, 412 for a stale If-Match.
+ */
+const findRole = async (req) => {
+  const role = await Role.findOne({ _id: req.params.id, isDeleted: false }).lean();
+  if (!role) throw notFound('Role not found');
+
+  const precondition = checkIfMatch(req, role);
+  if (precondition) throw precondition;
+  return role;
+};
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   post:
+ *     summary: Grant a role one permission by ID, or several by key
+ *     description: >
+ *       Adds the permissions without touching the rest of the role's list, so concurrent grants and revokes
+ *       by other admins are kept. Permissions the role already has are skipped; if nothing is new the role
+ *       is left unchanged. Permissions must exist and not be deleted.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the role
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               permission_id:
+ *                 type: string
+ *                 description: The permission to grant
+ *                 example: "61e8f8e5b9c3b3f51f16e13a"
+ *               keys:
+ *                 type: array
+ *                 description: Keys of the permissions to grant (instead of permission_id)
+ *                 items:
+ *                   type: string
+ *                 example: ["vwprj", "vwttp"]
+ *     responses:
+ *       200:
+ *         description: The role, and the IDs of the permissions that were added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 added:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 role:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role was modified since the ETag in If-Match was read
+ *       412:
+ *         description: The role has changed since the ETag in If-Match
+ *       422:
+ *         description: A permission does not exist or is deleted
+ */
+router.post('/', grantRequest, async (req, res, next) => {
+  try {
+    const { permission_id, keys } = req.body;
+
+    const lookup = keys ? { keys: [...new Set(keys)] } : { ids: [permission_id] };
+    const { permissions, missing } = await findPermissions(lookup);
+    if (missing.length) {
+      return next(unknownPermissions(missing, keys ? 'keys' : 'permission_id'));
+    }
+
+    const role = await findRole(req);
+
+    const held = new Set(role.permissions.map(String));
+    const added = permissions.map((permission) => String(permission._id)).filter((id) => !held.has(id));
+    if (!added.length) {
+      setETag(res, role);
+      return res.status(200).json({ message: 'Role already has these permissions', added, role });
+    }
+
+    const updatedRole = await changePermissions(req, role, '$addToSet', added);
+
+    setETag(res, updatedRole);
+    res.status(200).json({ message: 'Permissions granted', added, role: updatedRole });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   delete:
+ *     summary: Revoke several permissions from a role by key
+ *     description: >
+ *       Removes the permissions without touching the rest of the role's list. Keys the role does not hold
+ *       are skipped. Deleted permissions can be revoked too.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the role
+ *       - in: query
+ *         name: keys
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "vwprj,vwttp"
+ *         description: Comma-separated keys of the permissions to revoke
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: The role, and the IDs of the permissions that were removed
+ *       400:
+ *         description: keys is missing
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role was modified since the ETag in If-Match was read
+ *       412:
+ *         description: The role has changed since the ETag in If-Match
+ *       422:
+ *         description: >
+ *           A key does not name an existing permission, or the role is a system role that must keep one of
+ *           them (SYSTEM_ROLE)
+ */
+router.delete('/', revokeByKeyRequest, async (req, res, next) => {
+  try {
+    const keys = [...new Set(req.query.keys.split(',').map((key) => key.trim()).filter(Boolean))];
+
+    const { permissions, missing } = await findPermissions({ keys }, { includeDeleted: true });
+    if (missing.length) {
+      return next(unknownPermissions(missing, 'keys'));
+    }
+
+    const role = await findRole(req);
+
+    const held = new Set(role.permissions.map(String));
+    const removed = permissions.map((permission) => String(permission._id)).filter((id) => held.has(id));
+    if (!removed.length) {
+      setETag(res, role);
+      return res.status(200).json({ message: 'Role has none of these permissions', removed, role });
+    }
+
+    await checkRevoke(role, removed);
+    const updatedRole = await changePermissions(req, role, '$pull', removed);
+
+    setETag(res, updatedRole);
+    res.status(200).json({ message: 'Permissions revoked', removed, role: updatedRole });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions/{permissionId}:
+ *   delete:
+ *     summary: Revoke one permission from a role
+ *     description: Removes the permission without touching the rest of the role's list.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the role
+ *       - in: path
+ *         name: permissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the permission to revoke
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       404:
+ *         description: Role not found, or the role does not have the permission
+ *       409:
+ *         description: The role was modified since the ETag in If-Match was read
+ *       412:
+ *         description: The role has changed since the ETag in If-Match
+ *       422:
+ *         description: The role is a system role that must keep this permission (SYSTEM_ROLE)
+ */
+router.delete('/:permissionId', revokeRequest, async (req, res, next) => {
+  try {
+    const { permissionId } = req.params;
+
+    const role = await findRole(req);
+    if (!role.permissions.some((id) => String(id) === permissionId)) {
+      return next(notFound('The role does not have this permission'));
+    }
+
+    await checkRevoke(role, [permissionId]);
+    const updatedRole = await changePermissions(req, role, '$pull', [permissionId]);
+
+    setETag(res, updatedRole);
+    res.status(200).json({ message: 'Permission revoked', removed: [permissionId], role: updatedRole });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
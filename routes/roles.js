@@ -1,14 +1,90 @@
 const express = require('express');
 const Role = require('../models/Role');
 const Permission = require('../models/Permission');
+const { requirePermission } = require('../middleware/authorize');
+const { parseListQuery } = require('../utils/listQuery');
+const { buildSearchFilter, buildSearchSort, parsePagination } = require('../utils/searchQuery');
+const { softDeleteOne, restoreOne, findTrash } = require('../utils/softDelete');
+const { validate, idParams, searchBody, trashQuery } = require('../middleware/validate');
+const { patchRequest } = require('../middleware/patch');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+const { findInheritanceCycle, resolveEffectivePermissions } = require('../utils/roleInheritance');
+const { checkCriticalPermissions } = require('../utils/catalog');
+const rolePermissionRoutes = require('./rolePermissions');
 
 const router = express.Router();
 
+// Managing roles is an admin-level capability
+router.use(requirePermission('mngrl'));
+
+// Editable role fields
+const roleFields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  key: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+  permissions: { type: 'array', items: { type: 'objectId' } },
+  parent_roles: {
+    type: 'array',
+    items: { type: 'objectId' },
+    custom: (ids) => (new Set(ids).size === ids.length ? undefined : 'cannot list a role twice'),
+  },
+};
+
+// Request validation
+const createRequest = validate({
+  body: {
+    name: { ...roleFields.name, required: true },
+    key: { ...roleFields.key, required: true },
+    permissions: { ...roleFields.permissions, required: true },
+    parent_roles: roleFields.parent_roles,
+  },
+});
+const searchRequest = validate({ body: searchBody });
+const updateRequest = validate({ params: idParams, body: roleFields, requireOneOf: Object.keys(roleFields) });
+const patchRoleRequest = patchRequest({
+  load: (req) => Role.findOne({ _id: req.params.id, isDeleted: false }).lean(),
+  fields: roleFields,
+  notFoundMessage: 'Role not found',
+});
+
+// Granting and revoking individual permissions lives in its own router
+router.use('/:id/permissions', rolePermissionRoutes);
+
+/**
+ * Check that every permission ID names an existing, non-deleted permission.
+ * @param {Array<string>} permissions - Permission IDs.
+ * @returns {Promise<boolean>}
+ */
+const permissionsExist = async (permissions) => {
+  const count = await Permission.countDocuments({ _id: { $in: permissions }, isDeleted: false });
+  return count === new Set(permissions).size;
+};
+
+/**
+ * Check that every role ID names an existing, non-deleted role.
+ * @param {Array<string>} roles - Role IDs.
+ * @returns {Promise<boolean>}
+ */
+const rolesExist = async (roles) => {
+  const count = await Role.countDocuments({ _id: { $in: roles }, isDeleted: false });
+  return count === new Set(roles).size;
+};
+
+/**
+ * The 422 for parent roles that would make a role inherit from itself.
+ */
+const inheritanceCycle = (cycle) =>
+  unprocessable(`Role inheritance cannot form a cycle: ${cycle.map((role) => role.name).join(' -> ')}`, {
+    code: 'ROLE_INHERITANCE_CYCLE',
+    details: cycle,
+  });
+
 /**
  * @swagger
  * tags:
  *   name: Roles
- *   description: API for managing roles
+ *   description: API for managing roles (requires the mngrl permission)
  */
 
 /**
@@ -32,25 +108,17 @@ const router = express.Router();
  *                 type: string
  *                 description: Unique key for the role
  *                 example: "TESTR"
- *               description:
- *                 type: string
- *                 description: Detailed description of the role
- *                 example: "This role is for people performing evaluations for QA."
- *               isDetleted:
- *                 type: boolean
- *                 description: Set for soft deletes
- *               createdAt:
- *                 type: date
- *                 description: Date the role was created
- *               updatedAt:
- *                 type: date
- *                 description: Date the role was last updated
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
  *                 description: List of permission IDs associated with the role
  *                 example: ["id_001-af2a02e37f43", "id_bob"]
+ *               parent_roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Roles whose permissions this role inherits
  *     responses:
  *       201:
  *         description: Role created successfully
@@ -71,10 +139,6 @@ const router = express.Router();
  *                   type: string
  *                   description: Unique key for the role
  *                   example: "TESTR"
- *                 description:
- *                   type: string
- *                   description: Detailed description of the role
- *                   example: "This role is for people performing evaluations for QA."
  *                 permissions:
  *                   type: array
  *                   items:
@@ -86,51 +150,154 @@ const router = express.Router();
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Invalid permissions provided"
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role name or key already exists
+ *       422:
+ *         description: One of the permissions or parent roles does not exist
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.post('/', async (req, res) => {
+router.post('/', createRequest, async (req, res, next) => {
   try {
-    const { name, key, description, permissions } = req.body;
-
-    // Validate required fields
-    if (!name || !key || !description || !permissions) {
-      return res.status(400).json({ error: 'Name, key, description, and permissions are required' });
-    }
+    const { name, key, permissions, parent_roles = [] } = req.body;
 
     // Validate permissions
-    const permissionDocs = await Permission.find({ _id: { $in: permissions } });
-    if (permissionDocs.length !== permissions.length) {
-      return res.status(400).json({ error: 'Invalid permissions provided' });
+    if (!(await permissionsExist(permissions))) {
+      return next(unprocessable('Invalid permissions provided'));
+    }
+    if (!(await rolesExist(parent_roles))) {
+      return next(unprocessable('Invalid parent roles provided'));
     }
 
     // Check for duplicate name or key
     const existingRole = await Role.findOne({ $or: [{ name }, { key }] });
     if (existingRole) {
-      return res.status(400).json({ error: 'Role name or key already exists' });
+      return next(conflict('Role name or key already exists'));
     }
 
     // Create and save the role
-    const role = new Role({ name, key, description, permissions });
+    const role = new Role({ name, key, permissions, parent_roles });
     await role.save();
+    await recordAudit(req, 'Role', 'create', { after: role });
 
     res.status(201).json(role);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// Fields of a role that can be searched and sorted on
+const SEARCH_FIELDS = {
+  name: 'string',
+  key: 'string',
+  permissions: 'objectId',
+  parent_roles: 'objectId',
+  isDeleted: 'boolean',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+/**
+ * @swagger
+ * /api/roles/search:
+ *   post:
+ *     summary: Search roles with structured filters, sorting, and pagination
+ *     description: Searchable fields are name, key, permissions, parent_roles, isDeleted, createdAt and updatedAt.
+ *     tags: [Roles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SearchRequest'
+ *     responses:
+ *       200:
+ *         description: Matching roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Malformed search, or a field that cannot be searched or sorted on
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/search', searchRequest, async (req, res, next) => {
+  try {
+    const { pagination, where, sort } = req.body;
+    const { page, limit, skip } = parsePagination(pagination);
+
+    const filter = buildSearchFilter(where, SEARCH_FIELDS);
+
+    const total = await Role.countDocuments(filter);
+    const roles = await Role.find(filter)
+      .sort(buildSearchSort(sort, SEARCH_FIELDS, { createdAt: 1 }))
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      roles,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/trash:
+ *   get:
+ *     summary: List deleted roles
+ *     description: Lists soft-deleted roles, most recently deleted first.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted roles with deletedAt and deleted_by
+ *       400:
+ *         description: Invalid pagination parameter
+ *       403:
+ *         description: Missing required permission (mngrl)
+ */
+router.get('/trash', validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const { items, ...pageInfo } = await findTrash(Role, req.query);
+
+    res.status(200).json({ ...pageInfo, roles: items });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -149,6 +316,7 @@ router.post('/', async (req, res) => {
  *           type: string
  *           example: "67698e19fb25a1d1ae9f24f6"
  *         description: The ID of the role to retrieve
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Successfully retrieved the role
@@ -169,10 +337,6 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   description: Unique key for the role
  *                   example: "ADMIN"
- *                 description:
- *                   type: string
- *                   description: Detailed description of the role
- *                   example: "Administrator role with full permissions"
  *                 permissions:
  *                   type: array
  *                   items:
@@ -193,42 +357,127 @@ router.post('/', async (req, res) => {
  *                   format: date-time
  *                   description: Timestamp when the role was last updated
  *                   example: "2024-12-23T16:21:52.933Z"
+ *       304:
+ *         description: Role unchanged since the ETag in If-None-Match
  *       404:
  *         description: Role not found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Role not found"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // find the role by ID
-    const role = await Role.findById(id).populate('permissions');
+    const role = await Role.findOne({ _id: id, isDeleted: false }).populate('permissions');
 
     // handle not found
     if (!role) {
-      return res.status(404).json({ error: `Role ID: ${id} not found`});
+      return next(notFound(`Role ID: ${id} not found`));
     }
 
+    setETag(res, role);
     return res.status(200).json(role);
   } catch (err) {
-    res.status(500).json({ error: err.mesage });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/effective-permissions:
+ *   get:
+ *     summary: Resolve every permission a role grants, including inherited ones
+ *     description: >
+ *       Walks the role's parent roles transitively. Deleted roles and permissions grant nothing.
+ *       Each permission lists the roles in the chain that grant it.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the role
+ *     responses:
+ *       200:
+ *         description: The resolved permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     key:
+ *                       type: string
+ *                 roles:
+ *                   type: array
+ *                   description: The role and every role it inherits from, nearest first (depth 0 is the role itself)
+ *                   items:
+ *                     $ref: '#/components/schemas/RoleSummary'
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       key:
+ *                         type: string
+ *                         example: "vwprj"
+ *                       name:
+ *                         type: string
+ *                       granted_by:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/RoleSummary'
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       404:
+ *         description: Role not found
+ *
+ * components:
+ *   schemas:
+ *     RoleSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Tester"
+ *         key:
+ *           type: string
+ *           example: "TESTR"
+ *         depth:
+ *           type: integer
+ *           description: 0 for the role itself, 1 for a parent role, 2 for a grandparent, ...
+ */
+router.get('/:id/effective-permissions', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, isDeleted: false }).select('name key').lean();
+    if (!role) {
+      return next(notFound('Role not found'));
+    }
+
+    const { roles, permissions } = await resolveEffectivePermissions(role._id);
+    res.status(200).json({ role, roles, permissions });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -237,6 +486,7 @@ router.get('/:id', async (req, res) => {
  * /api/roles:
  *   get:
  *     summary: Retrieve all roles with filtering and sorting
+ *     description: Deleted roles are not listed; see GET /api/roles/trash.
  *     tags:
  *       - Roles
  *     parameters:
@@ -283,53 +533,120 @@ router.get('/:id', async (req, res) => {
  *                     type: string
  *                     description: Unique key for the role
  *                     example: "ADMIN"
- *                   description:
- *                     type: string
- *                     description: Detailed description of the role
- *                     example: "Administrator role with full permissions"
  *                   permissions:
  *                     type: array
  *                     items:
  *                       type: string
  *                     description: List of permission IDs associated with the role
  *                     example: ["61e8f8e5b9c3b3f51f16e13a", "61e8f8e5b9c3b3f51f16e13b"]
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try{
-    const { sortBy = 'createdAt', order = 'asc', filterBy, filterTerm } = req.query;
-
-    // build the filter object
-    const filter = {};
-    if (filterBy && filterTerm) {
-      filter[filterBy] = { $regex: filterTerm, $options: 'i' }; // case=insensitive regex
-    }
-
-    // Build the sorting object
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sort = { [sortBy]: sortOrder };
+    // Roles are not paginated; only the filter and sort parameters apply
+    const { filter, sort } = parseListQuery({ ...req.query, page: undefined, limit: undefined }, Role, {
+      defaultSort: { createdAt: 1 },
+      exclude: ['isDeleted'],
+    });
+    filter.isDeleted = false; // Deleted roles are listed at GET /trash
 
     // Retrieve sorted roles
     const roles = await Role.find(filter).sort(sort);
 
     res.status(200).json(roles);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 
+/**
+ * Apply the validated fields in req.body to a role; shared by PUT and PATCH.
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate permissions if provided
+    if (req.body.permissions && !(await permissionsExist(req.body.permissions))) {
+      return next(unprocessable('Invalid permissions provided'));
+    }
+
+    // Parent roles must exist and must not lead back to this role
+    if (req.body.parent_roles) {
+      if (!(await rolesExist(req.body.parent_roles))) {
+        return next(unprocessable('Invalid parent roles provided'));
+      }
+      const cycle = await findInheritanceCycle(id, req.body.parent_roles);
+      if (cycle) {
+        return next(inheritanceCycle(cycle));
+      }
+    }
+
+    // Build update object
+    const updates = { ...req.body };
+    updates.updatedAt = Date.now(); // Update the timestamp
+
+    // Find and update the role
+    const before = req.patchBase || (await Role.findOne({ _id: id, isDeleted: false }).lean());
+
+    // Handle not found
+    if (!before) {
+      return next(notFound('Role not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    // System roles keep their key and their critical permissions
+    if (before.system) {
+      if (req.body.key !== undefined && req.body.key !== before.key) {
+        return next(unprocessable('The key of a system role cannot be changed', { code: 'SYSTEM_ROLE' }));
+      }
+      const { permissions, parent_roles } = req.body;
+      const stripped = await checkCriticalPermissions(before, {
+        ...(permissions && { permissions }),
+        ...(parent_roles && { parent_roles }),
+      });
+      if (stripped) {
+        return next(stripped);
+      }
+    }
+
+    const updatedRole = await Role.findOneAndUpdate(
+      { _id: id, isDeleted: false, ...sameVersion(before) },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updatedRole) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'Role', 'update', { before, after: updatedRole });
+
+    // Return the updated role
+    setETag(res, updatedRole);
+    res.status(200).json({
+      message: 'Role updated successfully',
+      role: updatedRole,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      // Handle duplicate key or name error
+      return next(conflict('Role name or key must be unique'));
+    }
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /api/roles/{id}:
@@ -345,6 +662,7 @@ router.get('/', async (req, res) => {
  *           type: string
  *           example: "67698e19fb25a1d1ae9f24f6"
  *         description: The ID of the role to update
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -360,16 +678,17 @@ router.get('/', async (req, res) => {
  *                 type: string
  *                 description: Unique key for the role
  *                 example: "MGR"
- *               description:
- *                 type: string
- *                 description: Detailed description of the role
- *                 example: "This role is for team managers"
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
  *                 description: List of permission IDs associated with the role
  *                 example: ["61e8f8e5b9c3b3f51f16e13a", "61e8f8e5b9c3b3f51f16e13b"]
+ *               parent_roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the roles whose permissions this role inherits
  *     responses:
  *       200:
  *         description: Role updated successfully
@@ -390,10 +709,6 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   description: Unique key for the role
  *                   example: "MGR"
- *                 description:
- *                   type: string
- *                   description: Detailed description of the role
- *                   example: "This role is for team managers"
  *                 permissions:
  *                   type: array
  *                   items:
@@ -405,86 +720,101 @@ router.get('/', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Invalid permissions provided"
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role name or key already exists, or the role was modified concurrently
+ *       412:
+ *         description: The role has changed since the ETag in If-Match
+ *       422:
+ *         description: >
+ *           One of the permissions or parent roles does not exist, the parent roles would make the role
+ *           inherit from itself (ROLE_INHERITANCE_CYCLE), or the change would take a critical permission
+ *           away from a system role or change its key (SYSTEM_ROLE)
  *       404:
  *         description: Role not found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Role not found"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, key, description, permissions } = req.body;
-
-    // Validate that at least one field is being updated
-    if (!name && !key && !description && !permissions) {
-      return res.status(400).json({ error: 'At least one field must be provided to update' });
-    }
-
-    // Validate permissions if provided
-    if (permissions) {
-      const permissionDocs = await Permission.find({ _id: { $in: permissions } });
-      if (permissionDocs.length !== permissions.length) {
-        return res.status(400).json({ error: 'Invalid permissions provided' });
-      }
-    }
-
-    // Build update object
-    const updates = {};
-    if (name) updates.name = name;
-    if (key) updates.key = key;
-    if (description) updates.description = description;
-    if (permissions) updates.permissions = permissions;
-
-    updates.updatedAt = Date.now(); // Update the timestamp
-
-    // Find and update the role
-    const updatedRole = await Role.findOneAndUpdate(
-      { _id: id },
-      updates,
-      { new: true, runValidators: true }
-    );
-    console.log(updatedRole);
+router.put('/:id', updateRequest, updateRole);
 
-    // Handle not found
-    if (!updatedRole) {
-      return res.status(404).json({ error: 'Role not found' });
-    }
-
-    // Return the updated role
-    res.status(200).json({
-      message: 'Role updated successfully',
-      role: updatedRole,
-    });
-  } catch (err) {
-    if (err.code === 11000) {
-      // Handle duplicate key or name error
-      return res.status(400).json({ error: 'Role name or key must be unique' });
-    } else {
-      return res.status(500).json({ error: err.message });
-    }
-  }
-});
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   patch:
+ *     summary: Partially update a role
+ *     description: >
+ *       Accepts a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902); plain application/json is read
+ *       as a merge patch. JSON Patch edits the permission list in place: add with path /permissions/- grants
+ *       one, remove with path /permissions/{index} revokes one, and a test operation can guard either.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the role to update
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               parent_roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *           example:
+ *             - op: add
+ *               path: /permissions/-
+ *               value: "61e8f8e5b9c3b3f51f16e13a"
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Malformed patch, or the patched role fails validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: >
+ *           A patch operation does not fit the role, a test operation failed, the name or key already
+ *           exists, or the role was modified concurrently
+ *       412:
+ *         description: The role has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is neither a merge patch nor a JSON Patch
+ *       422:
+ *         description: >
+ *           The JSON Patch addresses a field that cannot be changed, a permission or parent role does not
+ *           exist, the parent roles would form a cycle, or a system role would lose a critical permission
+ *           or its key
+ */
+router.patch('/:id', patchRoleRequest, updateRole);
 
 
 /**
@@ -528,10 +858,6 @@ router.put('/:id', async (req, res) => {
  *                       type: string
  *                       description: Unique key for the role
  *                       example: "ADMIN"
- *                     description:
- *                       type: string
- *                       description: Detailed description of the role
- *                       example: "Administrator role with full permissions"
  *                     permissions:
  *                       type: array
  *                       items:
@@ -557,47 +883,80 @@ router.put('/:id', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Role not found"
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The role is a system role (SYSTEM_ROLE)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Find and soft delete the role
-    const updatedRole = await Role.findOneAndUpdate(
-      { _id: id },
-      { isDeleted: true, updatedAt: Date.now() },
-      { new: true }
-    );
+    // Find and soft delete the role; system roles stay
+    const before = await Role.findOne({ _id: id, isDeleted: false }).lean();
+    if (before && before.system) {
+      return next(unprocessable('System roles cannot be deleted', { code: 'SYSTEM_ROLE' }));
+    }
+    const updatedRole = before && await softDeleteOne(Role, id, req.user);
 
     // Handle not found
     if (!updatedRole) {
-      return res.status(404).json({ error: 'Role not found' });
+      return next(notFound('Role not found'));
     }
+    await recordAudit(req, 'Role', 'delete', { before, after: updatedRole });
 
     res.status(200).json({
       message: 'Role soft deleted successfully',
       role: updatedRole,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+/**
+ * @swagger
+ * /api/roles/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted role
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The role ID
+ *     responses:
+ *       200:
+ *         description: Role restored successfully
+ *       403:
+ *         description: Missing required permission (mngrl)
+ *       404:
+ *         description: No deleted role with this ID
+ */
+router.post('/:id/restore', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const before = await Role.findOne({ _id: req.params.id, isDeleted: true }).lean();
+    const restoredRole = before && await restoreOne(Role, req.params.id);
+    if (!restoredRole) {
+      return next(notFound('Deleted role not found'));
+    }
+    await recordAudit(req, 'Role', 'restore', { before, after: restoredRole });
+
+    res.status(200).json({
+      message: 'Role restored successfully',
+      role: restoredRole,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
 module.exports = router;
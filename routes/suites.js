@@ -0,0 +1,808 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Suite = require('../models/Suite');
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const { requirePermission } = require('../middleware/authorize');
+const { fromParam } = require('../utils/projectScope');
+const { descendantIds, buildSuiteTree } = require('../utils/suites');
+const { deleteSuites, cascadeRestoreError, restoreCascade, findTrash } = require('../utils/softDelete');
+const { validate, objectId, idParams, trashQuery } = require('../middleware/validate');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { setETag, checkIfMatch } = require('../utils/concurrency');
+
+// Mounted under /api/projects/:id/suites
+const router = express.Router({ mergeParams: true });
+
+const projectScope = { project: fromParam() };
+
+// Request validation
+const suiteParams = { ...idParams, suiteId: objectId };
+const nameRule = { type: 'string', trim: true, minLength: 1, maxLength: 200 };
+const descriptionRule = { type: 'string', maxLength: 2000 };
+const parentRule = { type: 'objectId', nullable: true };
+
+const projectRequest = validate({ params: idParams });
+const listRequest = validate({
+  params: idParams,
+  query: {
+    parent_id: {
+      type: 'string',
+      custom: (value) => (value === 'root' || mongoose.isValidObjectId(value) ? undefined : 'must be "root" or a valid ID'),
+    },
+  },
+});
+const createRequest = validate({
+  params: idParams,
+  body: { name: { ...nameRule, required: true }, description: descriptionRule, parent_id: parentRule },
+});
+const suiteRequest = validate({ params: suiteParams });
+const trashRequest = validate({ params: idParams, query: trashQuery });
+const updateRequest = validate({
+  params: suiteParams,
+  body: { name: nameRule, description: descriptionRule },
+  requireOneOf: ['name', 'description'],
+});
+const moveRequest = validate({ params: suiteParams, body: { parent_id: { ...parentRule, required: true } } });
+
+/**
+ * Check whether a live sibling suite already uses a name.
+ * @param {string} projectId - Project of the suite.
+ * @param {string|null} parentId - Parent suite, or null for top level.
+ * @param {string} name - Proposed name.
+ * @param {string} [excludeId] - Suite being renamed or moved.
+ * @returns {Promise<boolean>}
+ */
+const siblingNameTaken = async (projectId, parentId, name, excludeId) => {
+  const filter = { project_id: projectId, parent_id: parentId || null, name, isDeleted: false };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Boolean(await Suite.exists(filter));
+};
+
+/**
+ * Resolve a requested parent suite within the project.
+ * @returns {Promise<Object|null|undefined>} The parent, null for top level, or
+ *   undefined when the id is not a live suite of the project.
+ */
+const findParent = async (projectId, parentId) => {
+  if (parentId === null || parentId === undefined) return null;
+  const parent = await Suite.findOne({ _id: parentId, project_id: projectId, isDeleted: false });
+  return parent || undefined;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suites
+ *   description: API for organizing a project's test plans into nested suites (folders)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Suite:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676e4f50fb25a1d1ae9f2901"
+ *         name:
+ *           type: string
+ *           example: "Checkout"
+ *         description:
+ *           type: string
+ *           example: "Cart, payment and order confirmation"
+ *         project_id:
+ *           type: string
+ *           example: "60e8f8e5b9c3b3f51f16e13a"
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *           description: Parent suite; null for a top-level suite
+ *         isDeleted:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *         updated_by:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     SuiteTreeNode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *         testPlanCount:
+ *           type: integer
+ *           description: Test plans directly in this suite
+ *         totalTestPlanCount:
+ *           type: integer
+ *           description: Test plans in this suite and all of its sub-suites
+ *         suiteCount:
+ *           type: integer
+ *           description: Number of direct sub-suites
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SuiteTreeNode'
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/tree:
+ *   get:
+ *     summary: Get the full suite hierarchy of a project with test plan counts
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Suite tree, siblings sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project_id:
+ *                   type: string
+ *                 totalTestPlanCount:
+ *                   type: integer
+ *                   description: All live test plans in the project
+ *                 unassignedTestPlanCount:
+ *                   type: integer
+ *                   description: Test plans that are not in any suite
+ *                 suites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SuiteTreeNode'
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tree', requirePermission('vwttp', projectScope), projectRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const suites = await Suite.find({ project_id: project._id, isDeleted: false });
+    const counts = await TestPlan.aggregate([
+      { $match: { project_id: project._id, isDeleted: false } },
+      { $group: { _id: '$suite_id', count: { $sum: 1 } } },
+    ]);
+
+    // Plans pointing at a suite that no longer exists count as unassigned
+    const liveSuites = new Set(suites.map((suite) => suite._id.toString()));
+    const planCounts = new Map();
+    let unassigned = 0;
+    let total = 0;
+    counts.forEach(({ _id, count }) => {
+      total += count;
+      if (_id && liveSuites.has(_id.toString())) planCounts.set(_id.toString(), count);
+      else unassigned += count;
+    });
+
+    res.status(200).json({
+      project_id: project._id,
+      totalTestPlanCount: total,
+      unassignedTestPlanCount: unassigned,
+      suites: buildSuiteTree(suites, planCounts),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites:
+ *   get:
+ *     summary: List the suites of a project
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: string
+ *         description: Only list direct children of this suite ("root" for top-level suites)
+ *     responses:
+ *       200:
+ *         description: Suites sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Suite'
+ *       400:
+ *         description: parent_id is neither "root" nor a valid ID
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwttp', projectScope), listRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parent_id } = req.query;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const filter = { project_id: id, isDeleted: false };
+    if (parent_id === 'root') {
+      filter.parent_id = null;
+    } else if (parent_id) {
+      filter.parent_id = parent_id;
+    }
+
+    const suites = await Suite.find(filter).sort({ name: 1 });
+
+    res.status(200).json({ suites });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites:
+ *   post:
+ *     summary: Create a suite
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Checkout"
+ *               description:
+ *                 type: string
+ *               parent_id:
+ *                 type: string
+ *                 description: Parent suite; omit for a top-level suite
+ *     responses:
+ *       201:
+ *         description: Suite created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Suite'
+ *       400:
+ *         description: Request validation failed (e.g. name is missing)
+ *       403:
+ *         description: Missing required permission (crtpt)
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A sibling suite already has this name
+ *       422:
+ *         description: The parent suite is not a suite of this project
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('crtpt', projectScope), createRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, parent_id } = req.body;
+
+    const project = await Project.findOne({ _id: id, isDeleted: false });
+    if (!project) {
+      return next(notFound('Project not found'));
+    }
+
+    const parent = await findParent(id, parent_id);
+    if (parent === undefined) {
+      return next(unprocessable('Invalid parent suite ID'));
+    }
+
+    if (await siblingNameTaken(id, parent && parent._id, name)) {
+      return next(conflict('A suite with this name already exists at this level'));
+    }
+
+    const suite = new Suite({
+      name,
+      description,
+      project_id: id,
+      parent_id: parent ? parent._id : null,
+      created_by: req.user._id,
+      updated_by: req.user._id,
+    });
+    await suite.save();
+    await recordAudit(req, 'Suite', 'create', { after: suite });
+
+    res.status(201).json(suite);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/trash:
+ *   get:
+ *     summary: List the project's deleted suites
+ *     description: >
+ *       Lists suites that were deleted directly, most recent first. Pass cascaded=true to include
+ *       sub-suites deleted along with their parent or project.
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: cascaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted suites with deletedAt, deleted_by and deleted_with
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (dltpt)
+ */
+router.get('/trash', requirePermission('dltpt', projectScope), trashRequest, async (req, res, next) => {
+  try {
+    const { items, ...pageInfo } = await findTrash(Suite, req.query, { project_id: req.params.id });
+
+    res.status(200).json({ ...pageInfo, suites: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/{suiteId}:
+ *   get:
+ *     summary: Get a suite with its path from the top level
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: suiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The suite ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The suite and its ancestors, outermost first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suite:
+ *                   $ref: '#/components/schemas/Suite'
+ *                 path:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *       304:
+ *         description: Suite unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Suite not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:suiteId', requirePermission('vwttp', projectScope), suiteRequest, async (req, res, next) => {
+  try {
+    const { id, suiteId } = req.params;
+
+    const suite = await Suite.findOne({ _id: suiteId, project_id: id, isDeleted: false });
+    if (!suite) {
+      return next(notFound('Suite not found'));
+    }
+
+    // Walk up to the top level to build the breadcrumb path
+    const suites = await Suite.find({ project_id: id, isDeleted: false }).select('name parent_id');
+    const byId = new Map(suites.map((item) => [item._id.toString(), item]));
+    const path = [];
+    let current = suite;
+    while (current) {
+      path.unshift({ _id: current._id, name: current.name });
+      current = current.parent_id && byId.get(current.parent_id.toString());
+    }
+
+    setETag(res, suite);
+    res.status(200).json({ suite, path });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/{suiteId}:
+ *   put:
+ *     summary: Rename a suite or change its description
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: suiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The suite ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suite updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Suite'
+ *       400:
+ *         description: At least one field must be provided
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Suite not found
+ *       409:
+ *         description: A sibling suite already has this name, or the suite was modified concurrently
+ *       412:
+ *         description: The suite has changed since the ETag in If-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:suiteId', requirePermission('updpt', projectScope), updateRequest, async (req, res, next) => {
+  try {
+    const { id, suiteId } = req.params;
+    const { name, description } = req.body;
+
+    const suite = await Suite.findOne({ _id: suiteId, project_id: id, isDeleted: false });
+    if (!suite) {
+      return next(notFound('Suite not found'));
+    }
+    const precondition = checkIfMatch(req, suite);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    if (name !== undefined && (await siblingNameTaken(id, suite.parent_id, name, suite._id))) {
+      return next(conflict('A suite with this name already exists at this level'));
+    }
+
+    const before = snapshot(suite);
+    if (name !== undefined) suite.name = name;
+    if (description !== undefined) suite.description = description;
+    suite.updated_by = req.user._id;
+    await suite.save(); // Fails with a 409 if the suite changed since it was loaded
+    await recordAudit(req, 'Suite', 'update', { before, after: suite });
+
+    setETag(res, suite);
+    res.status(200).json(suite);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/{suiteId}/move:
+ *   put:
+ *     summary: Move a suite, with its sub-suites and test plans, under another parent
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: suiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The suite ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parent_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New parent suite; null moves the suite to the top level
+ *     responses:
+ *       200:
+ *         description: Suite moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Suite'
+ *       400:
+ *         description: parent_id is missing or malformed
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Suite not found
+ *       409:
+ *         description: A suite with the same name already exists under the new parent, or the suite was modified concurrently
+ *       412:
+ *         description: The suite has changed since the ETag in If-Match
+ *       422:
+ *         description: The parent is not a suite of this project, or is the suite itself or one of its sub-suites
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:suiteId/move', requirePermission('updpt', projectScope), moveRequest, async (req, res, next) => {
+  try {
+    const { id, suiteId } = req.params;
+    const { parent_id } = req.body;
+
+    const suite = await Suite.findOne({ _id: suiteId, project_id: id, isDeleted: false });
+    if (!suite) {
+      return next(notFound('Suite not found'));
+    }
+    const precondition = checkIfMatch(req, suite);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    const parent = await findParent(id, parent_id);
+    if (parent === undefined) {
+      return next(unprocessable('Invalid parent suite ID'));
+    }
+
+    // A suite cannot be moved into itself or into its own subtree
+    if (parent) {
+      const suites = await Suite.find({ project_id: id, isDeleted: false }).select('parent_id');
+      if (descendantIds(suites, suite._id).includes(parent._id.toString())) {
+        return next(unprocessable('A suite cannot be moved into itself or one of its sub-suites'));
+      }
+    }
+
+    if (await siblingNameTaken(id, parent && parent._id, suite.name, suite._id)) {
+      return next(conflict('A suite with this name already exists at this level'));
+    }
+
+    const before = snapshot(suite);
+    suite.parent_id = parent ? parent._id : null;
+    suite.updated_by = req.user._id;
+    await suite.save(); // Fails with a 409 if the suite changed since it was loaded
+    await recordAudit(req, 'Suite', 'update', { before, after: suite });
+
+    setETag(res, suite);
+    res.status(200).json(suite);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/{suiteId}:
+ *   delete:
+ *     summary: Soft delete a suite with all of its sub-suites and their test plans
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: suiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The suite ID
+ *     responses:
+ *       200:
+ *         description: Suite deleted; reports how many suites, test plans and test runs were removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletedSuites:
+ *                   type: integer
+ *                 deletedTestPlans:
+ *                   type: integer
+ *                 deletedTestRuns:
+ *                   type: integer
+ *       403:
+ *         description: Missing required permission (dltpt)
+ *       404:
+ *         description: Suite not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:suiteId', requirePermission('dltpt', projectScope), suiteRequest, async (req, res, next) => {
+  try {
+    const { id, suiteId } = req.params;
+
+    const suite = await Suite.findOne({ _id: suiteId, project_id: id, isDeleted: false });
+    if (!suite) {
+      return next(notFound('Suite not found'));
+    }
+
+    const suites = await Suite.find({ project_id: id, isDeleted: false }).select('parent_id');
+    const deleted = await deleteSuites(suite, descendantIds(suites, suite._id), req.user);
+    await recordAudit(req, 'Suite', 'delete', { before: suite, after: await Suite.findById(suite._id) });
+
+    res.status(200).json({
+      message: 'Suite soft deleted successfully',
+      deletedSuites: deleted.suites,
+      deletedTestPlans: deleted.testPlans,
+      deletedTestRuns: deleted.testRuns,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/suites/{suiteId}/restore:
+ *   post:
+ *     summary: Restore a deleted suite
+ *     description: >
+ *       Restores a suite that was deleted directly, with the sub-suites, test plans and test runs
+ *       its delete removed. Sub-suites deleted along with their parent come back with that parent.
+ *     tags: [Suites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: path
+ *         name: suiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The suite ID
+ *     responses:
+ *       200:
+ *         description: Suite restored; reports how many suites, test plans and test runs came back
+ *       403:
+ *         description: Missing required permission (dltpt)
+ *       404:
+ *         description: No deleted suite with this ID in the project
+ *       409:
+ *         description: A sibling suite now uses the same name
+ *       422:
+ *         description: The suite was deleted with its parent, or its parent suite or project is still deleted
+ */
+router.post('/:suiteId/restore', requirePermission('dltpt', projectScope), suiteRequest, async (req, res, next) => {
+  try {
+    const { id, suiteId } = req.params;
+
+    const suite = await Suite.findOne({ _id: suiteId, project_id: id, isDeleted: true });
+    if (!suite) {
+      return next(notFound('Deleted suite not found'));
+    }
+
+    const cascadeError = cascadeRestoreError(suite, 'Suite');
+    if (cascadeError) {
+      return next(cascadeError);
+    }
+    if (!(await Project.exists({ _id: id, isDeleted: false }))) {
+      return next(unprocessable('The project is deleted; restore it first'));
+    }
+    if ((await findParent(id, suite.parent_id)) === undefined) {
+      return next(unprocessable('The parent suite is deleted; restore it first'));
+    }
+    if (await siblingNameTaken(id, suite.parent_id, suite.name)) {
+      return next(conflict('A suite with this name already exists at this level'));
+    }
+
+    const { record, restored } = await restoreCascade(Suite, suite);
+    await recordAudit(req, 'Suite', 'restore', { before: suite, after: record });
+
+    res.status(200).json({
+      message: 'Suite restored successfully',
+      suite: record,
+      restoredSuites: restored.suites + 1, // the sub-suites plus the suite itself
+      restoredTestPlans: restored.testPlans,
+      restoredTestRuns: restored.testRuns,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,601 @@
+const express = require('express');
+const TestCase = require('../models/TestCase');
+const TestPlan = require('../models/TestPlan');
+const Project = require('../models/Project');
+const { requirePermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { fromBody, fromDocument } = require('../utils/projectScope');
+const { normalizeSteps, stepListRule } = require('../utils/steps');
+const { queryableFields, parseSort, parsePage } = require('../utils/listQuery');
+const { escapeRegex } = require('../utils/searchQuery');
+const { softDeleteOne, cascadeRestoreError, restoreOne, findTrash } = require('../utils/softDelete');
+const { validate, idParams, trashQuery } = require('../middleware/validate');
+const { notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+
+const router = express.Router();
+
+const PRIORITIES = TestCase.schema.path('priority').enumValues;
+const TYPES = TestCase.schema.path('type').enumValues;
+const testCaseProject = fromDocument(TestCase);
+
+// Editable test case fields
+const testCaseFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  preconditions: { type: 'string', maxLength: 2000 },
+  steps: stepListRule,
+  priority: { type: 'string', enum: PRIORITIES },
+  type: { type: 'string', enum: TYPES },
+  tags: { type: 'array', items: { type: 'string', trim: true, minLength: 1, maxLength: 50 } },
+};
+
+// Request validation
+const createRequest = validate({
+  body: {
+    ...testCaseFields,
+    title: { ...testCaseFields.title, required: true },
+    project_id: { type: 'objectId', required: true },
+  },
+});
+const listRequest = validate({
+  query: {
+    project_id: { type: 'objectId' },
+    priority: { type: 'string', enum: PRIORITIES },
+    type: { type: 'string', enum: TYPES },
+    tag: { type: 'string', maxLength: 50 },
+    title: { type: 'string', maxLength: 200 },
+  },
+});
+const updateRequest = validate({ params: idParams, body: testCaseFields, requireOneOf: Object.keys(testCaseFields) });
+
+/**
+ * @swagger
+ * tags:
+ *   name: TestCases
+ *   description: API for managing reusable test cases referenced by test plans
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestCase:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676d3e4ffb25a1d1ae9f2801"
+ *         title:
+ *           type: string
+ *           example: "Log in with valid credentials"
+ *         preconditions:
+ *           type: string
+ *           example: "A verified user account exists"
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TestStep'
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *           example: "high"
+ *         type:
+ *           type: string
+ *           enum: [functional, regression, smoke, integration, performance, security, usability, other]
+ *           example: "smoke"
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["login", "auth"]
+ *         project_id:
+ *           type: string
+ *           example: "60e8f8e5b9c3b3f51f16e13a"
+ *         isDeleted:
+ *           type: boolean
+ *           example: false
+ *         created_by:
+ *           type: string
+ *         updated_by:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/test-cases:
+ *   post:
+ *     summary: Create a new test case
+ *     tags: [TestCases]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Log in with valid credentials"
+ *               preconditions:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 description: Steps in order (objects or plain action strings)
+ *                 items:
+ *                   $ref: '#/components/schemas/TestStep'
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               type:
+ *                 type: string
+ *                 enum: [functional, regression, smoke, integration, performance, security, usability, other]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               project_id:
+ *                 type: string
+ *                 example: "60e8f8e5b9c3b3f51f16e13a"
+ *     responses:
+ *       201:
+ *         description: Test case created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestCase'
+ *       400:
+ *         description: Request body failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (crtcs)
+ *       422:
+ *         description: The project does not exist
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('crtcs', { project: fromBody() }), createRequest, async (req, res, next) => {
+  try {
+    const { title, preconditions, steps, priority, type, tags, project_id } = req.body;
+    const normalizedSteps = normalizeSteps(steps);
+
+    // Validate project ID
+    const project = await Project.findOne({ _id: project_id, isDeleted: false });
+    if (!project) {
+      return next(unprocessable('Invalid project ID'));
+    }
+
+    const testCase = new TestCase({
+      title,
+      preconditions,
+      steps: normalizedSteps,
+      priority,
+      type,
+      tags,
+      project_id,
+      created_by: req.user._id,
+      updated_by: req.user._id,
+    });
+    await testCase.save();
+    await recordAudit(req, 'TestCase', 'create', { after: testCase });
+
+    res.status(201).json(testCase);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases:
+ *   get:
+ *     summary: Retrieve test cases with pagination, sorting, and filtering
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *         description: Only test cases in this project
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only test cases carrying this tag
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Filter by title (case-insensitive)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: "Field to sort by (e.g., title, priority, createdAt)"
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: "Sort order (ascending or descending)"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved test cases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 testCases:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TestCase'
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
+ *       403:
+ *         description: Missing required permission (vwtcs)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwtcs', { anyProject: true }), listRequest, async (req, res, next) => {
+  try {
+    const { project_id, priority, type, tag, title } = req.query;
+    const { sortable } = queryableFields(TestCase, ['isDeleted']);
+    const sort = parseSort(req.query, sortable, { createdAt: 1 });
+    const { page, limit, skip } = parsePage(req.query);
+
+    // Build filter object
+    const filter = { isDeleted: false };
+    if (project_id) filter.project_id = project_id;
+    if (priority) filter.priority = priority;
+    if (type) filter.type = type;
+    if (tag) filter.tags = tag;
+    if (title) filter.title = { $regex: escapeRegex(title), $options: 'i' }; // Case-insensitive substring search
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwtcs');
+    if (visibleProjects) {
+      filter.project_id = project_id
+        ? { $in: visibleProjects.filter((visible) => visible.toString() === project_id) }
+        : { $in: visibleProjects };
+    }
+
+    const total = await TestCase.countDocuments(filter);
+    const testCases = await TestCase.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      testCases,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases/trash:
+ *   get:
+ *     summary: List deleted test cases
+ *     description: >
+ *       Lists test cases that were deleted directly, most recent first, in projects where the caller
+ *       holds dltcs. Pass cascaded=true to include cases deleted along with their project.
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: query
+ *         name: cascaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted test cases with deletedAt, deleted_by and deleted_with
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (dltcs)
+ */
+router.get('/trash', requirePermission('dltcs', { anyProject: true }), validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const visibleProjects = await projectIdsWithPermission(req.user, 'dltcs');
+    const filter = visibleProjects ? { project_id: { $in: visibleProjects } } : {};
+    const { items, ...pageInfo } = await findTrash(TestCase, req.query, filter);
+
+    res.status(200).json({ ...pageInfo, testCases: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases/{id}:
+ *   get:
+ *     summary: Retrieve a test case and the test plans that use it
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test case
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The test case
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TestCase'
+ *                 - type: object
+ *                   properties:
+ *                     testPlans:
+ *                       type: array
+ *                       description: Test plans referencing this case (ID and name)
+ *                       items:
+ *                         type: object
+ *       304:
+ *         description: Test case unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwtcs)
+ *       404:
+ *         description: Test case not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', requirePermission('vwtcs', { project: testCaseProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const testCase = await TestCase.findOne({ _id: req.params.id, isDeleted: false })
+      .populate('created_by updated_by', 'username email');
+
+    if (!testCase) {
+      return next(notFound('Test case not found'));
+    }
+
+    const testPlans = await TestPlan.find({ test_cases: testCase._id, isDeleted: false }).select('name');
+
+    setETag(res, testCase);
+    res.status(200).json({ ...testCase.toJSON(), testPlans });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases/{id}:
+ *   put:
+ *     summary: Update a test case
+ *     description: Changes apply to every test plan referencing the case. `steps`, when given, replaces the full step list.
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test case
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               preconditions:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TestStep'
+ *               priority:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Test case updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestCase'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing required permission (updcs)
+ *       404:
+ *         description: Test case not found
+ *       409:
+ *         description: The test case was modified concurrently
+ *       412:
+ *         description: The test case has changed since the ETag in If-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', requirePermission('updcs', { project: testCaseProject }), updateRequest, async (req, res, next) => {
+  try {
+    // Build the update object from the validated fields; `steps` replaces the whole list
+    const updates = { ...req.body };
+    if (updates.steps) updates.steps = normalizeSteps(updates.steps);
+    updates.updated_by = req.user._id;
+    updates.updatedAt = Date.now(); // Update the timestamp
+
+    const before = await TestCase.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!before) {
+      return next(notFound('Test case not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    const updatedTestCase = await TestCase.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false, ...sameVersion(before) },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedTestCase) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'TestCase', 'update', { before, after: updatedTestCase });
+
+    setETag(res, updatedTestCase);
+    res.status(200).json(updatedTestCase);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases/{id}:
+ *   delete:
+ *     summary: Soft delete a test case
+ *     description: Test plans referencing the case keep the reference but no longer include it.
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test case
+ *     responses:
+ *       200:
+ *         description: Test case soft deleted successfully
+ *       403:
+ *         description: Missing required permission (dltcs)
+ *       404:
+ *         description: Test case not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', requirePermission('dltcs', { project: testCaseProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const before = await TestCase.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    const deletedTestCase = before && await softDeleteOne(TestCase, req.params.id, req.user);
+
+    if (!deletedTestCase) {
+      return next(notFound('Test case not found'));
+    }
+    await recordAudit(req, 'TestCase', 'delete', { before, after: deletedTestCase });
+
+    res.status(200).json({
+      message: 'Test case soft deleted successfully',
+      testCase: deletedTestCase,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-cases/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted test case
+ *     description: Cases deleted along with their project come back by restoring the project instead.
+ *     tags: [TestCases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test case
+ *     responses:
+ *       200:
+ *         description: Test case restored successfully
+ *       403:
+ *         description: Missing required permission (dltcs)
+ *       404:
+ *         description: No deleted test case with this ID
+ *       422:
+ *         description: The case was deleted with its project, or its project is still deleted
+ */
+router.post('/:id/restore', requirePermission('dltcs', { project: testCaseProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const testCase = await TestCase.findOne({ _id: req.params.id, isDeleted: true });
+    if (!testCase) {
+      return next(notFound('Deleted test case not found'));
+    }
+
+    const cascadeError = cascadeRestoreError(testCase, 'Test case');
+    if (cascadeError) {
+      return next(cascadeError);
+    }
+    if (!(await Project.exists({ _id: testCase.project_id, isDeleted: false }))) {
+      return next(unprocessable('The test case\'s project is deleted; restore it first'));
+    }
+
+    const restoredTestCase = await restoreOne(TestCase, testCase._id);
+    await recordAudit(req, 'TestCase', 'restore', { before: testCase, after: restoredTestCase });
+
+    res.status(200).json({
+      message: 'Test case restored successfully',
+      testCase: restoredTestCase,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require('express');
+const TestPlan = require('../models/TestPlan');
+const TestPlanRevision = require('../models/TestPlanRevision');
+const Project = require('../models/Project');
+const { requirePermission, hasPermission } = require('../middleware/authorize');
+const { fromDocument } = require('../utils/projectScope');
+const { REVISION_FIELDS, revisionContent, recordRevision, diffRevisions } = require('../utils/revisions');
+const { validateSuite, validateTestCases } = require('../utils/testPlans');
+const { recordAudit } = require('../utils/audit');
+const { validate, idParams } = require('../middleware/validate');
+const { forbidden, notFound, unprocessable } = require('../utils/errors');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+
+// Mounted under /api/test-plans/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+const testPlanProject = fromDocument(TestPlan);
+
+// Request validation
+const revisionNumber = {
+  type: 'string',
+  required: true,
+  custom: (value) => (/^[1-9]\d*$/.test(value) ? undefined : 'must be a revision number'),
+};
+const listRequest = validate({
+  params: idParams,
+  query: { page: { type: 'integer', min: 1 }, limit: { type: 'integer', min: 1, max: 100 } },
+});
+const diffRequest = validate({
+  params: idParams,
+  query: { from: { type: 'integer', required: true, min: 1 }, to: { type: 'integer', required: true, min: 1 } },
+});
+const revisionRequest = validate({ params: { ...idParams, revision: revisionNumber } });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestPlanRevision:
+ *       type: object
+ *       properties:
+ *         revision:
+ *           type: integer
+ *           description: 1-based revision number within the test plan
+ *           example: 3
+ *         test_plan_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         project_id:
+ *           type: string
+ *         suite_id:
+ *           type: string
+ *           nullable: true
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TestStep'
+ *         test_cases:
+ *           type: array
+ *           items:
+ *             type: string
+ *         reverted_from:
+ *           type: integer
+ *           nullable: true
+ *           description: The earlier revision this one reverted the test plan to
+ *         created_by:
+ *           type: object
+ *           description: The user who made the change (username and email)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a test plan, newest first
+ *     description: Steps and test cases are omitted; fetch a single revision for its full content.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *     responses:
+ *       200:
+ *         description: A page of revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TestPlanRevision'
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Test plan not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwttp', { project: testPlanProject }), listRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+
+    const filter = { test_plan_id: testPlan._id };
+    const total = await TestPlanRevision.countDocuments(filter);
+    const revisions = await TestPlanRevision.find(filter)
+      .select('-steps -test_cases')
+      .populate('created_by', 'username email')
+      .sort({ revision: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({ total, page, totalPages: Math.ceil(total / limit), revisions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a test plan
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The revision to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The revision to compare to
+ *     responses:
+ *       200:
+ *         description: >
+ *           The fields that differ, and the steps added, removed or changed (matched by step ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                       before: {}
+ *                       after: {}
+ *                 steps:
+ *                   type: object
+ *                   properties:
+ *                     added:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TestStep'
+ *                     removed:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TestStep'
+ *                     changed:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *       400:
+ *         description: from or to is missing or not a revision number
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Test plan or revision not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/diff', requirePermission('vwttp', { project: testPlanProject }), diffRequest, async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+
+    const revisions = await TestPlanRevision.find({ test_plan_id: testPlan._id, revision: { $in: [from, to] } });
+    const fromRevision = revisions.find((revision) => revision.revision === from);
+    const toRevision = revisions.find((revision) => revision.revision === to);
+    if (!fromRevision || !toRevision) {
+      return next(notFound(`Revision ${fromRevision ? to : from} not found`));
+    }
+
+    res.status(200).json({ from, to, ...diffRevisions(fromRevision, toRevision) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a test plan with its full content
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The revision number
+ *     responses:
+ *       200:
+ *         description: The revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestPlanRevision'
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Test plan or revision not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:revision', requirePermission('vwttp', { project: testPlanProject }), revisionRequest, async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+
+    const revision = await TestPlanRevision.findOne({ test_plan_id: testPlan._id, revision: Number(req.params.revision) })
+      .populate('created_by', 'username email');
+    if (!revision) {
+      return next(notFound('Revision not found'));
+    }
+
+    res.status(200).json(revision);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/revisions/{revision}/revert:
+ *   post:
+ *     summary: Revert a test plan to an earlier revision
+ *     description: >
+ *       Restores the name, description, project, suite, steps and test cases of the revision.
+ *       The revert is itself stored as a new revision; history is never rewritten.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The revision to revert to
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Test plan reverted; reports the number of the new revision
+ *       403:
+ *         description: Missing required permission (updpt, or crtpt in the revision's project when it differs)
+ *       404:
+ *         description: Test plan or revision not found
+ *       409:
+ *         description: The test plan was modified concurrently
+ *       412:
+ *         description: The test plan has changed since the ETag in If-Match
+ *       422:
+ *         description: The revision's project, suite or test cases have since been deleted
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:revision/revert', requirePermission('updpt', { project: testPlanProject }), revisionRequest, async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false }).lean();
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const precondition = checkIfMatch(req, testPlan);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    const revision = await TestPlanRevision.findOne({ test_plan_id: testPlan._id, revision: Number(req.params.revision) });
+    if (!revision) {
+      return next(notFound('Revision not found'));
+    }
+    const content = revisionContent(revision);
+
+    // Reverting into another project, like moving the plan there, requires the right to create test plans in it
+    if (String(content.project_id) !== String(testPlan.project_id)) {
+      if (!(await hasPermission(req, 'crtpt', content.project_id))) {
+        return next(forbidden('Missing required permission', { details: [{ permission: 'crtpt' }] }));
+      }
+      if (!(await Project.exists({ _id: content.project_id, isDeleted: false }))) {
+        return next(unprocessable('The revision\'s project is deleted'));
+      }
+    }
+    if (!(await validateSuite(content.suite_id || null, content.project_id))) {
+      return next(unprocessable('The revision\'s suite is deleted'));
+    }
+    if (!(await validateTestCases(content.test_cases || [], content.project_id))) {
+      return next(unprocessable('Test cases referenced by the revision have been deleted'));
+    }
+
+    // Fields the revision never had (e.g. no description) are cleared
+    const updates = { $set: { ...content, updated_by: req.user._id, updatedAt: Date.now() } };
+    const missing = REVISION_FIELDS.filter((field) => content[field] === undefined);
+    if (missing.length) updates.$unset = Object.fromEntries(missing.map((field) => [field, 1]));
+
+    // Only over the version checked above, so a concurrent edit is not silently undone
+    const updatedTestPlan = await TestPlan.findOneAndUpdate(
+      { _id: testPlan._id, isDeleted: false, ...sameVersion(testPlan) },
+      updates,
+      { new: true, runValidators: true }
+    ).populate('created_by updated_by', 'username email');
+    if (!updatedTestPlan) {
+      return next(concurrentModification());
+    }
+
+    const reverted = await recordRevision(updatedTestPlan, req.user, { previous: testPlan, revertedFrom: revision.revision });
+    await recordAudit(req, 'TestPlan', 'update', { before: testPlan, after: updatedTestPlan });
+
+    setETag(res, updatedTestPlan);
+    res.status(200).json({
+      message: `Test plan reverted to revision ${revision.revision}`,
+      revision: reverted.revision,
+      testPlan: updatedTestPlan,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
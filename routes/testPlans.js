@@ -1,6 +1,75 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const TestPlan = require('../models/TestPlan');
+const Project = require('../models/Project');
+const { requirePermission, hasPermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { fromBody, fromDocument } = require('../utils/projectScope');
+const { normalizeSteps, stepListRule } = require('../utils/steps');
+const { findSuiteWithDescendants } = require('../utils/suites');
+const { validateSuite, validateTestCases, liveTestCases } = require('../utils/testPlans');
+const { parseListQuery } = require('../utils/listQuery');
+const { buildSearchFilter, buildSearchSort, parsePagination } = require('../utils/searchQuery');
+const { deleteTestPlan, cascadeRestoreError, restoreCascade, findTrash } = require('../utils/softDelete');
+const { validate, idParams, searchBody, trashQuery } = require('../middleware/validate');
+const { patchRequest } = require('../middleware/patch');
+const { forbidden, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { recordRevision } = require('../utils/revisions');
+const { toUpdate } = require('../utils/patch');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+const testStepRoutes = require('./testSteps');
+const revisionRoutes = require('./testPlanRevisions');
+
+// User references populated on every test plan response
+const AUTHOR_FIELDS = 'created_by updated_by';
+
+// Fields returned for referenced test cases
+const TEST_CASE_FIELDS = 'title preconditions steps priority type tags';
+
+// Editable test plan fields
+const testPlanFields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  project_id: { type: 'objectId' },
+  suite_id: { type: 'objectId', nullable: true },
+  test_cases: {
+    type: 'array',
+    items: { type: 'objectId' },
+    custom: (ids) => (new Set(ids).size === ids.length ? undefined : 'cannot list a test case twice'),
+  },
+};
+
+// Request validation
+const createRequest = validate({
+  body: {
+    ...testPlanFields,
+    name: { ...testPlanFields.name, required: true },
+    project_id: { ...testPlanFields.project_id, required: true },
+    steps: stepListRule,
+  },
+});
+const listRequest = validate({
+  query: {
+    suite_id: {
+      type: 'string',
+      custom: (value) => (value === 'none' || mongoose.isValidObjectId(value) ? undefined : 'must be "none" or a valid ID'),
+    },
+    include_subsuites: { type: 'boolean' },
+  },
+});
+const searchRequest = validate({ body: searchBody });
+const updateRequest = validate({ params: idParams, body: testPlanFields, requireOneOf: Object.keys(testPlanFields) });
+const patchTestPlanRequest = patchRequest({
+  load: (req) => TestPlan.findOne({ _id: req.params.id, isDeleted: false }).lean(),
+  fields: { ...testPlanFields, description: { ...testPlanFields.description, nullable: true } },
+  notFoundMessage: 'Test plan not found',
+});
+
+// Steps and revisions are managed through their own routers
+router.use('/:id/steps', testStepRoutes);
+router.use('/:id/revisions', revisionRoutes);
 
 /**
  * @swagger
@@ -27,6 +96,19 @@ const TestPlan = require('../models/TestPlan');
  *                 type: string
  *                 description: ID of the associated project
  *                 example: "60e8f8e5b9c3b3f51f16e13a"
+ *               steps:
+ *                 type: array
+ *                 description: Initial steps, in order (objects or plain action strings)
+ *                 items:
+ *                   $ref: '#/components/schemas/TestStep'
+ *               suite_id:
+ *                 type: string
+ *                 description: Suite (folder) of the same project to file the test plan in
+ *               test_cases:
+ *                 type: array
+ *                 description: IDs of test cases from the same project, in execution order
+ *                 items:
+ *                   type: string
  *     responses:
  *       201:
  *         description: Test plan created successfully
@@ -51,12 +133,12 @@ const TestPlan = require('../models/TestPlan');
  *                   type: string
  *                   description: ID of the associated project
  *                   example: "60e8f8e5b9c3b3f51f16e13a"
- *                 created_at:
+ *                 createdAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was created
  *                   example: "2024-12-23T16:21:45.784Z"
- *                 updated_at:
+ *                 updatedAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was last updated
@@ -66,44 +148,34 @@ const TestPlan = require('../models/TestPlan');
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Name and project_id are required"
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (crtpt)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('crtpt', { project: fromBody() }), createRequest, async (req, res, next) => {
   try {
-    const { name, description, project_id, created_by, steps } = req.body;
-
-    // Validate required fields
-    if (!name || !project_id) {
-      return res.status(400).json({ error: 'Name and project ID are required' });
-    }
+    const { name, description, project_id, suite_id = null, steps, test_cases = [] } = req.body;
+    const normalizedSteps = normalizeSteps(steps);
 
     // Validate project ID
-    const project = await Project.findById(project_id);
+    const project = await Project.findOne({ _id: project_id, isDeleted: false });
     if (!project) {
-      return res.status(400).json({ error: 'Invalid project ID' });
+      return next(unprocessable('Invalid project ID'));
     }
 
-    // Validate created_by if provided
-    if (created_by) {
-      const user = await User.findById(created_by);
-      if (!user) {
-        return res.status(400).json({ error: 'Invalid user ID' });
-      }
+    // Validate the suite and referenced test cases
+    if (!(await validateSuite(suite_id, project_id))) {
+      return next(unprocessable('Invalid suite ID'));
+    }
+    if (!(await validateTestCases(test_cases, project_id))) {
+      return next(unprocessable('Invalid test cases provided'));
     }
 
     // Create the test plan
@@ -111,15 +183,22 @@ router.post('/', async (req, res) => {
       name,
       description,
       project_id,
-      created_by,
-      steps: steps || [], // Allow empty or raw values for steps
+      suite_id,
+      created_by: req.user._id, // The authenticated user is the author
+      updated_by: req.user._id,
+      steps: normalizedSteps,
+      test_cases,
     });
 
     await testPlan.save();
+    await recordRevision(testPlan, req.user);
+    await recordAudit(req, 'TestPlan', 'create', { after: testPlan });
+    await testPlan.populate(AUTHOR_FIELDS, 'username email');
+    await testPlan.populate('test_cases', TEST_CASE_FIELDS);
 
     res.status(201).json(testPlan);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -147,7 +226,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *           example: "name"
- *         description: Field to sort by (e.g., name, created_at)
+ *         description: Field to sort by (e.g., name, createdAt)
  *       - in: query
  *         name: order
  *         schema:
@@ -167,6 +246,16 @@ router.post('/', async (req, res) => {
  *           type: string
  *           example: "User Registration Plan"
  *         description: Term to filter by
+ *       - in: query
+ *         name: suite_id
+ *         schema:
+ *           type: string
+ *         description: Only test plans in this suite ("none" for plans not in any suite)
+ *       - in: query
+ *         name: include_subsuites
+ *         schema:
+ *           type: boolean
+ *         description: With suite_id, also include test plans in all of its sub-suites
  *     responses:
  *       200:
  *         description: Successfully retrieved test plans
@@ -223,41 +312,51 @@ router.post('/', async (req, res) => {
  *                         type: boolean
  *                         description: Indicates whether the test plan is soft-deleted
  *                         example: false
- *                       created_at:
+ *                       createdAt:
  *                         type: string
  *                         format: date-time
  *                         description: Timestamp when the test plan was created
  *                         example: "2024-12-23T16:21:45.784Z"
- *                       updated_at:
+ *                       updatedAt:
  *                         type: string
  *                         format: date-time
  *                         description: Timestamp when the test plan was last updated
  *                         example: "2024-12-23T16:21:52.933Z"
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
+ *       403:
+ *         description: Missing required permission (vwttp)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('vwttp', { anyProject: true }), listRequest, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sortBy = 'created_at', order = 'asc', filterBy, filterTerm } = req.query;
-
-    const skip = (page - 1) * limit;
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sort = { [sortBy]: sortOrder };
+    const { suite_id, include_subsuites } = req.query;
+    const { filter: termFilter, sort, page, limit, skip } = parseListQuery(req.query, TestPlan, {
+      defaultSort: { createdAt: 1 },
+      exclude: ['isDeleted'],
+    });
 
     // Build the filter
-    const filter = { isDeleted: false }; // Exclude soft-deleted records
-    if (filterBy && filterTerm) {
-      filter[filterBy] = { $regex: filterTerm, $options: 'i' }; // Case-insensitive regex search
+    const filter = { ...termFilter, isDeleted: false }; // Exclude soft-deleted records
+    if (suite_id === 'none') {
+      filter.suite_id = null;
+    } else if (suite_id && include_subsuites) {
+      const suiteIds = await findSuiteWithDescendants(suite_id);
+      if (!suiteIds) {
+        return next(unprocessable('Invalid suite ID'));
+      }
+      filter.suite_id = { $in: suiteIds };
+    } else if (suite_id) {
+      filter.suite_id = suite_id;
     }
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwttp');
+    if (visibleProjects) filter.$and = [{ project_id: { $in: visibleProjects } }]; // Only projects the user is a member of
 
     // Fetch total count of documents matching the filter
     const total = await TestPlan.countDocuments(filter);
@@ -265,22 +364,149 @@ router.get('/', async (req, res) => {
     // Fetch documents with pagination, sorting, and populate project data
     const testPlans = await TestPlan.find(filter)
       .populate('project_id', 'name description') // Populate specific fields from Project
+      .populate(AUTHOR_FIELDS, 'username email')
       .sort(sort)
       .skip(skip)
-      .limit(Number(limit));
+      .limit(limit);
 
     // Respond with paginated data
     res.status(200).json({
       total,
-      page: Number(page),
+      page,
+      totalPages: Math.ceil(total / limit),
+      testPlans,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+// Fields of a test plan that can be searched and sorted on
+const SEARCH_FIELDS = {
+  name: 'string',
+  description: 'string',
+  project_id: 'objectId',
+  suite_id: 'objectId',
+  test_cases: 'objectId',
+  created_by: 'objectId',
+  updated_by: 'objectId',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+/**
+ * @swagger
+ * /api/test-plans/search:
+ *   post:
+ *     summary: Search test plans with structured filters, sorting, and pagination
+ *     description: >
+ *       Searchable fields are name, description, project_id, suite_id, test_cases, created_by,
+ *       updated_by, createdAt and updatedAt. Deleted test plans are never returned.
+ *     tags: [TestPlans]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SearchRequest'
+ *     responses:
+ *       200:
+ *         description: Matching test plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 testPlans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Malformed search, or a field that cannot be searched or sorted on
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/search', requirePermission('vwttp', { anyProject: true }), searchRequest, async (req, res, next) => {
+  try {
+    const { pagination, where, sort } = req.body;
+    const { page, limit, skip } = parsePagination(pagination);
+
+    const conditions = [{ isDeleted: false }, buildSearchFilter(where, SEARCH_FIELDS)];
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwttp');
+    if (visibleProjects) conditions.push({ project_id: { $in: visibleProjects } }); // Only projects the user is a member of
+    const filter = { $and: conditions };
+
+    const total = await TestPlan.countDocuments(filter);
+    const testPlans = await TestPlan.find(filter)
+      .populate('project_id', 'name description')
+      .populate(AUTHOR_FIELDS, 'username email')
+      .sort(buildSearchSort(sort, SEARCH_FIELDS, { createdAt: 1 }))
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
       totalPages: Math.ceil(total / limit),
       testPlans,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+/**
+ * @swagger
+ * /api/test-plans/trash:
+ *   get:
+ *     summary: List deleted test plans
+ *     description: >
+ *       Lists test plans that were deleted directly, most recent first, in projects where the caller
+ *       holds dltpt. Pass cascaded=true to include plans deleted along with their suite or project.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: query
+ *         name: cascaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted test plans with deletedAt, deleted_by and deleted_with
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Missing required permission (dltpt)
+ */
+router.get('/trash', requirePermission('dltpt', { anyProject: true }), validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const visibleProjects = await projectIdsWithPermission(req.user, 'dltpt');
+    const filter = visibleProjects ? { project_id: { $in: visibleProjects } } : {};
+    const { items, ...pageInfo } = await findTrash(TestPlan, req.query, filter);
+
+    res.status(200).json({ ...pageInfo, testPlans: items });
+  } catch (err) {
+    next(err);
+  }
+});
 
 /**
  * @swagger
@@ -296,6 +522,7 @@ router.get('/', async (req, res) => {
  *           type: string
  *           example: "60e8f8e5b9c3b3f51f16e13e"
  *         description: The ID of the test plan to retrieve
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Successfully retrieved the test plan
@@ -335,12 +562,28 @@ router.get('/', async (req, res) => {
  *                   type: boolean
  *                   description: Indicates whether the test plan is soft-deleted
  *                   example: false
- *                 created_at:
+ *                 created_by:
+ *                   type: object
+ *                   description: User who created the test plan
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: "676a0f9cfb25a1d1ae9f2501"
+ *                     username:
+ *                       type: string
+ *                       example: "jdoe"
+ *                     email:
+ *                       type: string
+ *                       example: "jdoe@example.com"
+ *                 updated_by:
+ *                   type: object
+ *                   description: User who last edited the test plan (same shape as created_by)
+ *                 createdAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was created
  *                   example: "2024-12-23T16:21:45.784Z"
- *                 updated_at:
+ *                 updatedAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was last updated
@@ -350,50 +593,137 @@ router.get('/', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Test plan not found"
+ *               $ref: '#/components/schemas/Error'
+ *       304:
+ *         description: Test plan unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwttp)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('vwttp', { project: fromDocument(TestPlan) }), validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Find the test plan by ID and populate project data
-    const testPlan = await TestPlan.findOne({ _id: id, isDeleted: false}).populate('project_id', 'name description');
+    const testPlan = await TestPlan.findOne({ _id: id, isDeleted: false})
+      .populate('project_id', 'name description')
+      .populate(AUTHOR_FIELDS, 'username email')
+      .populate({ path: 'test_cases', match: { isDeleted: false }, select: TEST_CASE_FIELDS });
 
     // Handle test plan not found
     if (!testPlan) {
-      return res.status(404).json({ error: 'Test plan not found' });
+      return next(notFound('Test plan not found'));
     }
 
     // Respond with the found test plan
+    setETag(res, testPlan);
     res.status(200).json(testPlan);
   } catch (err) {
-    // Handle invalid ObjectId or other server errors
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 
+/**
+ * Apply the validated fields in req.body to a test plan; shared by PUT and PATCH.
+ */
+const updateTestPlan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, project_id, suite_id, test_cases } = req.body;
+
+    // Moving a test plan also requires the right to create test plans in the target project
+    if (project_id && !(await hasPermission(req, 'crtpt', project_id))) {
+      return next(forbidden('Missing required permission', { details: [{ permission: 'crtpt' }] }));
+    }
+
+    if (project_id && !(await Project.exists({ _id: project_id, isDeleted: false }))) {
+      return next(unprocessable('Invalid project ID'));
+    }
+
+    // The plan as it was, for the checks below and the audit trail
+    const existing = req.patchBase || (await TestPlan.findOne({ _id: id, isDeleted: false }).lean());
+    if (!existing) {
+      return next(notFound('Test plan not found'));
+    }
+    const precondition = checkIfMatch(req, existing);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    // The suite and referenced test cases must belong to the plan's (possibly new) project
+    let suiteUpdate = suite_id;
+    let casesUpdate = test_cases;
+    if (project_id || suite_id !== undefined || test_cases) {
+      const targetProject = project_id || existing.project_id;
+
+      // Moving to another project without naming a suite takes the plan out of its old suite
+      if (suiteUpdate === undefined && project_id && String(project_id) !== String(existing.project_id)) {
+        suiteUpdate = null;
+      }
+      if (suiteUpdate !== undefined && !(await validateSuite(suiteUpdate, targetProject))) {
+        return next(unprocessable('Invalid suite ID'));
+      }
+
+      // Cases deleted since the plan was built are not the caller's doing; a move drops them
+      const cases = test_cases || (await liveTestCases(existing.test_cases || []));
+      if (!(await validateTestCases(cases, targetProject))) {
+        return next(unprocessable('Invalid test cases provided'));
+      }
+      if (!test_cases && project_id && String(project_id) !== String(existing.project_id)) {
+        casesUpdate = cases;
+      }
+    }
+
+    // Build the update object
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (project_id) updates.project_id = project_id;
+    if (suiteUpdate !== undefined) updates.suite_id = suiteUpdate;
+    if (casesUpdate) updates.test_cases = casesUpdate;
+    updates.updated_by = req.user._id;
+
+    updates.updatedAt = Date.now(); // Update the timestamp
+
+    // Update the Test Plan, only in the version checked above; null fields (no description, no suite) are unset
+    const updatedTestPlan = await TestPlan.findOneAndUpdate(
+      { _id: id, isDeleted: false, ...sameVersion(existing) },
+      toUpdate(updates),
+      { new: true, runValidators: true } // Return the updated document and run schema validation
+    )
+      .populate('project_id', 'name description')
+      .populate(AUTHOR_FIELDS, 'username email')
+      .populate({ path: 'test_cases', match: { isDeleted: false }, select: TEST_CASE_FIELDS });
+
+    // Another write got in between
+    if (!updatedTestPlan) {
+      return next(concurrentModification());
+    }
+    await recordRevision(updatedTestPlan, req.user, { previous: existing });
+    await recordAudit(req, 'TestPlan', 'update', { before: existing, after: updatedTestPlan });
+
+    // Respond with the updated test plan
+    setETag(res, updatedTestPlan);
+    res.status(200).json(updatedTestPlan);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /api/test-plans/{id}:
  *   put:
  *     summary: Update a test plan
+ *     description: Every update stores the resulting content as a new revision (see /api/test-plans/{id}/revisions).
  *     tags: [TestPlans]
  *     parameters:
  *       - in: path
@@ -403,6 +733,7 @@ router.get('/:id', async (req, res) => {
  *           type: string
  *           example: "60e8f8e5b9c3b3f51f16e13e"
  *         description: The ID of the test plan to update
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -422,6 +753,15 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 description: Updated ID of the associated project
  *                 example: "60e8f8e5b9c3b3f51f16e13a"
+ *               suite_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Suite to move the test plan into; null removes it from its suite
+ *               test_cases:
+ *                 type: array
+ *                 description: Replaces the ordered list of referenced test case IDs
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
  *         description: Test plan updated successfully
@@ -457,12 +797,12 @@ router.get('/:id', async (req, res) => {
  *                       type: string
  *                       description: Updated project description
  *                       example: "Updated description of the project"
- *                 created_at:
+ *                 createdAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was created
  *                   example: "2024-12-23T16:21:45.784Z"
- *                 updated_at:
+ *                 updatedAt:
  *                   type: string
  *                   format: date-time
  *                   description: Timestamp when the test plan was last updated
@@ -472,71 +812,96 @@ router.get('/:id', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "At least one field must be provided for update"
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Test plan not found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Test plan not found"
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       409:
+ *         description: The test plan was modified concurrently
+ *       412:
+ *         description: The test plan has changed since the ETag in If-Match
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, description, project_id } = req.body;
-
-    // Validate input
-    if (!name && !description && !project_id) {
-      return res.status(400).json({ error: 'At least one field must be provided for update' });
-    }
-
-    // Build the update object
-    const updates = {};
-    if (name) updates.name = name;
-    if (description) updates.description = description;
-    if (project_id) updates.project_id = project_id;
-
-    updates.updated_at = Date.now(); // Update the timestamp
-
-    // Update the Test Plan
-    const updatedTestPlan = await TestPlan.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true } // Return the updated document and run schema validation
-    ).populate('project_id', 'name description');
-
-    // Handle test plan not found
-    if (!updatedTestPlan) {
-      return res.status(404).json({ error: 'Test plan not found' });
-    }
+router.put('/:id', requirePermission('updpt', { project: fromDocument(TestPlan) }), updateRequest, updateTestPlan);
 
-    // Respond with the updated test plan
-    res.status(200).json(updatedTestPlan);
-  } catch (err) {
-    // Handle invalid ObjectId or other server errors
-    res.status(500).json({ error: err.message });
-  }
-});
+/**
+ * @swagger
+ * /api/test-plans/{id}:
+ *   patch:
+ *     summary: Partially update a test plan
+ *     description: >
+ *       Accepts a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902); plain application/json is read
+ *       as a merge patch. null (or a remove operation) clears the description or takes the plan out of its
+ *       suite, and JSON Patch can edit test_cases in place, e.g. append with path /test_cases/-.
+ *       The same checks as PUT apply, and the result is stored as a new revision.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "60e8f8e5b9c3b3f51f16e13e"
+ *         description: The ID of the test plan to update
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               project_id:
+ *                 type: string
+ *               suite_id:
+ *                 type: string
+ *                 nullable: true
+ *               test_cases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *     responses:
+ *       200:
+ *         description: Test plan updated successfully
+ *       400:
+ *         description: Malformed patch, or the patched test plan fails validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (updpt, and crtpt in the target project when moving it)
+ *       404:
+ *         description: Test plan not found
+ *       409:
+ *         description: A patch operation does not fit the test plan, a test operation failed, or the test plan was modified concurrently
+ *       412:
+ *         description: The test plan has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is neither a merge patch nor a JSON Patch
+ *       422:
+ *         description: The JSON Patch addresses a field that cannot be changed, or the project, suite or test cases are invalid
+ */
+router.patch('/:id', requirePermission('updpt', { project: fromDocument(TestPlan) }), patchTestPlanRequest, updateTestPlan);
 
 
 /**
@@ -564,6 +929,8 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Test plan soft deleted successfully"
+ *                 deletedTestRuns:
+ *                   type: integer
  *                 testPlan:
  *                   type: object
  *                   properties:
@@ -587,12 +954,12 @@ router.put('/:id', async (req, res) => {
  *                       type: boolean
  *                       description: Indicates whether the test plan is soft-deleted
  *                       example: true
- *                     created_at:
+ *                     createdAt:
  *                       type: string
  *                       format: date-time
  *                       description: Timestamp when the test plan was created
  *                       example: "2024-12-23T16:21:45.784Z"
- *                     updated_at:
+ *                     updatedAt:
  *                       type: string
  *                       format: date-time
  *                       description: Timestamp when the test plan was last updated
@@ -602,48 +969,96 @@ router.put('/:id', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Test plan not found"
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission (dltpt)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "Internal server error"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('dltpt', { project: fromDocument(TestPlan) }), validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Perform the soft delete
-    const deletedTestPlan = await TestPlan.findByIdAndUpdate(
-      id,
-      { isDeleted: true, updated_at: Date.now() }, // Set isDeleted to true
-      { new: true } // Return the updated document
-    );
+    // Perform the soft delete; the plan's runs go with it
+    const before = await TestPlan.findOne({ _id: id, isDeleted: false }).lean();
+    const deleted = before && await deleteTestPlan(id, req.user);
 
     // Handle test plan not found
-    if (!deletedTestPlan) {
-      return res.status(404).json({ error: 'Test plan not found' });
+    if (!deleted) {
+      return next(notFound('Test plan not found'));
     }
+    await recordAudit(req, 'TestPlan', 'delete', { before, after: deleted.testPlan });
 
     // Respond with success message and updated document
     res.status(200).json({
       message: 'Test plan soft deleted successfully',
-      testPlan: deletedTestPlan,
+      testPlan: deleted.testPlan,
+      deletedTestRuns: deleted.testRuns,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted test plan
+ *     description: >
+ *       Restores a test plan that was deleted directly, together with the test runs its delete removed.
+ *       Plans deleted along with their suite or project come back by restoring that record instead.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The test plan ID
+ *     responses:
+ *       200:
+ *         description: Test plan restored, with the number of restored test runs
+ *       403:
+ *         description: Missing required permission (dltpt)
+ *       404:
+ *         description: No deleted test plan with this ID
+ *       422:
+ *         description: The plan was deleted with its suite or project, or its project or suite is still deleted
+ */
+router.post('/:id/restore', requirePermission('dltpt', { project: fromDocument(TestPlan) }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: true });
+    if (!testPlan) {
+      return next(notFound('Deleted test plan not found'));
+    }
+
+    const cascadeError = cascadeRestoreError(testPlan, 'Test plan');
+    if (cascadeError) {
+      return next(cascadeError);
+    }
+    if (!(await Project.exists({ _id: testPlan.project_id, isDeleted: false }))) {
+      return next(unprocessable('The test plan\'s project is deleted; restore it first'));
+    }
+    if (testPlan.suite_id && !(await validateSuite(testPlan.suite_id, testPlan.project_id))) {
+      return next(unprocessable('The test plan\'s suite is deleted; restore it first'));
+    }
+
+    const { record, restored } = await restoreCascade(TestPlan, testPlan);
+    await recordAudit(req, 'TestPlan', 'restore', { before: testPlan, after: record });
+
+    res.status(200).json({
+      message: 'Test plan restored successfully',
+      testPlan: record,
+      restoredTestRuns: restored.testRuns,
     });
   } catch (err) {
-    // Handle invalid ObjectId or other server errors
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
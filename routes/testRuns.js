@@ -0,0 +1,557 @@
+const express = require('express');
+const TestRun = require('../models/TestRun');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const { requirePermission } = require('../middleware/authorize');
+const { projectIdsWithPermission } = require('../utils/permissions');
+const { fromDocument, fromReference } = require('../utils/projectScope');
+const { renumberSteps } = require('../utils/steps');
+const { validate, objectId, idParams } = require('../middleware/validate');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+
+const router = express.Router();
+
+const STEP_STATUSES = ['passed', 'failed', 'blocked', 'skipped'];
+const testRunProject = fromDocument(TestRun);
+
+// Request validation
+const notesRule = { type: 'string', maxLength: 2000 };
+const startRequest = validate({ body: { test_plan_id: objectId, notes: notesRule } });
+const listRequest = validate({
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    test_plan_id: { type: 'objectId' },
+    project_id: { type: 'objectId' },
+    status: { type: 'string', enum: TestRun.schema.path('status').enumValues },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+  },
+});
+const recordRequest = validate({
+  params: { id: objectId, resultId: objectId },
+  body: {
+    status: { type: 'string', required: true, enum: STEP_STATUSES },
+    actual_result: { type: 'string', maxLength: 2000 },
+    notes: notesRule,
+  },
+});
+const completeRequest = validate({
+  params: idParams,
+  body: {
+    // Other statuses are derived from the step results
+    status: { type: 'string', enum: ['aborted'] },
+    notes: notesRule,
+  },
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: TestRuns
+ *   description: API for executing test plans and recording step results
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestRun:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676c2d3efb25a1d1ae9f2701"
+ *         test_plan_id:
+ *           type: string
+ *           example: "60e8f8e5b9c3b3f51f16e13e"
+ *         project_id:
+ *           type: string
+ *           example: "60e8f8e5b9c3b3f51f16e13a"
+ *         name:
+ *           type: string
+ *           description: Test plan name when the run started
+ *           example: "User Registration Plan"
+ *         status:
+ *           type: string
+ *           enum: [in_progress, passed, failed, blocked, incomplete, not_run, aborted]
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 description: ID of the step result
+ *               step_id:
+ *                 type: string
+ *                 description: ID of the test plan or test case step it was copied from
+ *               test_case_id:
+ *                 type: string
+ *                 description: ID of the test case the step came from, if any
+ *               order:
+ *                 type: integer
+ *               action:
+ *                 type: string
+ *               expected_result:
+ *                 type: string
+ *               test_data:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, passed, failed, blocked, skipped]
+ *               actual_result:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               executed_by:
+ *                 type: string
+ *               executed_at:
+ *                 type: string
+ *                 format: date-time
+ *         started_by:
+ *           type: string
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         completed_by:
+ *           type: string
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *         duration_ms:
+ *           type: integer
+ *           description: Time between start and completion in milliseconds
+ *           example: 183000
+ */
+
+/**
+ * @swagger
+ * /api/test-runs:
+ *   post:
+ *     summary: Start a run of a test plan
+ *     description: >
+ *       The test plan's current steps, followed by the steps of its test cases in order, are copied
+ *       into the run, so later edits to the plan or its cases do not change it.
+ *     tags: [TestRuns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               test_plan_id:
+ *                 type: string
+ *                 example: "60e8f8e5b9c3b3f51f16e13e"
+ *               notes:
+ *                 type: string
+ *                 example: "Release 2.3 regression, staging environment"
+ *     responses:
+ *       201:
+ *         description: Test run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestRun'
+ *       400:
+ *         description: Request body failed validation
+ *       403:
+ *         description: Missing required permission (exctr)
+ *       422:
+ *         description: The test plan does not exist
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('exctr', { project: fromReference(TestPlan, 'test_plan_id') }), startRequest, async (req, res, next) => {
+  try {
+    const { test_plan_id, notes } = req.body;
+
+    const testPlan = await TestPlan.findOne({ _id: test_plan_id, isDeleted: false });
+    if (!testPlan) {
+      return next(unprocessable('Invalid test plan ID'));
+    }
+
+    // Snapshot the plan's own steps, then each referenced test case's steps, as pending results
+    const cases = await TestCase.find({ _id: { $in: testPlan.test_cases }, isDeleted: false });
+    const casesById = new Map(cases.map((testCase) => [testCase._id.toString(), testCase]));
+    const sources = [{ steps: testPlan.steps }];
+    testPlan.test_cases.forEach((caseId) => {
+      const testCase = casesById.get(caseId.toString());
+      if (testCase) sources.push({ steps: testCase.steps, test_case_id: testCase._id });
+    });
+
+    const steps = [];
+    sources.forEach(({ steps: sourceSteps, test_case_id }) => {
+      renumberSteps(sourceSteps).forEach((step) => {
+        steps.push({
+          step_id: step._id,
+          test_case_id,
+          order: steps.length + 1,
+          action: step.action,
+          expected_result: step.expected_result,
+          test_data: step.test_data,
+        });
+      });
+    });
+
+    const testRun = new TestRun({
+      test_plan_id: testPlan._id,
+      project_id: testPlan.project_id,
+      name: testPlan.name,
+      steps,
+      notes,
+      started_by: req.user._id,
+    });
+    await testRun.save();
+    await recordAudit(req, 'TestRun', 'create', { after: testRun });
+
+    res.status(201).json(testRun);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-runs:
+ *   get:
+ *     summary: Retrieve test runs with pagination and filtering
+ *     tags: [TestRuns]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *       - in: query
+ *         name: test_plan_id
+ *         schema:
+ *           type: string
+ *         description: Only runs of this test plan
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *         description: Only runs in this project
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_progress, passed, failed, blocked, incomplete, not_run, aborted]
+ *         description: Only runs with this overall status
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: "Sort order by start time (default: desc)"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved test runs (step results omitted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 testRuns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TestRun'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       403:
+ *         description: Missing required permission (vwtrn)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwtrn', { anyProject: true }), listRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, test_plan_id, project_id, status, order = 'desc' } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { isDeleted: false };
+    if (test_plan_id) filter.test_plan_id = test_plan_id;
+    if (project_id) filter.project_id = project_id;
+    if (status) filter.status = status;
+    const visibleProjects = await projectIdsWithPermission(req.user, 'vwtrn');
+    if (visibleProjects) {
+      filter.project_id = project_id
+        ? { $in: visibleProjects.filter((visible) => visible.toString() === project_id) }
+        : { $in: visibleProjects };
+    }
+
+    const total = await TestRun.countDocuments(filter);
+    const testRuns = await TestRun.find(filter)
+      .select('-steps')
+      .populate('started_by completed_by', 'username email')
+      .sort({ started_at: order === 'asc' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      testRuns,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-runs/{id}:
+ *   get:
+ *     summary: Retrieve a test run with its step results
+ *     tags: [TestRuns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test run
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The test run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestRun'
+ *       304:
+ *         description: Test run unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwtrn)
+ *       404:
+ *         description: Test run not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', requirePermission('vwtrn', { project: testRunProject }), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const testRun = await TestRun.findOne({ _id: req.params.id, isDeleted: false })
+      .populate('started_by completed_by steps.executed_by', 'username email');
+
+    if (!testRun) {
+      return next(notFound('Test run not found'));
+    }
+
+    setETag(res, testRun);
+    res.status(200).json(testRun);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-runs/{id}/steps/{resultId}:
+ *   put:
+ *     summary: Record the result of one step
+ *     tags: [TestRuns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test run
+ *       - in: path
+ *         name: resultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the step result within the run
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [passed, failed, blocked, skipped]
+ *               actual_result:
+ *                 type: string
+ *                 example: "No confirmation email received after 5 minutes"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated step result
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Missing required permission (exctr)
+ *       404:
+ *         description: Test run or step result not found
+ *       409:
+ *         description: The run is already completed
+ *       412:
+ *         description: The test run has changed since the ETag in If-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/steps/:resultId', requirePermission('exctr', { project: testRunProject }), recordRequest, async (req, res, next) => {
+  try {
+    const { status, actual_result, notes } = req.body;
+
+    const testRun = await TestRun.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testRun) {
+      return next(notFound('Test run not found'));
+    }
+    if (!testRun.steps.id(req.params.resultId)) {
+      return next(notFound('Step result not found'));
+    }
+    const precondition = checkIfMatch(req, testRun);
+    if (precondition) {
+      return next(precondition);
+    }
+
+    // Update the single result atomically, and only while the run is still open
+    const updates = {
+      'steps.$.status': status,
+      'steps.$.executed_by': req.user._id,
+      'steps.$.executed_at': Date.now(),
+      updatedAt: Date.now(),
+    };
+    if (actual_result !== undefined) updates['steps.$.actual_result'] = actual_result;
+    if (notes !== undefined) updates['steps.$.notes'] = notes;
+
+    // Testers record different steps of one run side by side, so the version is only held to an If-Match
+    const conditional = req.get('If-Match') ? sameVersion(testRun) : {};
+    const updatedRun = await TestRun.findOneAndUpdate(
+      { _id: testRun._id, isDeleted: false, status: 'in_progress', 'steps._id': req.params.resultId, ...conditional },
+      { $set: updates },
+      { new: true }
+    );
+    if (!updatedRun) {
+      // Deleted since it was loaded, e.g. along with its test plan or project
+      if (!(await TestRun.exists({ _id: testRun._id, isDeleted: false }))) {
+        return next(notFound('Test run not found'));
+      }
+      return next(req.get('If-Match') ? concurrentModification() : conflict('Test run is already completed'));
+    }
+    await recordAudit(req, 'TestRun', 'update', { before: testRun, after: updatedRun });
+
+    setETag(res, updatedRun);
+
+    res.status(200).json(updatedRun.steps.id(req.params.resultId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-runs/{id}/complete:
+ *   post:
+ *     summary: Finalize a test run
+ *     description: >
+ *       Sets the overall status from the step results (any failed step fails the run, then any
+ *       blocked step blocks it, unexecuted steps leave it incomplete, a run without a passed step
+ *       is not_run, otherwise it passes) and records the duration. Send `status: aborted` to
+ *       abandon the run instead.
+ *     tags: [TestRuns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test run
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [aborted]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The completed test run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestRun'
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Missing required permission (exctr)
+ *       404:
+ *         description: Test run not found
+ *       409:
+ *         description: The run is already completed, or a step result was recorded concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/complete', requirePermission('exctr', { project: testRunProject }), completeRequest, async (req, res, next) => {
+  try {
+    const { status, notes } = req.body;
+
+    const testRun = await TestRun.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testRun) {
+      return next(notFound('Test run not found'));
+    }
+    if (testRun.status !== 'in_progress') {
+      return next(conflict('Test run is already completed'));
+    }
+
+    const completedAt = new Date();
+    const updates = {
+      status: status || testRun.computeStatus(),
+      completed_by: req.user._id,
+      completed_at: completedAt,
+      duration_ms: completedAt - testRun.started_at,
+      updatedAt: completedAt,
+    };
+    if (notes !== undefined) updates.notes = notes;
+
+    // Only one request can close the run, and only from the step results its status was computed from
+    const completedRun = await TestRun.findOneAndUpdate(
+      { _id: testRun._id, isDeleted: false, status: 'in_progress', ...sameVersion(testRun) },
+      updates,
+      { new: true }
+    );
+    if (!completedRun) {
+      const current = await TestRun.findOne({ _id: testRun._id, isDeleted: false }).select('status').lean();
+      if (!current) {
+        return next(notFound('Test run not found'));
+      }
+      // A result recorded since the run was loaded can change the outcome, so the client retries
+      return next(current.status === 'in_progress' ? concurrentModification() : conflict('Test run is already completed'));
+    }
+    await recordAudit(req, 'TestRun', 'update', { before: testRun, after: completedRun });
+
+    res.status(200).json(completedRun);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,465 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TestPlan = require('../models/TestPlan');
+const { requirePermission } = require('../middleware/authorize');
+const { fromDocument } = require('../utils/projectScope');
+const { pickStepFields, renumberSteps, insertStep } = require('../utils/steps');
+const { validate, objectId, idParams } = require('../middleware/validate');
+const { conflict, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { recordRevision } = require('../utils/revisions');
+const { setETag, checkIfMatch } = require('../utils/concurrency');
+
+// Mounted under /api/test-plans/:id/steps
+const router = express.Router({ mergeParams: true });
+
+const testPlanProject = fromDocument(TestPlan);
+
+// Request validation
+const stepParams = { ...idParams, stepId: objectId };
+const stepFields = {
+  action: { type: 'string', trim: true, minLength: 1, maxLength: 2000 },
+  expected_result: { type: 'string', maxLength: 2000 },
+  test_data: { type: 'string', maxLength: 2000 },
+};
+const planRequest = validate({ params: idParams });
+const addRequest = validate({
+  params: idParams,
+  body: { ...stepFields, action: { ...stepFields.action, required: true }, order: { type: 'integer', min: 1 } },
+});
+const reorderRequest = validate({
+  params: idParams,
+  body: { step_ids: { type: 'array', required: true, items: { type: 'objectId' } } },
+});
+const stepRequest = validate({ params: stepParams });
+const updateRequest = validate({ params: stepParams, body: stepFields, requireOneOf: Object.keys(stepFields) });
+
+/**
+ * Persist a step change on the parent test plan, recording the editor, a new revision and an audit event.
+ * @param {Object} testPlan - TestPlan document with modified steps.
+ * @param {Object} req - Express request with `req.user`.
+ * @param {Object} before - Snapshot of the test plan taken before the steps were changed.
+ */
+const saveTestPlan = async (testPlan, req, before) => {
+  testPlan.updated_by = req.user._id;
+  testPlan.updatedAt = Date.now();
+  await testPlan.save();
+  await recordRevision(testPlan, req.user, { previous: before });
+  await recordAudit(req, 'TestPlan', 'update', { before, after: testPlan });
+};
+
+/**
+ * Pass errors raised while saving steps on, naming concurrent step edits.
+ */
+const handleError = (next, err) => {
+  if (err instanceof mongoose.Error.VersionError) {
+    // Another request changed the step list since this one loaded it
+    return next(conflict('Test plan steps were modified concurrently, please retry', { code: 'CONCURRENT_MODIFICATION' }));
+  }
+  next(err);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestStep:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "676b1c2dfb25a1d1ae9f2601"
+ *         action:
+ *           type: string
+ *           description: What the tester does
+ *           example: "Submit the registration form with a valid email"
+ *         expected_result:
+ *           type: string
+ *           description: What should happen
+ *           example: "A confirmation email is sent"
+ *         test_data:
+ *           type: string
+ *           description: Input data used by the step
+ *           example: "jdoe@example.com"
+ *         order:
+ *           type: integer
+ *           description: 1-based position of the step in the test plan
+ *           example: 1
+ */
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps:
+ *   get:
+ *     summary: List the steps of a test plan in order
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: Ordered steps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TestStep'
+ *       304:
+ *         description: Steps unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwttp)
+ *       404:
+ *         description: Test plan not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwttp', { project: testPlanProject }), planRequest, async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+
+    setETag(res, testPlan); // The steps are versioned with their test plan
+    res.status(200).json({ steps: renumberSteps(testPlan.steps) });
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps:
+ *   post:
+ *     summary: Add a step to a test plan
+ *     description: The step is appended unless `order` gives a 1-based position to insert it at.
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestStep'
+ *     responses:
+ *       201:
+ *         description: Step added; returns the full ordered step list
+ *       400:
+ *         description: Action is required
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Test plan not found
+ *       409:
+ *         description: The step list was modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('updpt', { project: testPlanProject }), addRequest, async (req, res, next) => {
+  try {
+    const step = pickStepFields(req.body);
+
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const before = snapshot(testPlan);
+
+    testPlan.steps = insertStep(testPlan.steps, step, req.body.order);
+    await saveTestPlan(testPlan, req, before);
+
+    res.status(201).json({ steps: testPlan.steps });
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps/reorder:
+ *   put:
+ *     summary: Reorder the steps of a test plan
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               step_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every step ID of the test plan, in the new order
+ *     responses:
+ *       200:
+ *         description: Steps reordered; returns the full ordered step list
+ *       400:
+ *         description: step_ids must be an array of IDs
+ *       412:
+ *         description: The test plan has changed since the ETag in If-Match
+ *       422:
+ *         description: step_ids must list every step exactly once
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Test plan not found
+ *       409:
+ *         description: The step list was modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/reorder', requirePermission('updpt', { project: testPlanProject }), reorderRequest, async (req, res, next) => {
+  try {
+    const { step_ids } = req.body;
+
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const precondition = checkIfMatch(req, testPlan);
+    if (precondition) {
+      return next(precondition);
+    }
+    const before = snapshot(testPlan);
+
+    // The new order must be a permutation of the existing steps
+    const existing = testPlan.steps.map((step) => step._id.toString());
+    const requested = step_ids;
+    if (
+      requested.length !== existing.length ||
+      new Set(requested).size !== requested.length ||
+      !requested.every((stepId) => existing.includes(stepId))
+    ) {
+      return next(unprocessable('step_ids must list every step of the test plan exactly once'));
+    }
+
+    const positions = new Map(requested.map((stepId, index) => [stepId, index + 1]));
+    testPlan.steps = renumberSteps(
+      testPlan.steps.map((step) => ({ ...step.toObject(), order: positions.get(step._id.toString()) }))
+    );
+    await saveTestPlan(testPlan, req, before);
+
+    setETag(res, testPlan);
+    res.status(200).json({ steps: testPlan.steps });
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps/{stepId}:
+ *   put:
+ *     summary: Edit a step
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the step
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *               expected_result:
+ *                 type: string
+ *               test_data:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated step
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestStep'
+ *       400:
+ *         description: At least one field must be provided
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Test plan or step not found
+ *       409:
+ *         description: The step list was modified concurrently
+ *       412:
+ *         description: The test plan has changed since the ETag in If-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:stepId', requirePermission('updpt', { project: testPlanProject }), updateRequest, async (req, res, next) => {
+  try {
+    const updates = pickStepFields(req.body);
+
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const precondition = checkIfMatch(req, testPlan);
+    if (precondition) {
+      return next(precondition);
+    }
+    const before = snapshot(testPlan);
+
+    const step = testPlan.steps.id(req.params.stepId);
+    if (!step) {
+      return next(notFound('Step not found'));
+    }
+
+    step.set(updates);
+    await saveTestPlan(testPlan, req, before);
+
+    setETag(res, testPlan);
+    res.status(200).json(step);
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps/{stepId}/duplicate:
+ *   post:
+ *     summary: Duplicate a step directly after the original
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the step to copy
+ *     responses:
+ *       201:
+ *         description: Step duplicated; returns the full ordered step list
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Test plan or step not found
+ *       409:
+ *         description: The step list was modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:stepId/duplicate', requirePermission('updpt', { project: testPlanProject }), stepRequest, async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const before = snapshot(testPlan);
+
+    const original = testPlan.steps.id(req.params.stepId);
+    if (!original) {
+      return next(notFound('Step not found'));
+    }
+
+    // Insert the copy right after the original; it gets a fresh _id
+    const copy = pickStepFields(original.toObject());
+    testPlan.steps = insertStep(testPlan.steps, copy, original.order + 1);
+    await saveTestPlan(testPlan, req, before);
+
+    res.status(201).json({ steps: testPlan.steps });
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/test-plans/{id}/steps/{stepId}:
+ *   delete:
+ *     summary: Remove a step
+ *     tags: [TestPlans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the test plan
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the step to remove
+ *     responses:
+ *       200:
+ *         description: Step removed; returns the remaining steps in order
+ *       403:
+ *         description: Missing required permission (updpt)
+ *       404:
+ *         description: Test plan or step not found
+ *       409:
+ *         description: The step list was modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:stepId', requirePermission('updpt', { project: testPlanProject }), stepRequest, async (req, res, next) => {
+  try {
+    const testPlan = await TestPlan.findOne({ _id: req.params.id, isDeleted: false });
+    if (!testPlan) {
+      return next(notFound('Test plan not found'));
+    }
+    const before = snapshot(testPlan);
+
+    if (!testPlan.steps.id(req.params.stepId)) {
+      return next(notFound('Step not found'));
+    }
+
+    testPlan.steps = renumberSteps(
+      testPlan.steps.filter((step) => step._id.toString() !== req.params.stepId)
+    );
+    await saveTestPlan(testPlan, req, before);
+
+    res.status(200).json({ message: 'Step removed successfully', steps: testPlan.steps });
+  } catch (err) {
+    handleError(next, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,641 @@
+const express = require('express');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/authorize');
+const { parseListQuery } = require('../utils/listQuery');
+const { softDeleteOne, restoreOne, findTrash } = require('../utils/softDelete');
+const { validate, idParams, trashQuery } = require('../middleware/validate');
+const { permissionKeysForRoles, resolvePermissionKeys } = require('../utils/permissions');
+const { forbidden, notFound, unprocessable } = require('../utils/errors');
+const { recordAudit } = require('../utils/audit');
+const { setETag, checkIfMatch, sameVersion, concurrentModification } = require('../utils/concurrency');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+const PRIVATE_FIELDS = ['passwordHash', 'tokenVersion'];
+
+// Editable user fields
+const userFields = {
+  username: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  email: {
+    type: 'string',
+    trim: true,
+    maxLength: 254,
+    custom: (email) => (/^[^\s@]+@[^\s@]+$/.test(email) ? undefined : 'must be a valid email address'),
+  },
+  firstName: { type: 'string', trim: true, maxLength: 100 },
+  lastName: { type: 'string', trim: true, maxLength: 100 },
+  password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 200 },
+  roles: { type: 'array', items: { type: 'objectId' } },
+};
+
+// Request validation
+const createRequest = validate({
+  body: {
+    ...userFields,
+    username: { ...userFields.username, required: true },
+    email: { ...userFields.email, required: true },
+    password: { ...userFields.password, required: true },
+  },
+});
+const listRequest = validate({ query: { deleted: { type: 'boolean' } } });
+const updateRequest = validate({ params: idParams, body: userFields, requireOneOf: Object.keys(userFields) });
+
+/**
+ * Check that every role ID names an existing role.
+ * @param {Array<string>} roles - Role IDs.
+ * @returns {Promise<boolean>}
+ */
+const rolesExist = async (roles) => {
+  const count = await Role.countDocuments({ _id: { $in: roles }, isDeleted: false });
+  return count === new Set(roles).size;
+};
+
+/**
+ * Check that the caller holds every permission of the given roles (inherited
+ * ones included), so that managing users cannot be used to hand out, or to take
+ * over an account with, more access than the caller has.
+ * @param {Object} req - Express request with `req.user`.
+ * @param {Array<string>} roleIds - Roles to assign, or held by the user being managed.
+ * @returns {Promise<ApiError|null>} A 403 naming the permissions the caller lacks, or null.
+ */
+const roleEscalationError = async (req, roleIds) => {
+  const [granted, held] = await Promise.all([permissionKeysForRoles(roleIds), resolvePermissionKeys(req.user)]);
+  const missing = [...granted].filter((key) => !held.has(key));
+  if (!missing.length) return null;
+  return forbidden('The roles grant permissions you do not hold', {
+    details: missing.map((permission) => ({ permission })),
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API for managing user accounts
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a new user
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Unique login name for the user
+ *                 example: "jdoe"
+ *               email:
+ *                 type: string
+ *                 description: Unique email address for the user
+ *                 example: "jdoe@example.com"
+ *               firstName:
+ *                 type: string
+ *                 description: Given name of the user
+ *                 example: "Jane"
+ *               lastName:
+ *                 type: string
+ *                 description: Family name of the user
+ *                 example: "Doe"
+ *               password:
+ *                 type: string
+ *                 description: Initial password (at least 8 characters), stored hashed
+ *                 example: "correct horse battery staple"
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: List of role IDs assigned to the user
+ *                 example: ["67698e19fb25a1d1ae9f24f6"]
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: Unique identifier for the user
+ *                   example: "676a0f9cfb25a1d1ae9f2501"
+ *                 username:
+ *                   type: string
+ *                   example: "jdoe"
+ *                 email:
+ *                   type: string
+ *                   example: "jdoe@example.com"
+ *                 firstName:
+ *                   type: string
+ *                   example: "Jane"
+ *                 lastName:
+ *                   type: string
+ *                   example: "Doe"
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["67698e19fb25a1d1ae9f24f6"]
+ *                 isDeleted:
+ *                   type: boolean
+ *                   example: false
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2024-12-23T16:21:45.784Z"
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2024-12-23T16:21:45.784Z"
+ *       400:
+ *         description: Request body failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: >
+ *           Missing required permission (mngus), or the roles grant permissions the caller does not
+ *           hold (listed in details)
+ *       409:
+ *         description: Username or email already in use
+ *       422:
+ *         description: One of the roles does not exist
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', requirePermission('mngus'), createRequest, async (req, res, next) => {
+  try {
+    const { username, email, firstName, lastName, password, roles = [] } = req.body;
+
+    // Validate roles
+    if (!(await rolesExist(roles))) {
+      return next(unprocessable('Invalid roles provided'));
+    }
+    const escalation = await roleEscalationError(req, roles);
+    if (escalation) {
+      return next(escalation);
+    }
+
+    // Create the user
+    const user = new User({ username, email, firstName, lastName, roles });
+    await user.setPassword(password);
+    await user.save();
+    await recordAudit(req, 'User', 'create', { after: user, redacted: ['password'] });
+
+    res.status(201).json(user);
+  } catch (err) {
+    next(err); // A duplicate username or email is answered with a 409
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Retrieve a list of users with pagination, sorting, filtering, and an option to include deleted records
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: "Page number for pagination (default: 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: "Number of results per page (default: 10)"
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: "Field to sort by (e.g., username, email)"
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - asc
+ *             - desc
+ *         description: "Sort order (ascending or descending)"
+ *       - in: query
+ *         name: filterBy
+ *         schema:
+ *           type: string
+ *         description: "Field to filter by (e.g., username, email)"
+ *       - in: query
+ *         name: filterTerm
+ *         schema:
+ *           type: string
+ *         description: "Term to search for in the filter field"
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: boolean
+ *           example: false
+ *         description: "Include soft-deleted records in the response (default: false)"
+ *     responses:
+ *       200:
+ *         description: "Successfully retrieved the list of users"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: "Total number of users matching the criteria"
+ *                   example: 50
+ *                 page:
+ *                   type: integer
+ *                   description: "Current page number"
+ *                   example: 1
+ *                 totalPages:
+ *                   type: integer
+ *                   description: "Total number of pages"
+ *                   example: 5
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: "676a0f9cfb25a1d1ae9f2501"
+ *                       username:
+ *                         type: string
+ *                         example: "jdoe"
+ *                       email:
+ *                         type: string
+ *                         example: "jdoe@example.com"
+ *                       roles:
+ *                         type: array
+ *                         description: "Roles assigned to the user (name and key)"
+ *                         items:
+ *                           type: object
+ *                       isDeleted:
+ *                         type: boolean
+ *                         example: false
+ *       400:
+ *         description: Invalid filter, sort, or pagination parameter (the response names the parameter and, where useful, the allowed values)
+ *       403:
+ *         description: Missing required permission (vwusr)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', requirePermission('vwusr'), listRequest, async (req, res, next) => {
+  try {
+    const { deleted = false } = req.query;
+
+    // Never allow credentials to be probed through filtering or sorting
+    const { filter, sort, page, limit, skip } = parseListQuery(req.query, User, {
+      defaultSort: { createdAt: 1 },
+      exclude: [...PRIVATE_FIELDS, 'isDeleted'],
+    });
+
+    if (!deleted) {
+      filter.isDeleted = false; // Exclude soft-deleted records by default
+    }
+
+    // Fetch total count and filtered records
+    const total = await User.countDocuments(filter);
+    const users = await User.find(filter)
+      .populate('roles', 'name key')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      users,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/trash:
+ *   get:
+ *     summary: List deleted users
+ *     description: Lists soft-deleted users, most recently deleted first.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of deleted users with deletedAt and deleted_by
+ *       400:
+ *         description: Invalid pagination parameter
+ *       403:
+ *         description: Missing required permission (mngus)
+ */
+router.get('/trash', requirePermission('mngus'), validate({ query: trashQuery }), async (req, res, next) => {
+  try {
+    const { items, ...pageInfo } = await findTrash(User, req.query);
+
+    res.status(200).json({ ...pageInfo, users: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user by ID
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "676a0f9cfb25a1d1ae9f2501"
+ *         description: The unique identifier of the user
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: A single user with its roles populated
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       304:
+ *         description: User unchanged since the ETag in If-None-Match
+ *       403:
+ *         description: Missing required permission (vwusr)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', requirePermission('vwusr'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Fetch the user by ID
+    const user = await User.findById(id).populate('roles', 'name key');
+
+    // Handle not found
+    if (!user || user.isDeleted) {
+      return next(notFound('User not found'));
+    }
+
+    setETag(res, user);
+    res.status(200).json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a user
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "676a0f9cfb25a1d1ae9f2501"
+ *         description: The unique identifier of the user
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "jdoe"
+ *               email:
+ *                 type: string
+ *                 example: "jane.doe@example.com"
+ *               firstName:
+ *                 type: string
+ *                 example: "Jane"
+ *               lastName:
+ *                 type: string
+ *                 example: "Doe"
+ *               password:
+ *                 type: string
+ *                 description: New password (at least 8 characters)
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replacement list of role IDs
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       400:
+ *         description: Request failed validation
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: >
+ *           Missing required permission (mngus), or the user's current or new roles grant permissions
+ *           the caller does not hold (listed in details)
+ *       409:
+ *         description: Username or email already in use, or the user was modified concurrently
+ *       412:
+ *         description: The user has changed since the ETag in If-Match
+ *       422:
+ *         description: One of the roles does not exist
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', requirePermission('mngus'), updateRequest, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { password, ...updates } = req.body;
+
+    // Validate roles if provided
+    if (updates.roles && !(await rolesExist(updates.roles))) {
+      return next(unprocessable('Invalid roles provided'));
+    }
+
+    // Build update object
+    if (password) {
+      const user = new User();
+      await user.setPassword(password);
+      updates.passwordHash = user.passwordHash;
+      updates.$inc = { tokenVersion: 1 }; // A password change signs out existing sessions
+    }
+    updates.updatedAt = Date.now(); // Update timestamp
+
+    // Find and update the user
+    const before = await User.findOne({ _id: id, isDeleted: false }).lean();
+
+    // Handle not found
+    if (!before) {
+      return next(notFound('User not found'));
+    }
+    const precondition = checkIfMatch(req, before);
+    if (precondition) {
+      return next(precondition);
+    }
+    // Both the roles the user holds and the ones given to them must be within the caller's reach
+    const escalation = await roleEscalationError(req, [...(before.roles || []), ...(updates.roles || [])]);
+    if (escalation) {
+      return next(escalation);
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: id, isDeleted: false, ...sameVersion(before) },
+      updates,
+      { new: true, runValidators: true }
+    ).populate('roles', 'name key');
+    if (!updatedUser) {
+      return next(concurrentModification());
+    }
+    await recordAudit(req, 'User', 'update', { before, after: updatedUser, redacted: password ? ['password'] : [] });
+
+    setETag(res, updatedUser);
+    res.status(200).json(updatedUser);
+  } catch (err) {
+    next(err); // A duplicate username or email is answered with a 409
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Soft delete a user
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "676a0f9cfb25a1d1ae9f2501"
+ *         description: The unique identifier of the user
+ *     responses:
+ *       200:
+ *         description: User soft deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "User soft deleted successfully"
+ *                 user:
+ *                   type: object
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: >
+ *           Missing required permission (mngus), or the user's roles grant permissions the caller does
+ *           not hold (listed in details)
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', requirePermission('mngus'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Find and soft delete the user
+    const before = await User.findOne({ _id: id, isDeleted: false }).lean();
+    if (!before) {
+      return next(notFound('User not found'));
+    }
+    const escalation = await roleEscalationError(req, before.roles || []);
+    if (escalation) {
+      return next(escalation);
+    }
+    const updatedUser = await softDeleteOne(User, id, req.user);
+
+    // Handle not found
+    if (!updatedUser) {
+      return next(notFound('User not found'));
+    }
+    await recordAudit(req, 'User', 'delete', { before, after: updatedUser });
+
+    res.status(200).json({
+      message: 'User soft deleted successfully',
+      user: updatedUser,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *       403:
+ *         description: Missing required permission (mngus)
+ *       404:
+ *         description: No deleted user with this ID
+ */
+router.post('/:id/restore', requirePermission('mngus'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const before = await User.findOne({ _id: req.params.id, isDeleted: true }).lean();
+    const restoredUser = before && await restoreOne(User, req.params.id);
+    if (!restoredUser) {
+      return next(notFound('Deleted user not found'));
+    }
+    await recordAudit(req, 'User', 'restore', { before, after: restoredUser });
+
+    res.status(200).json({
+      message: 'User restored successfully',
+      user: restoredUser,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
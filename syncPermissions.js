@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { syncPermissions, describePermissionSync } = require('./utils/catalog');
+
+dotenv.config();
+
+/**
+ * Function to reconcile the permissions collection with the permission catalog.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only print the plan.
+ * @param {string} options.removed - `flag` or `delete`, for keys removed from the catalog.
+ */
+const runSync = async ({ dryRun, removed }) => {
+  try {
+    // Step 1: Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Step 2: Plan the changes and, unless this is a dry run, apply them
+    const plan = await syncPermissions({ dryRun, removed });
+
+    // Step 3: Report the plan
+    console.log(dryRun ? 'Permission sync plan:' : 'Applied permission sync:');
+    describePermissionSync(plan).forEach((line) => console.log(line));
+
+    console.log(dryRun ? 'Dry run complete; nothing was changed.' : 'Permission sync complete.');
+  } catch (err) {
+    console.error('Error during permission sync:', err);
+    process.exitCode = 1;
+  } finally {
+    // Close the MongoDB connection
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+};
+
+// Execute the script: node syncPermissions.js [--dry-run] [--delete-removed]
+runSync({
+  dryRun: process.argv.includes('--dry-run'),
+  removed: process.argv.includes('--delete-removed') ? 'delete' : 'flag',
+});
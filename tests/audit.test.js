@@ -0,0 +1,87 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Audit log Unit Tests
+describe('Audit log', () => {
+  let auth;
+  let user;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    let token;
+    ({ user, token } = await createAuthenticatedUser({ permissions: ['crtpr', 'updpr', 'mngus', 'vwaud'] }));
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await AuditEvent.deleteMany({});
+  });
+
+  it('should record who changed which fields, under the request id', async () => {
+    const created = await chai.request(app).post('/api/projects').set('Authorization', auth).send({ name: 'Audited' });
+    await chai.request(app)
+      .put(`/api/projects/${created.body._id}`)
+      .set('Authorization', auth)
+      .set('X-Request-Id', 'rename-1')
+      .send({ name: 'Renamed' });
+
+    const res = await chai.request(app)
+      .get('/api/audit')
+      .query({ resource_id: created.body._id })
+      .set('Authorization', auth);
+    expect(res).to.have.status(200);
+    expect(res.body.events.map((event) => event.action)).to.deep.equal(['update', 'create']);
+
+    const [update] = res.body.events;
+    expect(update.actor.username).to.equal(user.username);
+    expect(update.request_id).to.equal('rename-1');
+    expect(update.project_id).to.equal(created.body._id);
+    expect(update.changes).to.deep.include({ field: 'name', before: 'Audited', after: 'Renamed' });
+  });
+
+  it('should never store passwords', async () => {
+    await chai.request(app)
+      .post('/api/users')
+      .set('Authorization', auth)
+      .send({ username: 'audited', email: 'audited@example.com', password: 'secret-password' });
+
+    const res = await chai.request(app).get('/api/audit').query({ resource_type: 'User' }).set('Authorization', auth);
+    expect(res.body.events).to.have.length(1);
+    expect(JSON.stringify(res.body.events[0])).to.not.include('secret-password');
+    expect(res.body.events[0].changes).to.deep.include({ field: 'password', before: '[redacted]', after: '[redacted]' });
+  });
+
+  it('should filter by date range', async () => {
+    await chai.request(app).post('/api/projects').set('Authorization', auth).send({ name: 'Audited' });
+
+    const res = await chai.request(app)
+      .get('/api/audit')
+      .query({ to: new Date(Date.now() - 60 * 1000).toISOString() })
+      .set('Authorization', auth);
+    expect(res).to.have.status(200);
+    expect(res.body.total).to.equal(0);
+  });
+});
@@ -0,0 +1,99 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Auth API Unit Tests
+describe('Auth API', () => {
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Clear users and sessions before each test
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await createAuthenticatedUser();
+  });
+
+  const login = () =>
+    chai.request(app).post('/api/auth/login').send({ username: 'tester', password: 'password123' });
+
+  describe('POST /api/auth/login', () => {
+    it('should issue an access and refresh token for valid credentials', async () => {
+      const res = await login();
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property('accessToken');
+      expect(res.body).to.have.property('refreshToken');
+      expect(res.body.user).to.not.have.property('passwordHash');
+    });
+
+    it('should reject a wrong password', async () => {
+      const res = await chai.request(app).post('/api/auth/login').send({ username: 'tester', password: 'nope' });
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property('message', 'Invalid username or password');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body } = await login();
+
+      const res = await chai.request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+      expect(res).to.have.status(200);
+      expect(res.body.refreshToken).to.not.equal(body.refreshToken);
+
+      const reused = await chai.request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+      expect(reused).to.have.status(401);
+    });
+
+    it('should honour a refresh token only once when it is presented concurrently', async () => {
+      const { body } = await login();
+
+      const results = await Promise.all([1, 2, 3].map(() =>
+        chai.request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken })));
+
+      expect(results.map((res) => res.status).sort()).to.deep.equal([200, 401, 401]);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the refresh token', async () => {
+      const { body } = await login();
+
+      const res = await chai.request(app).post('/api/auth/logout').send({ refreshToken: body.refreshToken });
+      expect(res).to.have.status(200);
+
+      const refreshed = await chai.request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+      expect(refreshed).to.have.status(401);
+    });
+  });
+
+  describe('POST /api/auth/revoke', () => {
+    it('should invalidate access tokens already issued', async () => {
+      const { body } = await login();
+      const auth = `Bearer ${body.accessToken}`;
+
+      const res = await chai.request(app).post('/api/auth/revoke').set('Authorization', auth);
+      expect(res).to.have.status(200);
+
+      const me = await chai.request(app).get('/api/auth/me').set('Authorization', auth);
+      expect(me).to.have.status(401);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const Defect = require('../models/Defect');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Defects API Unit Tests
+describe('Defects API', () => {
+  let auth;
+  let user;
+  let project;
+  let plan;
+  let testCase;
+  let run;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const authenticated = await createAuthenticatedUser({ permissions: ['vwdef', 'crtdf', 'upddf', 'dltdf'] });
+    user = authenticated.user;
+    auth = `Bearer ${authenticated.token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Start every test from a run of a plan whose case failed at its second step
+    await Defect.deleteMany({});
+    await TestRun.deleteMany({});
+    await TestCase.deleteMany({});
+    await TestPlan.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Shop' }).save();
+    testCase = await new TestCase({ title: 'Register', project_id: project._id }).save();
+    plan = await new TestPlan({ name: 'Onboarding', project_id: project._id, test_cases: [testCase._id] }).save();
+    run = await new TestRun({
+      test_plan_id: plan._id,
+      project_id: project._id,
+      name: plan.name,
+      steps: [
+        { order: 1, action: 'Open the home page', status: 'passed' },
+        { order: 2, action: 'Open the registration page', status: 'passed', test_case_id: testCase._id },
+        {
+          order: 3,
+          action: 'Submit the form',
+          test_data: 'new@example.com',
+          expected_result: 'A confirmation email is sent',
+          actual_result: 'No email after 5 minutes',
+          status: 'failed',
+          test_case_id: testCase._id,
+        },
+      ],
+    }).save();
+  });
+
+  const stepAt = (order) => run.steps.find((step) => step.order === order);
+
+  const createDefect = (body) =>
+    chai.request(app).post('/api/defects').set('Authorization', auth).send({ title: 'Broken', project_id: project._id, ...body });
+
+  const updateDefect = (id, body) => chai.request(app).put(`/api/defects/${id}`).set('Authorization', auth).send(body);
+
+  it('should pre-fill a defect from a failed result', async () => {
+    const res = await chai.request(app)
+      .post('/api/defects/from-result')
+      .set('Authorization', auth)
+      .send({ test_run_id: run._id, result_id: stepAt(3)._id, severity: 'critical' });
+
+    expect(res).to.have.status(201);
+    expect(res.body).to.include({
+      title: 'Onboarding: Submit the form',
+      status: 'open',
+      severity: 'critical',
+      expected_result: 'A confirmation email is sent',
+      actual_result: 'No email after 5 minutes',
+      project_id: project._id.toString(),
+      test_plan_id: plan._id.toString(),
+      test_case_id: testCase._id.toString(),
+      test_run_id: run._id.toString(),
+      result_id: stepAt(3)._id.toString(),
+    });
+    // Only the steps of the failing test case, up to the failure
+    expect(res.body.reproduction_steps).to.deep.equal(['Open the registration page', 'Submit the form (test data: new@example.com)']);
+  });
+
+  it('should refuse to report a result that did not fail with 422', async () => {
+    const res = await chai.request(app)
+      .post('/api/defects/from-result')
+      .set('Authorization', auth)
+      .send({ test_run_id: run._id, result_id: stepAt(1)._id });
+
+    expect(res).to.have.status(422);
+  });
+
+  it('should fill the test plan and test case from a linked result', async () => {
+    const res = await createDefect({ test_run_id: run._id, result_id: stepAt(2)._id });
+
+    expect(res).to.have.status(201);
+    expect(res.body.test_plan_id).to.equal(plan._id.toString());
+    expect(res.body.test_case_id).to.equal(testCase._id.toString());
+  });
+
+  it('should refuse a run of another test plan with 422', async () => {
+    const other = await new TestPlan({ name: 'Checkout', project_id: project._id }).save();
+    const res = await createDefect({ test_plan_id: other._id, test_run_id: run._id });
+
+    expect(res).to.have.status(422);
+    expect(res.body.details[0].field).to.equal('test_plan_id');
+  });
+
+  it('should move a defect through the status workflow', async () => {
+    const { body: defect } = await createDefect({ assignee: user._id });
+
+    const resolved = await updateDefect(defect._id, { status: 'resolved' });
+    expect(resolved).to.have.status(200);
+    expect(resolved.body.resolved_at).to.be.a('string');
+
+    const closed = await updateDefect(defect._id, { status: 'closed' });
+    expect(closed).to.have.status(200);
+    expect(closed.body.resolved_at).to.equal(resolved.body.resolved_at);
+
+    const reopened = await updateDefect(defect._id, { status: 'reopened', assignee: null });
+    expect(reopened).to.have.status(200);
+    expect(reopened.body.resolved_at).to.equal(null);
+    expect(reopened.body.assignee).to.equal(null);
+  });
+
+  it('should not record a resolution for a defect closed without being resolved', async () => {
+    const { body: defect } = await createDefect();
+
+    const closed = await updateDefect(defect._id, { status: 'closed' });
+
+    expect(closed).to.have.status(200);
+    expect(closed.body.resolved_at).to.equal(null);
+  });
+
+  it('should refuse a status change the workflow does not allow', async () => {
+    const { body: defect } = await createDefect();
+    await updateDefect(defect._id, { status: 'closed' });
+
+    const res = await updateDefect(defect._id, { status: 'in_progress' });
+
+    expect(res).to.have.status(422);
+    expect(res.body.code).to.equal('INVALID_TRANSITION');
+  });
+
+  it('should filter defects by status, severity and assignee', async () => {
+    await createDefect({ title: 'Assigned', severity: 'blocker', assignee: user._id });
+    await createDefect({ title: 'Unassigned', severity: 'minor' });
+
+    const assigned = await chai.request(app).get('/api/defects').query({ assignee: user._id.toString() }).set('Authorization', auth);
+    const unassigned = await chai.request(app).get('/api/defects').query({ assignee: 'none', status: 'open' }).set('Authorization', auth);
+    const blockers = await chai.request(app).get('/api/defects').query({ severity: 'blocker' }).set('Authorization', auth);
+
+    expect(assigned.body.defects.map((defect) => defect.title)).to.deep.equal(['Assigned']);
+    expect(unassigned.body.defects.map((defect) => defect.title)).to.deep.equal(['Unassigned']);
+    expect(blockers.body.total).to.equal(1);
+  });
+
+  it('should take defects along when their project is deleted', async () => {
+    await createDefect();
+    const { token } = await createAuthenticatedUser({ username: 'owner', email: 'owner@example.com', permissions: ['dltpr'] });
+
+    const res = await chai.request(app).delete(`/api/projects/${project._id}`).set('Authorization', `Bearer ${token}`);
+
+    expect(res).to.have.status(200);
+    expect(res.body.deletedDefects).to.equal(1);
+  });
+});
@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { signAccessToken } = require('../utils/tokens');
+
+// The suites sign their own tokens; a JWT_SECRET from the environment or .env still takes precedence
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Create a user and sign an access token for it.
+ * @param {Object} options - Fields to set on the user.
+ * @param {string[]} options.permissions - Permission keys granted through a dedicated role.
+ * @returns {Promise<{user: Object, token: string}>}
+ */
+const createAuthenticatedUser = async ({ permissions = [], ...overrides } = {}) => {
+  const user = new User({ username: 'tester', email: 'tester@example.com', ...overrides });
+
+  if (permissions.length) {
+    const permissionDocs = await Promise.all(
+      permissions.map((key) =>
+        Permission.findOneAndUpdate(
+          { key },
+          { $setOnInsert: { key, name: key, description: key } },
+          { upsert: true, new: true }
+        )
+      )
+    );
+    const role = await Role.create({
+      name: `${user.username} role`,
+      key: `${user.username}_role`,
+      permissions: permissionDocs.map((permission) => permission._id),
+    });
+    user.roles = [role._id];
+  }
+
+  await user.setPassword('password123');
+  await user.save();
+
+  return { user, token: signAccessToken(user) };
+};
+
+module.exports = { createAuthenticatedUser };
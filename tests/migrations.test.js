@@ -0,0 +1,56 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const Project = require('../models/Project');
+const { migrate, rollback, migrationStatus } = require('../utils/migrations');
+const { expect } = chai;
+
+// Migrations Unit Tests
+describe('Migrations', () => {
+  let projects;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    projects = mongoose.connection.db.collection('projects');
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Migration.deleteMany({});
+    await Project.deleteMany({});
+  });
+
+  it('should apply pending migrations once and record them', async () => {
+    const created = new Date('2024-01-01');
+    await projects.insertOne({ name: 'Legacy', isDeleted: false, created_at: created, updated_at: created });
+
+    const first = await migrate({ to: '001' });
+    expect(first.migrations.map((migration) => migration.version)).to.deep.equal(['001']);
+    const second = await migrate({ to: '001' });
+    expect(second.migrations).to.deep.equal([]);
+
+    const project = await Project.findOne({ name: 'Legacy' }).lean();
+    expect(project.createdAt).to.deep.equal(created);
+    expect(project).to.not.have.property('created_at');
+
+    const { migrations } = await migrationStatus();
+    expect(migrations.find((migration) => migration.version === '001').applied).to.equal(true);
+  });
+
+  it('should roll back the last batch', async () => {
+    await migrate({ to: '001' });
+    await projects.insertOne({ name: 'Current', isDeleted: false, createdAt: new Date(), updatedAt: new Date() });
+
+    const { migrations } = await rollback();
+    expect(migrations.map((migration) => migration.version)).to.deep.equal(['001']);
+
+    const project = await projects.findOne({ name: 'Current' });
+    expect(project).to.have.property('created_at');
+    expect(await Migration.countDocuments()).to.equal(0);
+  });
+});
@@ -0,0 +1,112 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// PATCH (merge patch and JSON Patch) Unit Tests
+describe('PATCH endpoints', () => {
+  let auth;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Permission.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['vwprj', 'updpr', 'mngrl'] });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+  });
+
+  describe('PATCH /api/projects/:id', () => {
+    it('should apply a merge patch, removing fields set to null', async () => {
+      const project = await new Project({ name: 'Patch Me', description: 'Old description' }).save();
+
+      const res = await chai.request(app)
+        .patch(`/api/projects/${project._id}`)
+        .set('Authorization', auth)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ name: 'Patched', description: null }));
+
+      expect(res).to.have.status(200);
+      expect(res.body.name).to.equal('Patched');
+      expect(res.body).to.not.have.property('description');
+      const stored = await Project.findById(project._id).lean();
+      expect(stored).to.not.have.property('description');
+    });
+
+    it('should refuse to remove a required field', async () => {
+      const project = await new Project({ name: 'Keep My Name' }).save();
+
+      const res = await chai.request(app)
+        .patch(`/api/projects/${project._id}`)
+        .set('Authorization', auth)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([{ op: 'remove', path: '/name' }]));
+
+      expect(res).to.have.status(400);
+      expect(res.body.code).to.equal('VALIDATION_ERROR');
+    });
+  });
+
+  describe('PATCH /api/roles/:id', () => {
+    it('should add and remove permissions with JSON Patch array operations', async () => {
+      const [view, edit] = await Permission.create([
+        { key: 'patch_view', name: 'Patch view', description: 'View' },
+        { key: 'patch_edit', name: 'Patch edit', description: 'Edit' },
+      ]);
+      const role = await Role.create({ name: 'Patched role', key: 'PATCHED', permissions: [view._id] });
+
+      const res = await chai.request(app)
+        .patch(`/api/roles/${role._id}`)
+        .set('Authorization', auth)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'test', path: '/permissions/0', value: view._id.toString() },
+          { op: 'add', path: '/permissions/-', value: edit._id.toString() },
+          { op: 'remove', path: '/permissions/0' },
+        ]));
+
+      expect(res).to.have.status(200);
+      expect(res.body.role.permissions.map(String)).to.deep.equal([edit._id.toString()]);
+    });
+
+    it('should leave the role unchanged when a test operation fails', async () => {
+      const role = await Role.create({ name: 'Guarded role', key: 'GUARDED', permissions: [] });
+
+      const res = await chai.request(app)
+        .patch(`/api/roles/${role._id}`)
+        .set('Authorization', auth)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'replace', path: '/name', value: 'Renamed role' },
+          { op: 'test', path: '/key', value: 'SOMETHING_ELSE' },
+        ]));
+
+      expect(res).to.have.status(409);
+      expect(res.body.code).to.equal('PATCH_TEST_FAILED');
+      const stored = await Role.findById(role._id);
+      expect(stored.name).to.equal('Guarded role');
+    });
+  });
+});
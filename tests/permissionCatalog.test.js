@@ -0,0 +1,78 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { syncPermissions } = require('../utils/catalog');
+const { expect } = chai;
+
+const catalog = [
+  { key: 'sync_view', name: 'view_things', description: 'Can view things' },
+  { key: 'sync_edit', name: 'edit_things', description: 'Can edit things' },
+];
+
+// Permission catalog sync Unit Tests
+describe('Syncing the permission catalog', () => {
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Permission.deleteMany({});
+    await Role.deleteMany({});
+  });
+
+  it('should create missing keys and change nothing on a second run', async () => {
+    const first = await syncPermissions({ catalog });
+    expect(first.created.map((entry) => entry.key)).to.deep.equal(['sync_view', 'sync_edit']);
+
+    const second = await syncPermissions({ catalog });
+    expect(second.created).to.deep.equal([]);
+    expect(second.updated).to.deep.equal([]);
+    expect(second.unchanged).to.deep.equal(['sync_view', 'sync_edit']);
+  });
+
+  it('should update changed names in place so roles keep their references', async () => {
+    const old = await new Permission({ key: 'sync_view', name: 'see_things', description: 'Can view things' }).save();
+    const role = await new Role({ name: 'Viewer', key: 'SYNCV', permissions: [old._id] }).save();
+
+    const plan = await syncPermissions({ catalog });
+    expect(plan.updated[0].changes).to.deep.equal([{ field: 'name', before: 'see_things', after: 'view_things' }]);
+
+    const stored = await Permission.findOne({ key: 'sync_view' });
+    expect(String(stored._id)).to.equal(String(old._id));
+    expect(stored.name).to.equal('view_things');
+    expect(stored.system).to.equal(true);
+    expect((await Role.findById(role._id)).permissions.map(String)).to.deep.equal([String(old._id)]);
+  });
+
+  it('should flag or soft-delete keys removed from the catalog', async () => {
+    await syncPermissions({ catalog });
+
+    await syncPermissions({ catalog: catalog.slice(0, 1) });
+    expect((await Permission.findOne({ key: 'sync_edit' })).deprecated).to.equal(true);
+
+    await syncPermissions({ catalog: catalog.slice(0, 1), removed: 'delete' });
+    expect((await Permission.findOne({ key: 'sync_edit' })).isDeleted).to.equal(true);
+  });
+
+  it('should leave permissions created through the API alone', async () => {
+    await new Permission({ key: 'custom', name: 'custom', description: 'Custom' }).save();
+
+    const plan = await syncPermissions({ catalog, removed: 'delete' });
+    expect(plan.removed).to.deep.equal([]);
+    expect((await Permission.findOne({ key: 'custom' })).isDeleted).to.equal(false);
+  });
+
+  it('should only plan on a dry run', async () => {
+    const plan = await syncPermissions({ catalog, dryRun: true });
+
+    expect(plan.created).to.have.lengthOf(2);
+    expect(await Permission.countDocuments()).to.equal(0);
+  });
+});
@@ -0,0 +1,75 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Permission usage Unit Tests
+describe('Permission Usage API', () => {
+  let auth;
+  let used;
+  let tester;
+  let lead;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Permission.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['mngpm'] });
+    auth = `Bearer ${token}`;
+
+    [used] = await Permission.create([
+      { key: 'usage_used', name: 'Used', description: 'Held by a role' },
+      { key: 'usage_unused', name: 'Unused', description: 'Held by no role' },
+    ]);
+    tester = await Role.create({ name: 'Usage tester', key: 'USAGE_TESTER', permissions: [used._id] });
+    lead = await Role.create({ name: 'Usage lead', key: 'USAGE_LEAD', permissions: [], parent_roles: [tester._id] });
+    await new User({ username: 'lead', email: 'lead@example.com', roles: [lead._id] }).save();
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  it('should list the roles and users holding a permission', async () => {
+    const res = await chai.request(app).get(`/api/permissions/${used._id}/holders`).set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.roles.map((role) => [role.key, role.inherited])).to.deep.equal([['USAGE_TESTER', false], ['USAGE_LEAD', true]]);
+    expect(res.body.users.map((user) => [user.username, user.global_roles])).to.deep.equal([['lead', ['USAGE_LEAD']]]);
+  });
+
+  it('should list permissions no role grants', async () => {
+    const res = await chai.request(app).get('/api/permissions/unused').set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.permissions.map((permission) => permission.key)).to.include('usage_unused');
+    expect(res.body.permissions.map((permission) => permission.key)).to.not.include('usage_used');
+  });
+
+  it('should report the impact of a delete without deleting on a dry run', async () => {
+    const res = await chai.request(app)
+      .delete(`/api/permissions/${used._id}`)
+      .query({ dryRun: true })
+      .set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.dryRun).to.equal(true);
+    expect(res.body.roles).to.have.lengthOf(2);
+    const stored = await Permission.findById(used._id);
+    expect(stored.isDeleted).to.equal(false);
+  });
+});
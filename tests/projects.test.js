@@ -3,6 +3,11 @@ const chaiHttp = require('chai-http');
 const mongoose = require('mongoose');
 const app = require('../index'); // Import your Express app
 const Project = require('../models/Project'); // Import the Project model
+const TestPlan = require('../models/TestPlan');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const ProjectMember = require('../models/ProjectMember');
+const { createAuthenticatedUser } = require('./helpers');
 const { expect } = chai;
 
 // Middleware
@@ -10,10 +15,17 @@ chai.use(chaiHttp);
 
 // Projects API Unit Tests
 describe('Projects API', () => {
+  let token;
+
   before(async () => {
     // Connect to the database before running tests
     await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
     console.log('Connected to test database');
+
+    // Every /api route requires an access token
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    ({ token } = await createAuthenticatedUser({ permissions: ['vwprj', 'crtpr'] }));
   });
 
   after(async () => {
@@ -25,6 +37,7 @@ describe('Projects API', () => {
   beforeEach(async () => {
     // Clear the projects collection before each test
     await Project.deleteMany({});
+    await TestPlan.deleteMany({});
     console.log('Cleared projects collection');
   });
 
@@ -35,12 +48,40 @@ describe('Projects API', () => {
         description: 'This is a test project.',
       };
 
-      const res = await chai.request(app).post('/api/projects').send(projectData);
+      const res = await chai.request(app).post('/api/projects').set('Authorization', `Bearer ${token}`).send(projectData);
       expect(res).to.have.status(201);
       expect(res.body).to.have.property('_id');
       expect(res.body.name).to.equal(projectData.name);
       expect(res.body.description).to.equal(projectData.description);
     });
+
+    it('should return field-level details when the body is invalid', async () => {
+      const res = await chai.request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 42, owner: 'ignored' });
+      expect(res).to.have.status(400);
+      expect(res.body.code).to.equal('VALIDATION_ERROR');
+      expect(res.body.details.map((detail) => detail.field)).to.deep.equal(['name', 'description']);
+    });
+
+    it('should reject requests without an access token', async () => {
+      const res = await chai.request(app).post('/api/projects').send({ name: 'Anonymous' });
+      expect(res).to.have.status(401);
+    });
+
+    it('should return 403 with the missing permission key', async () => {
+      const { token: viewerToken } = await createAuthenticatedUser({
+        username: 'viewer',
+        email: 'viewer@example.com',
+        permissions: ['vwprj'],
+      });
+
+      const res = await chai.request(app).post('/api/projects').set('Authorization', `Bearer ${viewerToken}`).send({ name: 'Nope' });
+      expect(res).to.have.status(403);
+      expect(res.body.code).to.equal('FORBIDDEN');
+      expect(res.body.details[0]).to.have.property('permission', 'crtpr');
+    });
   });
 
   describe('GET /api/projects', () => {
@@ -48,7 +89,7 @@ describe('Projects API', () => {
       const sampleProject = new Project({ name: 'Sample Project', description: 'Sample description' });
       await sampleProject.save();
 
-      const res = await chai.request(app).get('/api/projects');
+      const res = await chai.request(app).get('/api/projects').set('Authorization', `Bearer ${token}`);
       expect(res).to.have.status(200);
       expect(res.body).to.be.an('array');
       expect(res.body.length).to.equal(1);
@@ -61,7 +102,7 @@ describe('Projects API', () => {
       const sampleProject = new Project({ name: 'Sample Project', description: 'Sample description' });
       await sampleProject.save();
 
-      const res = await chai.request(app).get(`/api/projects/${sampleProject._id}`);
+      const res = await chai.request(app).get(`/api/projects/${sampleProject._id}`).set('Authorization', `Bearer ${token}`);
       expect(res).to.have.status(200);
       expect(res.body).to.have.property('_id').that.equals(sampleProject._id.toString());
       expect(res.body.name).to.equal(sampleProject.name);
@@ -69,9 +110,210 @@ describe('Projects API', () => {
 
     it('should return 404 if the project does not exist', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await chai.request(app).get(`/api/projects/${nonExistentId}`);
+      const res = await chai.request(app).get(`/api/projects/${nonExistentId}`).set('Authorization', `Bearer ${token}`);
       expect(res).to.have.status(404);
-      expect(res.body).to.have.property('error', 'Project not found');
+      expect(res.body).to.have.property('message', 'Project not found');
+    });
+  });
+
+  describe('PUT /api/projects/:id with If-Match', () => {
+    it('should refuse an update made against a stale ETag', async () => {
+      const { token: editorToken } = await createAuthenticatedUser({
+        username: 'editor',
+        email: 'editor@example.com',
+        permissions: ['vwprj', 'updpr'],
+      });
+      const auth = `Bearer ${editorToken}`;
+      const project = await new Project({ name: 'Shared Project' }).save();
+
+      const fetched = await chai.request(app).get(`/api/projects/${project._id}`).set('Authorization', auth);
+      const etag = fetched.headers.etag;
+      expect(etag).to.be.a('string');
+
+      const unchanged = await chai.request(app).get(`/api/projects/${project._id}`).set('Authorization', auth).set('If-None-Match', etag);
+      expect(unchanged).to.have.status(304);
+
+      const first = await chai.request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', auth)
+        .set('If-Match', etag)
+        .send({ name: 'First edit' });
+      expect(first).to.have.status(200);
+      expect(first.headers.etag).to.not.equal(etag);
+
+      // A second editor still holding the old ETag does not overwrite the first edit
+      const second = await chai.request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', auth)
+        .set('If-Match', etag)
+        .send({ name: 'Second edit' });
+      expect(second).to.have.status(412);
+      expect(second.body.code).to.equal('PRECONDITION_FAILED');
+      expect((await Project.findById(project._id)).name).to.equal('First edit');
+    });
+  });
+
+  describe('DELETE /api/projects/:id and POST /api/projects/:id/restore', () => {
+    it('should soft delete the project with its test plans and restore them together', async () => {
+      const { token: cleanerToken } = await createAuthenticatedUser({
+        username: 'cleaner',
+        email: 'cleaner@example.com',
+        permissions: ['vwprj', 'dltpr'],
+      });
+      const auth = `Bearer ${cleanerToken}`;
+      const project = await new Project({ name: 'Doomed Project' }).save();
+      await new TestPlan({ name: 'Live Plan', project_id: project._id }).save();
+      const deletedEarlier = await new TestPlan({ name: 'Old Plan', project_id: project._id, isDeleted: true }).save();
+
+      const deleted = await chai.request(app).delete(`/api/projects/${project._id}`).set('Authorization', auth);
+      expect(deleted).to.have.status(200);
+      expect(deleted.body.deletedTestPlans).to.equal(1);
+      const missing = await chai.request(app).get(`/api/projects/${project._id}`).set('Authorization', auth);
+      expect(missing).to.have.status(404);
+
+      const trash = await chai.request(app).get('/api/projects/trash').set('Authorization', auth);
+      expect(trash.body.projects.map((p) => p.name)).to.deep.equal(['Doomed Project']);
+
+      const restored = await chai.request(app).post(`/api/projects/${project._id}/restore`).set('Authorization', auth);
+      expect(restored).to.have.status(200);
+      expect(restored.body.restoredTestPlans).to.equal(1);
+      // A plan deleted on its own before the project stays deleted
+      expect((await TestPlan.findById(deletedEarlier._id)).isDeleted).to.equal(true);
+    });
+  });
+
+  describe('Project membership', () => {
+    it('should grant permissions only within the member project', async () => {
+      const memberProject = await new Project({ name: 'Member Project' }).save();
+      const otherProject = await new Project({ name: 'Other Project' }).save();
+
+      // A user with no global roles, assigned a viewer role on one project
+      const { user, token: memberToken } = await createAuthenticatedUser({ username: 'member', email: 'member@example.com' });
+      const { user: roleHolder } = await createAuthenticatedUser({
+        username: 'roleholder',
+        email: 'roleholder@example.com',
+        permissions: ['vwprj'],
+      });
+      await ProjectMember.create({ project_id: memberProject._id, user_id: user._id, role_id: roleHolder.roles[0] });
+
+      const allowed = await chai.request(app).get(`/api/projects/${memberProject._id}`).set('Authorization', `Bearer ${memberToken}`);
+      expect(allowed).to.have.status(200);
+
+      const denied = await chai.request(app).get(`/api/projects/${otherProject._id}`).set('Authorization', `Bearer ${memberToken}`);
+      expect(denied).to.have.status(403);
+      expect(denied.body.details[0]).to.have.property('permission', 'vwprj');
+
+      const listed = await chai.request(app).get('/api/projects').set('Authorization', `Bearer ${memberToken}`);
+      expect(listed.body.projects.map((p) => p.name)).to.deep.equal(['Member Project']);
+    });
+
+    describe('role assignment', () => {
+      let project;
+      let managerToken;
+      let manager;
+      let managerRole;
+      let ownerRole;
+      let newcomer;
+
+      beforeEach(async () => {
+        // A member managing the project through a role without project update or delete
+        await ProjectMember.deleteMany({});
+        project = await new Project({ name: 'Managed Project' }).save();
+        ({ user: manager, token: managerToken } = await createAuthenticatedUser({
+          username: 'manager',
+          email: 'manager@example.com',
+        }));
+        const { user: holder } = await createAuthenticatedUser({
+          username: 'managerroles',
+          email: 'managerroles@example.com',
+          permissions: ['vwprj', 'mngmb'],
+        });
+        managerRole = holder.roles[0];
+        const { user: owner } = await createAuthenticatedUser({
+          username: 'ownerroles',
+          email: 'ownerroles@example.com',
+          permissions: ['vwprj', 'updpr', 'dltpr'],
+        });
+        ownerRole = owner.roles[0];
+        ({ user: newcomer } = await createAuthenticatedUser({ username: 'newcomer', email: 'newcomer@example.com' }));
+        await ProjectMember.create({ project_id: project._id, user_id: manager._id, role_id: managerRole });
+      });
+
+      afterEach(async () => {
+        await User.deleteMany({ username: { $in: ['manager', 'managerroles', 'ownerroles', 'newcomer'] } });
+        await Role.deleteMany({ key: { $in: ['manager_role', 'managerroles_role', 'ownerroles_role'] } });
+      });
+
+      it('should refuse to assign a role granting permissions the caller lacks', async () => {
+        const res = await chai.request(app)
+          .post(`/api/projects/${project._id}/members`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ user_id: newcomer._id, role_id: ownerRole });
+
+        expect(res).to.have.status(403);
+        expect(res.body.details.map((detail) => detail.permission)).to.have.members(['updpr', 'dltpr']);
+
+        const allowed = await chai.request(app)
+          .post(`/api/projects/${project._id}/members`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ user_id: newcomer._id, role_id: managerRole });
+        expect(allowed).to.have.status(201);
+
+        const promoted = await chai.request(app)
+          .put(`/api/projects/${project._id}/members/${newcomer._id}`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ role_id: ownerRole });
+        expect(promoted).to.have.status(403);
+      });
+
+      it('should refuse changes to the caller\'s own membership', async () => {
+        const res = await chai.request(app)
+          .put(`/api/projects/${project._id}/members/${manager._id}`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ role_id: managerRole });
+
+        expect(res).to.have.status(403);
+        const membership = await ProjectMember.findOne({ project_id: project._id, user_id: manager._id });
+        expect(membership.role_id.toString()).to.equal(managerRole.toString());
+      });
+
+      it('should refuse to demote or remove a member whose role is above the caller', async () => {
+        await ProjectMember.create({ project_id: project._id, user_id: newcomer._id, role_id: ownerRole });
+        const member = `/api/projects/${project._id}/members/${newcomer._id}`;
+
+        const demoted = await chai.request(app).put(member).set('Authorization', `Bearer ${managerToken}`).send({ role_id: managerRole });
+        expect(demoted).to.have.status(403);
+        expect(demoted.body.details.map((detail) => detail.permission)).to.have.members(['updpr', 'dltpr']);
+
+        const removed = await chai.request(app).delete(member).set('Authorization', `Bearer ${managerToken}`);
+        expect(removed).to.have.status(403);
+        expect(await ProjectMember.exists({ project_id: project._id, user_id: newcomer._id })).to.not.equal(null);
+      });
+
+      it('should remove a member only when the caller may and never the caller', async () => {
+        await ProjectMember.create({ project_id: project._id, user_id: newcomer._id, role_id: managerRole });
+
+        const self = await chai.request(app)
+          .delete(`/api/projects/${project._id}/members/${manager._id}`)
+          .set('Authorization', `Bearer ${managerToken}`);
+        expect(self).to.have.status(403);
+
+        const removed = await chai.request(app)
+          .delete(`/api/projects/${project._id}/members/${newcomer._id}`)
+          .set('Authorization', `Bearer ${managerToken}`);
+        expect(removed).to.have.status(200);
+        expect(await ProjectMember.exists({ project_id: project._id, user_id: newcomer._id })).to.equal(null);
+      });
+
+      it('should return 404 for the members of a deleted project', async () => {
+        await ProjectMember.create({ project_id: project._id, user_id: newcomer._id, role_id: managerRole });
+        await Project.updateOne({ _id: project._id }, { isDeleted: true });
+
+        const res = await chai.request(app)
+          .delete(`/api/projects/${project._id}/members/${newcomer._id}`)
+          .set('Authorization', `Bearer ${managerToken}`);
+        expect(res).to.have.status(404);
+      });
     });
   });
 });
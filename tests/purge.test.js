@@ -0,0 +1,66 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const { purgeDeleted } = require('../utils/purge');
+const { expect } = chai;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// Retention purge Unit Tests
+describe('Purging soft-deleted records', () => {
+  let expired;
+  let recent;
+  let role;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Permission.deleteMany({});
+    await Role.deleteMany({});
+    await Project.deleteMany({});
+    await TestPlan.deleteMany({});
+
+    expired = await new Permission({ key: 'oldpm', name: 'old', description: 'Old', isDeleted: true, deletedAt: daysAgo(40) }).save();
+    recent = await new Permission({ key: 'newpm', name: 'new', description: 'New', isDeleted: true, deletedAt: daysAgo(2) }).save();
+    role = await new Role({ name: 'Holder', key: 'HOLDR', permissions: [expired._id, recent._id] }).save();
+  });
+
+  it('should remove records past the retention period and the references to them', async () => {
+    const report = await purgeDeleted({ retentionDays: 30 });
+
+    expect(report.removed.permissions).to.equal(1);
+    expect(report.cleaned.rolePermissions).to.equal(1);
+    expect(await Permission.exists({ _id: expired._id })).to.equal(null);
+    expect(await Permission.exists({ _id: recent._id })).to.not.equal(null);
+    expect((await Role.findById(role._id)).permissions.map(String)).to.deep.equal([String(recent._id)]);
+  });
+
+  it('should remove everything inside a purged project', async () => {
+    const project = await new Project({ name: 'Gone', isDeleted: true, deletedAt: daysAgo(40) }).save();
+    await new TestPlan({ name: 'Plan', project_id: project._id, isDeleted: true, deletedAt: daysAgo(40) }).save();
+
+    const report = await purgeDeleted({ retentionDays: 30 });
+    expect(report.removed.projects).to.equal(1);
+    expect(report.removed.testPlans).to.equal(1);
+  });
+
+  it('should only report on a dry run', async () => {
+    const report = await purgeDeleted({ retentionDays: 30, dryRun: true });
+
+    expect(report.removed.permissions).to.equal(1);
+    expect(await Permission.countDocuments()).to.equal(2);
+    expect((await Role.findById(role._id)).permissions).to.have.length(2);
+  });
+});
@@ -0,0 +1,140 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const Requirement = require('../models/Requirement');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Requirements API Unit Tests
+describe('Requirements API', () => {
+  let auth;
+  let project;
+  let plan;
+  let testCase;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['vwreq', 'crtrq', 'updrq', 'dltrq'] });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Start every test from a project with one plan and one case, neither run yet
+    await Requirement.deleteMany({});
+    await TestRun.deleteMany({});
+    await TestCase.deleteMany({});
+    await TestPlan.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Shop' }).save();
+    plan = await new TestPlan({ name: 'Checkout', project_id: project._id }).save();
+    testCase = await new TestCase({ title: 'Pay by card', project_id: project._id }).save();
+  });
+
+  const createRequirement = (body) =>
+    chai.request(app).post(`/api/projects/${project._id}/requirements`).set('Authorization', auth).send(body);
+
+  const runOf = (status, steps = []) =>
+    new TestRun({ test_plan_id: plan._id, project_id: project._id, name: plan.name, status, steps }).save();
+
+  it('should create a requirement linked to tests of the project', async () => {
+    const res = await createRequirement({ external_id: 'REQ-1', title: 'Card payments', test_plans: [plan._id], test_cases: [testCase._id] });
+
+    expect(res).to.have.status(201);
+    expect(res.body.priority).to.equal('medium');
+    expect(res.body.test_plans).to.deep.equal([plan._id.toString()]);
+  });
+
+  it('should refuse a duplicate external id with 409', async () => {
+    await createRequirement({ external_id: 'REQ-1', title: 'Card payments' });
+    const res = await createRequirement({ external_id: 'REQ-1', title: 'Refunds' });
+
+    expect(res).to.have.status(409);
+  });
+
+  it('should refuse to link a test plan of another project with 422', async () => {
+    const other = await new Project({ name: 'Other' }).save();
+    const foreign = await new TestPlan({ name: 'Elsewhere', project_id: other._id }).save();
+    const res = await createRequirement({ external_id: 'REQ-1', title: 'Card payments', test_plans: [foreign._id] });
+
+    expect(res).to.have.status(422);
+    expect(res.body.details).to.deep.equal([
+      { field: 'test_plans', value: foreign._id.toString(), message: `${foreign._id} is not a test of this project` },
+    ]);
+  });
+
+  it('should report each requirement with the latest execution of its tests', async () => {
+    await createRequirement({ external_id: 'REQ-1', title: 'Checkout', test_plans: [plan._id] });
+    await createRequirement({ external_id: 'REQ-2', title: 'Card payments', test_cases: [testCase._id] });
+    await createRequirement({ external_id: 'REQ-3', title: 'Gift cards' });
+    await runOf('failed');
+    await runOf('passed', [{ order: 1, action: 'Pay', status: 'passed', test_case_id: testCase._id }]);
+
+    const res = await chai.request(app).get(`/api/projects/${project._id}/requirements/traceability`).set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.requirements.map((row) => [row.external_id, row.status])).to.deep.equal([
+      ['REQ-1', 'passed'],
+      ['REQ-2', 'passed'],
+      ['REQ-3', 'uncovered'],
+    ]);
+    expect(res.body.requirements[1].test_cases[0].latest_run.test_plan_id).to.equal(plan._id.toString());
+    expect(res.body.summary).to.include({ total: 3, uncovered: 1, passed: 2, failed: 0 });
+  });
+
+  it('should take the worst status among linked tests and count never-run tests', async () => {
+    const other = await new TestCase({ title: 'Pay by voucher', project_id: project._id }).save();
+    await createRequirement({ external_id: 'REQ-1', title: 'Payments', test_plans: [plan._id], test_cases: [other._id] });
+    await runOf('passed');
+
+    const res = await chai.request(app).get(`/api/projects/${project._id}/requirements/traceability`).set('Authorization', auth);
+
+    expect(res.body.requirements[0].status).to.equal('not_run');
+    expect(res.body.requirements[0].test_cases[0].latest_run).to.equal(null);
+  });
+
+  it('should treat a requirement whose tests were all deleted as uncovered', async () => {
+    const res = await createRequirement({ external_id: 'REQ-1', title: 'Checkout', test_plans: [plan._id] });
+    await TestPlan.updateOne({ _id: plan._id }, { isDeleted: true });
+
+    const row = await chai.request(app)
+      .get(`/api/projects/${project._id}/requirements/${res.body._id}/traceability`)
+      .set('Authorization', auth);
+
+    expect(row).to.have.status(200);
+    expect(row.body.status).to.equal('uncovered');
+    expect(row.body.test_plans).to.deep.equal([]);
+  });
+
+  it('should list only uncovered requirements when asked', async () => {
+    await createRequirement({ external_id: 'REQ-1', title: 'Checkout', test_plans: [plan._id] });
+    await createRequirement({ external_id: 'REQ-2', title: 'Gift cards' });
+
+    const res = await chai.request(app)
+      .get(`/api/projects/${project._id}/requirements/traceability`)
+      .query({ uncovered: true })
+      .set('Authorization', auth);
+
+    expect(res.body.requirements.map((row) => row.external_id)).to.deep.equal(['REQ-2']);
+  });
+});
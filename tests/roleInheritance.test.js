@@ -0,0 +1,78 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Role inheritance Unit Tests
+describe('Role Inheritance', () => {
+  let auth;
+  let run;
+  let review;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Permission.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['mngrl'] });
+    auth = `Bearer ${token}`;
+
+    [run, review] = await Permission.create([
+      { key: 'inherit_run', name: 'Run tests', description: 'Run' },
+      { key: 'inherit_review', name: 'Review runs', description: 'Review' },
+    ]);
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await Role.deleteMany({ key: { $in: ['TESTER', 'LEAD'] } });
+  });
+
+  it('should resolve inherited permissions and name the role granting each', async () => {
+    const tester = await Role.create({ name: 'Tester', key: 'TESTER', permissions: [run._id] });
+    const created = await chai.request(app)
+      .post('/api/roles')
+      .set('Authorization', auth)
+      .send({ name: 'QA Lead', key: 'LEAD', permissions: [review._id.toString()], parent_roles: [tester._id.toString()] });
+    expect(created).to.have.status(201);
+
+    const res = await chai.request(app)
+      .get(`/api/roles/${created.body._id}/effective-permissions`)
+      .set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.roles.map((role) => [role.key, role.depth])).to.deep.equal([['LEAD', 0], ['TESTER', 1]]);
+    const grants = Object.fromEntries(res.body.permissions.map((permission) => [permission.key, permission.granted_by.map((role) => role.key)]));
+    expect(grants).to.deep.equal({ inherit_review: ['LEAD'], inherit_run: ['TESTER'] });
+  });
+
+  it('should refuse parent roles that form a cycle', async () => {
+    const tester = await Role.create({ name: 'Tester', key: 'TESTER', permissions: [] });
+    const lead = await Role.create({ name: 'QA Lead', key: 'LEAD', permissions: [], parent_roles: [tester._id] });
+
+    const res = await chai.request(app)
+      .put(`/api/roles/${tester._id}`)
+      .set('Authorization', auth)
+      .send({ parent_roles: [lead._id.toString()] });
+
+    expect(res).to.have.status(422);
+    expect(res.body.code).to.equal('ROLE_INHERITANCE_CYCLE');
+    expect(res.body.details.map((role) => role.name)).to.deep.equal(['Tester', 'QA Lead', 'Tester']);
+  });
+});
@@ -0,0 +1,130 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Role permission grant/revoke Unit Tests
+describe('Role Permissions API', () => {
+  let auth;
+  let view;
+  let edit;
+  let retired;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Permission.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['mngrl'] });
+    auth = `Bearer ${token}`;
+
+    [view, edit, retired] = await Permission.create([
+      { key: 'grant_view', name: 'Grant view', description: 'View' },
+      { key: 'grant_edit', name: 'Grant edit', description: 'Edit' },
+      { key: 'grant_retired', name: 'Grant retired', description: 'Retired', isDeleted: true },
+    ]);
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await Role.deleteMany({ key: 'GRANTS' });
+  });
+
+  it('should grant by ID and by key without duplicating permissions', async () => {
+    const role = await Role.create({ name: 'Grants', key: 'GRANTS', permissions: [view._id] });
+
+    const byId = await chai.request(app)
+      .post(`/api/roles/${role._id}/permissions`)
+      .set('Authorization', auth)
+      .send({ permission_id: edit._id.toString() });
+    expect(byId).to.have.status(200);
+    expect(byId.body.added).to.deep.equal([edit._id.toString()]);
+
+    const byKey = await chai.request(app)
+      .post(`/api/roles/${role._id}/permissions`)
+      .set('Authorization', auth)
+      .send({ keys: ['grant_view', 'grant_edit'] });
+    expect(byKey).to.have.status(200);
+    expect(byKey.body.added).to.deep.equal([]);
+
+    const stored = await Role.findById(role._id);
+    expect(stored.permissions.map(String)).to.deep.equal([view._id.toString(), edit._id.toString()]);
+  });
+
+  it('should refuse to grant a deleted permission', async () => {
+    const role = await Role.create({ name: 'Grants', key: 'GRANTS', permissions: [] });
+
+    const res = await chai.request(app)
+      .post(`/api/roles/${role._id}/permissions`)
+      .set('Authorization', auth)
+      .send({ keys: ['grant_view', 'grant_retired'] });
+
+    expect(res).to.have.status(422);
+    expect(res.body.details.map((detail) => detail.value)).to.deep.equal(['grant_retired']);
+  });
+
+  it('should revoke one permission by ID and several by key', async () => {
+    const role = await Role.create({ name: 'Grants', key: 'GRANTS', permissions: [view._id, edit._id, retired._id] });
+
+    const one = await chai.request(app)
+      .delete(`/api/roles/${role._id}/permissions/${view._id}`)
+      .set('Authorization', auth);
+    expect(one).to.have.status(200);
+
+    const again = await chai.request(app)
+      .delete(`/api/roles/${role._id}/permissions/${view._id}`)
+      .set('Authorization', auth);
+    expect(again).to.have.status(404);
+
+    const bulk = await chai.request(app)
+      .delete(`/api/roles/${role._id}/permissions`)
+      .query({ keys: 'grant_edit,grant_retired' })
+      .set('Authorization', auth);
+    expect(bulk).to.have.status(200);
+    expect(bulk.body.role.permissions).to.deep.equal([]);
+  });
+
+  it('should hide a deleted role from the list and refuse to edit it', async () => {
+    const role = await Role.create({ name: 'Grants', key: 'GRANTS', permissions: [], isDeleted: true, deletedAt: new Date() });
+
+    const list = await chai.request(app).get('/api/roles').set('Authorization', auth);
+    expect(list).to.have.status(200);
+    expect(list.body.map((listed) => listed.key)).to.not.include('GRANTS');
+
+    const update = await chai.request(app).put(`/api/roles/${role._id}`).set('Authorization', auth).send({ name: 'Revived' });
+    expect(update).to.have.status(404);
+    const stored = await Role.findById(role._id);
+    expect(stored.name).to.equal('Grants');
+  });
+
+  it('should refuse to create or update a role with a deleted permission', async () => {
+    const created = await chai.request(app)
+      .post('/api/roles')
+      .set('Authorization', auth)
+      .send({ name: 'Grants', key: 'GRANTS', permissions: [view._id.toString(), retired._id.toString()] });
+    expect(created).to.have.status(422);
+
+    const role = await Role.create({ name: 'Grants', key: 'GRANTS', permissions: [view._id] });
+    const updated = await chai.request(app)
+      .put(`/api/roles/${role._id}`)
+      .set('Authorization', auth)
+      .send({ permissions: [retired._id.toString()] });
+    expect(updated).to.have.status(422);
+  });
+});
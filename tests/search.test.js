@@ -0,0 +1,93 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Search API Unit Tests
+describe('Search API', () => {
+  let auth;
+  let project;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['vwprj', 'vwttp'] });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await TestPlan.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Checkout', description: 'Cart and payment' }).save();
+    await new Project({ name: 'Accounts' }).save();
+    await new TestPlan({ name: 'Card payment', project_id: project._id, createdAt: new Date('2024-03-01') }).save();
+    await new TestPlan({ name: 'Card refund', project_id: project._id, createdAt: new Date('2024-09-01') }).save();
+    await new TestPlan({ name: 'Gift card', project_id: project._id, createdAt: new Date('2024-09-01') }).save();
+  });
+
+  it('should combine groups, text and date conditions', async () => {
+    const res = await chai.request(app)
+      .post('/api/test-plans/search')
+      .set('Authorization', auth)
+      .send({
+        where: {
+          and: [
+            { field: 'name', op: 'startsWith', value: 'card' },
+            { not: { field: 'createdAt', op: 'lt', value: '2024-06-01' } },
+          ],
+        },
+      });
+
+    expect(res).to.have.status(200);
+    expect(res.body.testPlans.map((plan) => plan.name)).to.deep.equal(['Card refund']);
+  });
+
+  it('should reject fields that are not whitelisted', async () => {
+    const res = await chai.request(app)
+      .post('/api/test-plans/search')
+      .set('Authorization', auth)
+      .send({ where: { field: 'isDeleted', op: 'eq', value: true } });
+
+    expect(res).to.have.status(400);
+    expect(res.body.message).to.include('Unknown search field');
+  });
+
+  it('should still accept legacy { key, term } filters on projects', async () => {
+    const res = await chai.request(app)
+      .post('/api/projects/search')
+      .set('Authorization', auth)
+      .send({ filters: [{ key: 'name', term: 'check' }] });
+
+    expect(res).to.have.status(200);
+    expect(res.body.projects.map((item) => item.name)).to.deep.equal(['Checkout']);
+  });
+
+  it('should keep sorting projects descending when a sort key has no order', async () => {
+    const res = await chai.request(app)
+      .post('/api/projects/search')
+      .set('Authorization', auth)
+      .send({ sort: [{ field: 'name' }] });
+
+    expect(res).to.have.status(200);
+    expect(res.body.projects.map((item) => item.name)).to.deep.equal(['Checkout', 'Accounts']);
+  });
+});
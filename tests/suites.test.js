@@ -0,0 +1,91 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const Suite = require('../models/Suite');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Suites API Unit Tests
+describe('Suites API', () => {
+  let auth;
+  let project;
+  let parent;
+  let child;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['vwttp', 'crtpt', 'updpt', 'dltpt'] });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Start every test from Checkout > Payment with one plan in each suite
+    await TestPlan.deleteMany({});
+    await Suite.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Shop' }).save();
+    parent = await new Suite({ name: 'Checkout', project_id: project._id }).save();
+    child = await new Suite({ name: 'Payment', project_id: project._id, parent_id: parent._id }).save();
+    await new TestPlan({ name: 'Cart', project_id: project._id, suite_id: parent._id }).save();
+    await new TestPlan({ name: 'Card payment', project_id: project._id, suite_id: child._id }).save();
+    await new TestPlan({ name: 'Smoke', project_id: project._id }).save();
+  });
+
+  it('should return the hierarchy with direct and total test plan counts', async () => {
+    const res = await chai.request(app).get(`/api/projects/${project._id}/suites/tree`).set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.unassignedTestPlanCount).to.equal(1);
+    const [checkout] = res.body.suites;
+    expect(checkout.testPlanCount).to.equal(1);
+    expect(checkout.totalTestPlanCount).to.equal(2);
+    expect(checkout.children[0].name).to.equal('Payment');
+  });
+
+  it('should refuse to move a suite into its own sub-suite', async () => {
+    const res = await chai.request(app)
+      .put(`/api/projects/${project._id}/suites/${parent._id}/move`)
+      .set('Authorization', auth)
+      .send({ parent_id: child._id });
+
+    expect(res).to.have.status(422);
+  });
+
+  it('should filter test plans by a suite and its sub-suites', async () => {
+    const res = await chai.request(app)
+      .get('/api/test-plans')
+      .query({ suite_id: parent._id.toString(), include_subsuites: 'true' })
+      .set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.testPlans.map((plan) => plan.name).sort()).to.deep.equal(['Card payment', 'Cart']);
+  });
+
+  it('should cascade the delete to sub-suites and their test plans', async () => {
+    const res = await chai.request(app).delete(`/api/projects/${project._id}/suites/${parent._id}`).set('Authorization', auth);
+
+    expect(res).to.have.status(200);
+    expect(res.body.deletedSuites).to.equal(2);
+    expect(res.body.deletedTestPlans).to.equal(2);
+    expect(await TestPlan.countDocuments({ isDeleted: false })).to.equal(1);
+  });
+});
@@ -0,0 +1,150 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const { syncPermissions, syncSystemRoles } = require('../utils/catalog');
+const { createFirstAdmin } = require('../utils/bootstrap');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// System roles Unit Tests
+describe('System Roles', () => {
+  let auth;
+  let admin;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Permission.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['mngrl', 'mngpm'] });
+    auth = `Bearer ${token}`;
+
+    await syncPermissions();
+    const report = await syncSystemRoles();
+    expect(report.created).to.deep.equal(['VIEWER', 'TESTER', 'QA_LEAD', 'ADMIN']);
+    admin = await Role.findOne({ key: 'ADMIN' });
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  it('should create the system roles once, with their inheritance', async () => {
+    const report = await syncSystemRoles();
+    expect(report.created).to.deep.equal([]);
+    expect(report.unchanged).to.have.lengthOf(4);
+
+    const [viewer, tester] = await Promise.all([Role.findOne({ key: 'VIEWER' }), Role.findOne({ key: 'TESTER' })]);
+    expect(tester.system).to.equal(true);
+    expect(tester.parent_roles.map(String)).to.deep.equal([String(viewer._id)]);
+  });
+
+  it('should refuse to delete a system role', async () => {
+    const res = await chai.request(app).delete(`/api/roles/${admin._id}`).set('Authorization', auth);
+
+    expect(res).to.have.status(422);
+    expect(res.body.code).to.equal('SYSTEM_ROLE');
+  });
+
+  it('should refuse to strip critical permissions but allow other changes', async () => {
+    const stripped = await chai.request(app)
+      .put(`/api/roles/${admin._id}`)
+      .set('Authorization', auth)
+      .send({ permissions: [] });
+    expect(stripped).to.have.status(422);
+    expect(stripped.body.details.map((detail) => detail.permission)).to.include.members(['mngus', 'mngrl', 'mngpm']);
+
+    const lead = await Role.findOne({ key: 'QA_LEAD' });
+    const deletePlans = await Permission.findOne({ key: 'dltpt' });
+    const revoked = await chai.request(app)
+      .delete(`/api/roles/${lead._id}/permissions/${deletePlans._id}`)
+      .set('Authorization', auth);
+    expect(revoked).to.have.status(200);
+
+    const critical = await Permission.findOne({ key: 'mngpm' });
+    const refused = await chai.request(app)
+      .delete(`/api/roles/${admin._id}/permissions/${critical._id}`)
+      .set('Authorization', auth);
+    expect(refused).to.have.status(422);
+  });
+
+  it('should refuse to delete or rename a catalog permission', async () => {
+    const plans = await Permission.findOne({ key: 'vwttp' });
+
+    // A dry run still reports who holds it
+    const impact = await chai.request(app)
+      .delete(`/api/permissions/${plans._id}`)
+      .query({ dryRun: true })
+      .set('Authorization', auth);
+    expect(impact).to.have.status(200);
+    expect(impact.body.roles.map((role) => role.key)).to.include('VIEWER');
+
+    const deleted = await chai.request(app).delete(`/api/permissions/${plans._id}`).set('Authorization', auth);
+    expect(deleted).to.have.status(422);
+    expect(deleted.body.code).to.equal('SYSTEM_PERMISSION');
+
+    const renamed = await chai.request(app)
+      .put(`/api/permissions/${plans._id}`)
+      .set('Authorization', auth)
+      .send({ key: 'plans' });
+    expect(renamed).to.have.status(422);
+    expect(renamed.body.code).to.equal('SYSTEM_PERMISSION');
+    expect((await Permission.findById(plans._id)).key).to.equal('vwttp');
+  });
+
+  it('should not let a QA Lead assign the Admin role', async () => {
+    const project = await new Project({ name: 'Led Project' }).save();
+    const lead = await Role.findOne({ key: 'QA_LEAD' });
+    const { user, token } = await createAuthenticatedUser({ username: 'lead', email: 'lead@example.com' });
+    const { user: newcomer } = await createAuthenticatedUser({ username: 'newcomer', email: 'newcomer@example.com' });
+    await ProjectMember.create({ project_id: project._id, user_id: user._id, role_id: lead._id });
+
+    const res = await chai.request(app)
+      .post(`/api/projects/${project._id}/members`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ user_id: newcomer._id, role_id: admin._id });
+
+    expect(res).to.have.status(403);
+    expect(res.body.details.map((detail) => detail.permission)).to.include.members(['mngus', 'mngrl', 'mngpm']);
+    expect(await ProjectMember.exists({ project_id: project._id, user_id: newcomer._id })).to.equal(null);
+  });
+
+  it('should not let a custom role with mngus give its holder the Admin role', async () => {
+    const { user, token } = await createAuthenticatedUser({
+      username: 'usermanager',
+      email: 'usermanager@example.com',
+      permissions: ['vwusr', 'mngus'],
+    });
+
+    const res = await chai.request(app)
+      .put(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ roles: [String(user.roles[0]), String(admin._id)] });
+
+    expect(res).to.have.status(403);
+    expect(res.body.details.map((detail) => detail.permission)).to.include.members(['mngrl', 'mngpm']);
+    expect((await User.findById(user._id)).roles.map(String)).to.deep.equal([String(user.roles[0])]);
+  });
+
+  it('should create the first admin user only once', async () => {
+    const user = await createFirstAdmin({ username: 'root', email: 'root@example.com', password: 'change-me-now' });
+    expect(user.roles.map(String)).to.deep.equal([String(admin._id)]);
+
+    const again = await createFirstAdmin({ username: 'root2', email: 'root2@example.com', password: 'change-me-now' });
+    expect(again).to.equal(null);
+  });
+});
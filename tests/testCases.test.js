@@ -0,0 +1,121 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const Suite = require('../models/Suite');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Test Cases API Unit Tests
+describe('Test Cases API', () => {
+  let auth;
+  let project;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const { token } = await createAuthenticatedUser({
+      permissions: ['vwtcs', 'crtcs', 'updcs', 'dltcs', 'vwttp', 'updpt', 'exctr'],
+    });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await TestRun.deleteMany({});
+    await TestPlan.deleteMany({});
+    await TestCase.deleteMany({});
+    await Suite.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Case Project' }).save();
+  });
+
+  describe('POST /api/test-cases', () => {
+    it('should create a test case with normalized steps', async () => {
+      const res = await chai.request(app)
+        .post('/api/test-cases')
+        .set('Authorization', auth)
+        .send({ title: 'Valid login', project_id: project._id, steps: ['Open the login page', 'Submit credentials'], tags: ['auth'] });
+
+      expect(res).to.have.status(201);
+      expect(res.body.priority).to.equal('medium');
+      expect(res.body.steps.map((step) => step.order)).to.deep.equal([1, 2]);
+    });
+
+    it('should return 400 when the title is missing', async () => {
+      const res = await chai.request(app).post('/api/test-cases').set('Authorization', auth).send({ project_id: project._id });
+      expect(res).to.have.status(400);
+    });
+  });
+
+  describe('Test plan references', () => {
+    it('should append referenced case steps when a run starts', async () => {
+      const testCase = await new TestCase({
+        title: 'Logout',
+        project_id: project._id,
+        steps: [{ action: 'Click logout', order: 1 }],
+      }).save();
+      const testPlan = await new TestPlan({
+        name: 'Session Plan',
+        project_id: project._id,
+        steps: [{ action: 'Log in', order: 1 }],
+      }).save();
+
+      const put = await chai.request(app)
+        .put(`/api/test-plans/${testPlan._id}`)
+        .set('Authorization', auth)
+        .send({ test_cases: [testCase._id] });
+      expect(put).to.have.status(200);
+      expect(put.body.test_cases[0].title).to.equal('Logout');
+
+      const run = await chai.request(app).post('/api/test-runs').set('Authorization', auth).send({ test_plan_id: testPlan._id });
+      expect(run).to.have.status(201);
+      expect(run.body.steps.map((step) => step.action)).to.deep.equal(['Log in', 'Click logout']);
+      expect(run.body.steps[1].test_case_id).to.equal(testCase._id.toString());
+    });
+
+    it('should reject test cases from another project', async () => {
+      const other = await new Project({ name: 'Other Project' }).save();
+      const testCase = await new TestCase({ title: 'Foreign', project_id: other._id }).save();
+      const testPlan = await new TestPlan({ name: 'Plan', project_id: project._id }).save();
+
+      const res = await chai.request(app)
+        .put(`/api/test-plans/${testPlan._id}`)
+        .set('Authorization', auth)
+        .send({ test_cases: [testCase._id] });
+      expect(res).to.have.status(422);
+    });
+
+    it('should move a plan to another suite when one of its cases was deleted since', async () => {
+      const live = await new TestCase({ title: 'Live', project_id: project._id }).save();
+      const deleted = await new TestCase({ title: 'Deleted', project_id: project._id, isDeleted: true }).save();
+      const suite = await new Suite({ name: 'Regression', project_id: project._id }).save();
+      const testPlan = await new TestPlan({ name: 'Plan', project_id: project._id, test_cases: [live._id, deleted._id] }).save();
+
+      const res = await chai.request(app)
+        .put(`/api/test-plans/${testPlan._id}`)
+        .set('Authorization', auth)
+        .send({ suite_id: suite._id });
+      expect(res).to.have.status(200);
+      expect(res.body.test_cases.map((testCase) => testCase.title)).to.deep.equal(['Live']);
+    });
+  });
+});
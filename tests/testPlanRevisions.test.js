@@ -0,0 +1,108 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestPlanRevision = require('../models/TestPlanRevision');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Test plan revisions Unit Tests
+describe('Test Plan Revisions API', () => {
+  let auth;
+  let project;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    const { token } = await createAuthenticatedUser({ permissions: ['vwttp', 'crtpt', 'updpt'] });
+    auth = `Bearer ${token}`;
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    await TestPlanRevision.deleteMany({});
+    await TestPlan.deleteMany({});
+    await Project.deleteMany({});
+    project = await new Project({ name: 'Revision Project' }).save();
+  });
+
+  it('should store a revision per change, diff them and revert to an earlier one', async () => {
+    const created = await chai.request(app)
+      .post('/api/test-plans')
+      .set('Authorization', auth)
+      .send({ name: 'Release checklist', project_id: project._id.toString(), steps: ['Open the app'] });
+    const planUrl = `/api/test-plans/${created.body._id}`;
+
+    await chai.request(app).put(planUrl).set('Authorization', auth).send({ name: 'Release checklist v2' });
+    await chai.request(app).post(`${planUrl}/steps`).set('Authorization', auth).send({ action: 'Log in' });
+
+    const list = await chai.request(app).get(`${planUrl}/revisions`).set('Authorization', auth);
+    expect(list).to.have.status(200);
+    expect(list.body.revisions.map((revision) => revision.revision)).to.deep.equal([3, 2, 1]);
+
+    const diff = await chai.request(app).get(`${planUrl}/revisions/diff`).query({ from: 1, to: 3 }).set('Authorization', auth);
+    expect(diff).to.have.status(200);
+    expect(diff.body.changes).to.deep.equal([{ field: 'name', before: 'Release checklist', after: 'Release checklist v2' }]);
+    expect(diff.body.steps.added.map((step) => step.action)).to.deep.equal(['Log in']);
+
+    const reverted = await chai.request(app).post(`${planUrl}/revisions/1/revert`).set('Authorization', auth);
+    expect(reverted).to.have.status(200);
+    expect(reverted.body.revision).to.equal(4);
+    expect(reverted.body.testPlan.name).to.equal('Release checklist');
+    expect(reverted.body.testPlan.steps.map((step) => step.action)).to.deep.equal(['Open the app']);
+
+    // History is kept: the revert is a new revision pointing back at the one it restored
+    const latest = await chai.request(app).get(`${planUrl}/revisions/4`).set('Authorization', auth);
+    expect(latest.body.reverted_from).to.equal(1);
+  });
+
+  it('should not revert over an edit made since the plan was fetched', async () => {
+    const created = await chai.request(app)
+      .post('/api/test-plans')
+      .set('Authorization', auth)
+      .send({ name: 'Smoke test', project_id: project._id.toString() });
+    const planUrl = `/api/test-plans/${created.body._id}`;
+    await chai.request(app).put(planUrl).set('Authorization', auth).send({ name: 'Smoke test v2' });
+    const fetched = await chai.request(app).get(planUrl).set('Authorization', auth);
+
+    await chai.request(app).put(planUrl).set('Authorization', auth).send({ name: 'Smoke test v3' });
+
+    const reverted = await chai.request(app)
+      .post(`${planUrl}/revisions/1/revert`)
+      .set('Authorization', auth)
+      .set('If-Match', fetched.headers.etag);
+    expect(reverted).to.have.status(412);
+    expect((await TestPlan.findById(created.body._id)).name).to.equal('Smoke test v3');
+  });
+
+  it('should keep the state of a plan created before revisions as revision 1', async () => {
+    const legacy = await new TestPlan({ name: 'Legacy plan', project_id: project._id }).save();
+
+    await chai.request(app).put(`/api/test-plans/${legacy._id}`).set('Authorization', auth).send({ name: 'Renamed' });
+
+    const revisions = await TestPlanRevision.find({ test_plan_id: legacy._id }).sort({ revision: 1 });
+    expect(revisions.map((revision) => revision.name)).to.deep.equal(['Legacy plan', 'Renamed']);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const plan = await new TestPlan({ name: 'Plan', project_id: project._id }).save();
+    const res = await chai.request(app).get(`/api/test-plans/${plan._id}/revisions/7`).set('Authorization', auth);
+    expect(res).to.have.status(404);
+  });
+});
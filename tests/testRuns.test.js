@@ -0,0 +1,112 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const Project = require('../models/Project');
+const TestPlan = require('../models/TestPlan');
+const TestRun = require('../models/TestRun');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Test Runs API Unit Tests
+describe('Test Runs API', () => {
+  let token;
+  let testPlan;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    ({ token } = await createAuthenticatedUser({ permissions: ['vwtrn', 'exctr'] }));
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Start every test from a plan with two steps
+    await TestRun.deleteMany({});
+    await TestPlan.deleteMany({});
+    const project = await new Project({ name: 'Run Project' }).save();
+    testPlan = await new TestPlan({
+      name: 'Login Plan',
+      project_id: project._id,
+      steps: [
+        { action: 'Open the login page', order: 1 },
+        { action: 'Submit valid credentials', expected_result: 'Dashboard is shown', order: 2 },
+      ],
+    }).save();
+  });
+
+  const startRun = () =>
+    chai.request(app).post('/api/test-runs').set('Authorization', `Bearer ${token}`).send({ test_plan_id: testPlan._id });
+
+  describe('POST /api/test-runs', () => {
+    it('should snapshot the test plan steps as pending results', async () => {
+      const res = await startRun();
+      expect(res).to.have.status(201);
+      expect(res.body.status).to.equal('in_progress');
+      expect(res.body.steps.map((step) => step.action)).to.deep.equal(['Open the login page', 'Submit valid credentials']);
+      expect(res.body.steps.every((step) => step.status === 'pending')).to.equal(true);
+    });
+  });
+
+  describe('POST /api/test-runs/:id/complete', () => {
+    it('should fail the run when any step failed and record the duration', async () => {
+      const { body: run } = await startRun();
+      const auth = `Bearer ${token}`;
+
+      await chai.request(app).put(`/api/test-runs/${run._id}/steps/${run.steps[0]._id}`).set('Authorization', auth).send({ status: 'passed' });
+      await chai.request(app)
+        .put(`/api/test-runs/${run._id}/steps/${run.steps[1]._id}`)
+        .set('Authorization', auth)
+        .send({ status: 'failed', actual_result: 'Error 500' });
+
+      const res = await chai.request(app).post(`/api/test-runs/${run._id}/complete`).set('Authorization', auth).send({});
+      expect(res).to.have.status(200);
+      expect(res.body.status).to.equal('failed');
+      expect(res.body).to.have.property('duration_ms').that.is.a('number');
+
+      const again = await chai.request(app).post(`/api/test-runs/${run._id}/complete`).set('Authorization', auth).send({});
+      expect(again).to.have.status(409);
+    });
+
+    it('should not report a run without a passed step as passed', async () => {
+      const { body: run } = await startRun();
+      const auth = `Bearer ${token}`;
+      for (const step of run.steps) {
+        await chai.request(app).put(`/api/test-runs/${run._id}/steps/${step._id}`).set('Authorization', auth).send({ status: 'skipped' });
+      }
+
+      const res = await chai.request(app).post(`/api/test-runs/${run._id}/complete`).set('Authorization', auth).send({});
+      expect(res).to.have.status(200);
+      expect(res.body.status).to.equal('not_run');
+      expect(TestRun.statusOf([])).to.equal('not_run');
+    });
+
+    it('should not record results on a deleted run', async () => {
+      const { body: run } = await startRun();
+      await TestRun.updateOne({ _id: run._id }, { isDeleted: true, deletedAt: new Date() });
+
+      const res = await chai.request(app)
+        .put(`/api/test-runs/${run._id}/steps/${run.steps[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'passed' });
+
+      expect(res).to.have.status(404);
+      const stored = await TestRun.findById(run._id);
+      expect(stored.steps[0].status).to.equal('pending');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const app = require('../index'); // Import your Express app
+const User = require('../models/User'); // Import the User model
+const Role = require('../models/Role');
+const { createAuthenticatedUser } = require('./helpers');
+const { expect } = chai;
+
+// Middleware
+chai.use(chaiHttp);
+
+// Users API Unit Tests
+describe('Users API', () => {
+  let role;
+  let token;
+
+  before(async () => {
+    // Connect to the database before running tests
+    await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log('Connected to test database');
+  });
+
+  after(async () => {
+    // Disconnect from the database after all tests
+    await mongoose.connection.close();
+    console.log('Disconnected from test database');
+  });
+
+  beforeEach(async () => {
+    // Clear the users and roles collections before each test
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    role = await new Role({ name: 'Tester', key: 'TESTR', permissions: [] }).save();
+    ({ token } = await createAuthenticatedUser({
+      username: 'admin',
+      email: 'admin@example.com',
+      permissions: ['vwusr', 'mngus'],
+    }));
+  });
+
+  describe('POST /api/users', () => {
+    it('should create a new user linked to roles', async () => {
+      const userData = { username: 'jdoe', email: 'jdoe@example.com', password: 'password123', roles: [role._id.toString()] };
+
+      const res = await chai.request(app).post('/api/users').set('Authorization', `Bearer ${token}`).send(userData);
+      expect(res).to.have.status(201);
+      expect(res.body).to.have.property('_id');
+      expect(res.body.username).to.equal(userData.username);
+      expect(res.body.roles).to.deep.equal(userData.roles);
+      expect(res.body).to.not.have.property('passwordHash');
+    });
+
+    it('should reject unknown roles', async () => {
+      const userData = { username: 'jdoe', email: 'jdoe@example.com', password: 'password123', roles: [new mongoose.Types.ObjectId()] };
+
+      const res = await chai.request(app).post('/api/users').set('Authorization', `Bearer ${token}`).send(userData);
+      expect(res).to.have.status(422);
+      expect(res.body).to.have.property('message', 'Invalid roles provided');
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should return paginated users without soft-deleted records', async () => {
+      await new User({ username: 'active', email: 'active@example.com' }).save();
+      await new User({ username: 'gone', email: 'gone@example.com', isDeleted: true }).save();
+
+      const res = await chai.request(app).get('/api/users').set('Authorization', `Bearer ${token}`);
+      expect(res).to.have.status(200);
+      expect(res.body.total).to.equal(2); // includes the authenticated admin
+      expect(res.body.users.map((u) => u.username)).to.not.include('gone');
+    });
+
+    it('should reject sorting or filtering by private fields', async () => {
+      const res = await chai.request(app)
+        .get('/api/users')
+        .query({ sortBy: 'passwordHash' })
+        .set('Authorization', `Bearer ${token}`);
+      expect(res).to.have.status(400);
+      expect(res.body.code).to.equal('INVALID_PARAMETER');
+      expect(res.body.details[0]).to.have.property('field', 'sortBy');
+      expect(res.body.details[0].allowed).to.not.include('passwordHash');
+    });
+
+    it('should match filter terms literally instead of as regexes', async () => {
+      await new User({ username: 'a.b', email: 'ab@example.com' }).save();
+      await new User({ username: 'axb', email: 'axb@example.com' }).save();
+
+      const res = await chai.request(app)
+        .get('/api/users')
+        .query({ filterBy: 'username', filterTerm: 'a.b' })
+        .set('Authorization', `Bearer ${token}`);
+      expect(res).to.have.status(200);
+      expect(res.body.users.map((u) => u.username)).to.deep.equal(['a.b']);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should soft delete the user', async () => {
+      const user = await new User({ username: 'jdoe', email: 'jdoe@example.com' }).save();
+
+      const res = await chai.request(app).delete(`/api/users/${user._id}`).set('Authorization', `Bearer ${token}`);
+      expect(res).to.have.status(200);
+      expect(res.body.user.isDeleted).to.equal(true);
+
+      const fetched = await chai.request(app).get(`/api/users/${user._id}`).set('Authorization', `Bearer ${token}`);
+      expect(fetched).to.have.status(404);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit trail for the routers. Each create/update/delete/restore records the
+ * acting user, the resource and the fields that changed:
+ *
+ *   await recordAudit(req, 'TestPlan', 'update', { before, after });
+ *
+ * `before` and `after` are documents (or plain objects) as they were before and
+ * after the change; either is omitted for creates and hard deletes.
+ */
+
+// Bookkeeping fields that change on every write and would only add noise
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+const REDACTED = '[redacted]';
+
+/**
+ * Serialize a document the way it is stored, with populated references turned back into ids.
+ */
+const snapshot = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toJSON === 'function' ? doc.toJSON({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * List the top-level fields that differ between two snapshots.
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diffSnapshots = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Record an audit event for a change made by the current request. Failing to
+ * write the event is logged rather than failing a change that already happened.
+ * @param {Object} req - The request; supplies the actor and request id.
+ * @param {string} resourceType - Model name, e.g. 'TestPlan'.
+ * @param {string} action - create | update | delete | restore.
+ * @param {Object} change
+ * @param {Object} [change.before] - The resource before the change.
+ * @param {Object} [change.after] - The resource after the change.
+ * @param {Array<string>} [change.redacted] - Fields that changed but whose values must not be stored (passwords).
+ */
+const recordAudit = async (req, resourceType, action, { before, after, redacted = [] }) => {
+  try {
+    const previous = snapshot(before);
+    const current = snapshot(after);
+    const resource = after || before;
+
+    const changes = diffSnapshots(previous, current);
+    redacted.forEach((field) => changes.push({ field, before: REDACTED, after: REDACTED }));
+
+    await AuditEvent.create({
+      actor: req.user ? req.user._id : null,
+      resource_type: resourceType,
+      resource_id: resource._id,
+      project_id: current.project_id || previous.project_id || (resourceType === 'Project' ? resource._id : null),
+      action,
+      changes,
+      request_id: req.id,
+    });
+  } catch (err) {
+    console.error('Failed to record audit event:', err);
+  }
+};
+
+module.exports = { recordAudit, diffSnapshots, snapshot };
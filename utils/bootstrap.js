@@ -0,0 +1,99 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { recordAudit } = require('./audit');
+const { syncPermissions, describePermissionSync, syncSystemRoles } = require('./catalog');
+const { pendingMigrations } = require('./migrations');
+
+/**
+ * First-run setup, run on server start (index.js): warn about pending
+ * migrations, sync the permission catalog, make sure the system roles exist
+ * and, while nobody holds the Admin role, create the first admin user from
+ * the environment. createAdmin.js does the last two by hand.
+ */
+
+const ADMIN_ROLE = 'ADMIN';
+const MIN_PASSWORD_LENGTH = 8; // as for POST /api/users
+
+// Changes made here are audited without an actor or request
+const SYSTEM = {};
+
+/**
+ * Read the first admin's account from the environment.
+ * @returns {{ username: string, email: string, password: string }|null} Null when ADMIN_USERNAME is not set.
+ */
+const adminConfig = (env = process.env) => {
+  if (!env.ADMIN_USERNAME) return null;
+  if (!env.ADMIN_EMAIL || !env.ADMIN_PASSWORD) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set along with ADMIN_USERNAME');
+  }
+  return { username: env.ADMIN_USERNAME, email: env.ADMIN_EMAIL, password: env.ADMIN_PASSWORD };
+};
+
+/**
+ * Whether an active user holds the Admin role.
+ * @returns {Promise<boolean>}
+ */
+const adminExists = async () => {
+  const role = await Role.findOne({ key: ADMIN_ROLE, isDeleted: false }).select('_id').lean();
+  return Boolean(role && (await User.exists({ roles: role._id, isDeleted: false })));
+};
+
+/**
+ * Create the first admin user, with the Admin role. Does nothing once an
+ * active user holds the Admin role, so it is safe to run on every start.
+ * @param {Object} account
+ * @param {string} account.username
+ * @param {string} account.email
+ * @param {string} account.password - At least 8 characters; stored hashed.
+ * @returns {Promise<Object|null>} The new user, or null when there already is an admin.
+ * @throws {Error} When the Admin role is missing (run syncSystemRoles first) or the password is too short.
+ */
+const createFirstAdmin = async ({ username, email, password }) => {
+  const role = await Role.findOne({ key: ADMIN_ROLE, isDeleted: false });
+  if (!role) {
+    throw new Error('The Admin role does not exist; sync the system roles first');
+  }
+  if (await adminExists()) return null;
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`The admin password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const user = new User({ username, email, roles: [role._id] });
+  await user.setPassword(password);
+  await user.save();
+  await recordAudit(SYSTEM, 'User', 'create', { after: user, redacted: ['password'] });
+  return user;
+};
+
+/**
+ * Run the first-run setup, logging what it did.
+ * @param {Object} options
+ * @param {Object} options.permissionSync - See permissionSyncConfig; the catalog sync is skipped when disabled.
+ * @param {Object|null} options.admin - See adminConfig.
+ */
+const bootstrap = async ({ permissionSync, admin }) => {
+  // Migrations are never run implicitly: they may be slow or need a backup first
+  const pending = await pendingMigrations();
+  if (pending.length) {
+    console.warn(`${pending.length} pending migration(s), run node migrate.js: ${pending.map(({ version, name }) => `${version}-${name}`).join(', ')}`);
+  }
+
+  if (permissionSync.enabled) {
+    const plan = await syncPermissions({ removed: permissionSync.removed });
+    console.log(['Permission catalog synced:', ...describePermissionSync(plan)].join('\n'));
+  }
+
+  const roles = await syncSystemRoles();
+  if (roles.created.length || roles.updated.length) {
+    console.log('System roles created:', roles.created.join(', ') || 'none', 'updated:', roles.updated.join(', ') || 'none');
+  }
+
+  if (admin) {
+    const user = await createFirstAdmin(admin);
+    if (user) console.log(`Created admin user ${user.username}`);
+  } else if (!(await adminExists())) {
+    console.warn('No user holds the Admin role: set ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD, or run createAdmin.js');
+  }
+};
+
+module.exports = { adminConfig, adminExists, createFirstAdmin, bootstrap };
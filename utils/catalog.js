@@ -0,0 +1,346 @@
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { RESTORED } = require('./softDelete');
+const { recordAudit } = require('./audit');
+const { permissionKeysForRoles } = require('./permissions');
+const { unprocessable } = require('./errors');
+
+/**
+ * The permission catalog: every permission the routes check, and the system
+ * roles built from them, defined in code. syncPermissions and syncSystemRoles
+ * reconcile the database against it, from syncPermissions.js and on server
+ * start (utils/bootstrap.js).
+ *
+ * Catalog permissions are stored with `system: true` and updated in place, so
+ * their ObjectIds, and the roles that reference them, survive every sync.
+ * Permissions created through the API are never touched.
+ */
+
+const PERMISSIONS = [
+  { key: 'vwprj', name: 'view_projects', description: 'Can view projects' },
+  { key: 'crtpr', name: 'create_projects', description: 'Can create projects' },
+  { key: 'updpr', name: 'update_projects', description: 'Can update projects' },
+  { key: 'dltpr', name: 'delete_projects', description: 'Can delete projects' },
+  { key: 'vwttp', name: 'view_test_plans', description: 'Can view test plans' },
+  { key: 'crtpt', name: 'create_test_plans', description: 'Can create test plans' },
+  { key: 'updpt', name: 'update_test_plans', description: 'Can update test plans' },
+  { key: 'dltpt', name: 'delete_test_plans', description: 'Can delete test plans' },
+  { key: 'vwtrn', name: 'view_test_runs', description: 'Can view test runs and their results' },
+  { key: 'exctr', name: 'execute_test_runs', description: 'Can start test runs and record step results' },
+  { key: 'vwtcs', name: 'view_test_cases', description: 'Can view test cases' },
+  { key: 'crtcs', name: 'create_test_cases', description: 'Can create test cases' },
+  { key: 'updcs', name: 'update_test_cases', description: 'Can update test cases' },
+  { key: 'dltcs', name: 'delete_test_cases', description: 'Can delete test cases' },
+  { key: 'mngmb', name: 'manage_project_members', description: 'Can add, change, and remove project members' },
+  { key: 'vwusr', name: 'view_users', description: 'Can view user accounts' },
+  { key: 'mngus', name: 'manage_users', description: 'Can create, update, and delete user accounts' },
+  { key: 'mngrl', name: 'manage_roles', description: 'Can create, update, and delete roles' },
+  { key: 'mngpm', name: 'manage_permissions', description: 'Can create, update, and delete permissions' },
+  { key: 'vwaud', name: 'view_audit_log', description: 'Can view the audit log of changes' },
+  { key: 'vwreq', name: 'view_requirements', description: 'Can view requirements and their traceability' },
+  { key: 'crtrq', name: 'create_requirements', description: 'Can create requirements' },
+  { key: 'updrq', name: 'update_requirements', description: 'Can update requirements and link them to tests' },
+  { key: 'dltrq', name: 'delete_requirements', description: 'Can delete requirements' },
+  { key: 'vwdef', name: 'view_defects', description: 'Can view defects' },
+  { key: 'crtdf', name: 'create_defects', description: 'Can report defects, including from failed results' },
+  { key: 'upddf', name: 'update_defects', description: 'Can update, assign and change the status of defects' },
+  { key: 'dltdf', name: 'delete_defects', description: 'Can delete defects' },
+];
+
+// System roles, each after the roles it inherits from. `critical` permissions must stay granted
+// (directly or inherited): the roles API refuses changes that would take them away.
+const ROLES = [
+  {
+    key: 'VIEWER',
+    name: 'Viewer',
+    permissions: ['vwprj', 'vwttp', 'vwtrn', 'vwtcs', 'vwreq', 'vwdef'],
+    critical: ['vwprj', 'vwttp', 'vwtrn', 'vwtcs', 'vwreq', 'vwdef'],
+  },
+  {
+    key: 'TESTER',
+    name: 'Tester',
+    parent_roles: ['VIEWER'],
+    permissions: ['exctr', 'crtdf', 'upddf'],
+    critical: ['exctr', 'crtdf', 'upddf'],
+  },
+  {
+    key: 'QA_LEAD',
+    name: 'QA Lead',
+    parent_roles: ['TESTER'],
+    permissions: ['crtpt', 'updpt', 'dltpt', 'crtcs', 'updcs', 'dltcs', 'crtrq', 'updrq', 'dltrq', 'dltdf', 'mngmb', 'vwusr', 'vwaud'],
+    critical: ['crtpt', 'updpt', 'crtcs', 'updcs', 'crtrq', 'updrq', 'mngmb'],
+  },
+  {
+    key: 'ADMIN',
+    name: 'Admin',
+    permissions: PERMISSIONS.map((permission) => permission.key),
+    // Every permission, so that permissions added to the catalog reach existing Admin roles too
+    critical: PERMISSIONS.map((permission) => permission.key),
+  },
+];
+
+// Fields the catalog owns; anything else on a permission is left alone
+const CATALOG_FIELDS = ['name', 'description'];
+
+// What happens to catalog permissions whose key was removed from the catalog
+const REMOVED_MODES = ['flag', 'delete'];
+
+// Changes made by a sync are audited without an actor or request
+const SYSTEM = {};
+
+/**
+ * Read the startup sync setting from the environment.
+ * @returns {{ enabled: boolean, removed: string }} PERMISSION_SYNC is `flag` (the default),
+ *   `delete` or `off`; see syncPermissions for the first two.
+ */
+const permissionSyncConfig = (env = process.env) => {
+  const mode = env.PERMISSION_SYNC ?? 'flag';
+  if (mode === 'off') return { enabled: false, removed: 'flag' };
+  if (!REMOVED_MODES.includes(mode)) {
+    throw new Error('PERMISSION_SYNC must be flag, delete or off');
+  }
+  return { enabled: true, removed: mode };
+};
+
+/**
+ * Work out what a sync would change, without changing anything.
+ * @returns {Promise<Object>} The plan; see syncPermissions.
+ */
+const planPermissionSync = async ({ catalog = PERMISSIONS, removed = 'flag' } = {}) => {
+  const keys = catalog.map((entry) => entry.key);
+  const existing = await Permission.find({ key: { $in: keys } }).lean();
+  const byKey = new Map(existing.map((permission) => [permission.key, permission]));
+
+  const plan = { removedMode: removed, created: [], updated: [], restored: [], removed: [], unchanged: [], conflicts: [] };
+
+  for (const entry of catalog) {
+    const current = byKey.get(entry.key);
+    if (!current) {
+      plan.created.push({ key: entry.key, name: entry.name });
+      continue;
+    }
+
+    const changes = CATALOG_FIELDS.filter((field) => current[field] !== entry[field]).map((field) => ({
+      field,
+      before: current[field],
+      after: entry[field],
+    }));
+    if (current.isDeleted) {
+      plan.restored.push({ _id: current._id, key: entry.key, changes });
+    } else if (changes.length || !current.system || current.deprecated) {
+      // Permissions seeded before the catalog existed are adopted by marking them as system permissions
+      plan.updated.push({ _id: current._id, key: entry.key, changes });
+    } else {
+      plan.unchanged.push(entry.key);
+    }
+  }
+
+  // Names are unique: a new or renamed catalog permission cannot take the name of a permission outside the catalog
+  const names = catalog
+    .filter((entry) => !plan.unchanged.includes(entry.key))
+    .map((entry) => entry.name);
+  const holders = await Permission.find({ name: { $in: names }, key: { $nin: keys } }).select('key name').lean();
+  plan.conflicts = holders.map((holder) => ({
+    key: catalog.find((entry) => entry.name === holder.name).key,
+    name: holder.name,
+    heldBy: holder.key,
+  }));
+
+  const dropped = await Permission.find({ system: true, isDeleted: false, key: { $nin: keys } })
+    .select('key deprecated')
+    .lean();
+  plan.removed = dropped
+    .filter((permission) => removed === 'delete' || !permission.deprecated)
+    .map(({ _id, key }) => ({ _id, key }));
+
+  return plan;
+};
+
+/**
+ * Reconcile the permissions collection with the catalog:
+ * - catalog keys that are missing are created;
+ * - catalog permissions whose name or description changed are updated in place,
+ *   and deleted ones are restored;
+ * - system permissions whose key is no longer in the catalog are flagged
+ *   `deprecated` (`removed: 'flag'`) or soft-deleted (`removed: 'delete'`).
+ * Running it again with the same catalog changes nothing.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only return the plan.
+ * @param {string} [options.removed='flag'] - `flag` or `delete`, for keys removed from the catalog.
+ * @param {Array<Object>} [options.catalog] - The catalog to sync, for tests.
+ * @returns {Promise<Object>} The plan that was (or would be) applied: `created`, `updated`,
+ *   `restored` and `removed` permissions (with the field changes for updates and restores),
+ *   `unchanged` keys, and `conflicts` with permissions holding a catalog name under another key.
+ * @throws {Error} When there are conflicts; nothing is changed then.
+ */
+const syncPermissions = async ({ dryRun = false, removed = 'flag', catalog = PERMISSIONS } = {}) => {
+  if (!REMOVED_MODES.includes(removed)) {
+    throw new Error(`removed must be one of ${REMOVED_MODES.join(', ')}`);
+  }
+
+  const plan = { dryRun, ...(await planPermissionSync({ catalog, removed })) };
+  if (dryRun) return plan;
+  if (plan.conflicts.length) {
+    const names = plan.conflicts.map(({ name, heldBy }) => `${name} (held by ${heldBy})`).join(', ');
+    throw new Error(`Permission names already in use: ${names}`);
+  }
+
+  const entries = new Map(catalog.map((entry) => [entry.key, entry]));
+  const catalogFields = (key) => {
+    const entry = entries.get(key);
+    return { ...Object.fromEntries(CATALOG_FIELDS.map((field) => [field, entry[field]])), system: true, deprecated: false };
+  };
+
+  for (const { key } of plan.created) {
+    const permission = await Permission.create({ key, ...catalogFields(key) });
+    await recordAudit(SYSTEM, 'Permission', 'create', { after: permission });
+  }
+
+  for (const [list, action] of [[plan.updated, 'update'], [plan.restored, 'restore']]) {
+    for (const { _id, key } of list) {
+      const before = await Permission.findById(_id).lean();
+      const set = { ...catalogFields(key), ...(action === 'restore' ? RESTORED : {}), updatedAt: Date.now() };
+      const after = await Permission.findByIdAndUpdate(_id, { $set: set }, { new: true });
+      await recordAudit(SYSTEM, 'Permission', action, { before, after });
+    }
+  }
+
+  for (const { _id } of plan.removed) {
+    const before = await Permission.findById(_id).lean();
+    const set = removed === 'delete'
+      ? { isDeleted: true, deletedAt: new Date(), deleted_by: null, deleted_with: _id }
+      : { deprecated: true };
+    const after = await Permission.findByIdAndUpdate(_id, { $set: { ...set, updatedAt: Date.now() } }, { new: true });
+    await recordAudit(SYSTEM, 'Permission', removed === 'delete' ? 'delete' : 'update', { before, after });
+  }
+
+  return plan;
+};
+
+/**
+ * Describe a plan in a few lines, for the CLI and the server log.
+ * @returns {Array<string>}
+ */
+const describePermissionSync = (plan) => {
+  const changeList = (changes) =>
+    changes.map(({ field, before, after }) => `${field}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`).join(', ');
+  const lines = [
+    ...plan.created.map(({ key, name }) => `  create ${key} (${name})`),
+    ...plan.updated.map(({ key, changes }) => `  update ${key}${changes.length ? `: ${changeList(changes)}` : ' (mark as catalog permission)'}`),
+    ...plan.restored.map(({ key, changes }) => `  restore ${key}${changes.length ? `: ${changeList(changes)}` : ''}`),
+    ...plan.removed.map(({ key }) => `  ${plan.removedMode === 'delete' ? 'delete' : 'deprecate'} ${key}`),
+    ...plan.conflicts.map(({ key, name, heldBy }) => `  conflict ${key}: name ${name} is held by ${heldBy}`),
+  ];
+  lines.push(`  ${plan.unchanged.length} unchanged`);
+  return lines;
+};
+
+/**
+ * Find the critical permissions a system role would no longer grant with
+ * these permissions and parent roles. Deleted permissions and roles count as
+ * not granted.
+ * @param {Object} role - The role (with `key` and `system`).
+ * @param {Object} grants
+ * @param {Array} grants.permissions - The role's own permission IDs.
+ * @param {Array} [grants.parent_roles] - The roles it inherits from.
+ * @returns {Promise<Array<string>>} The missing keys; always empty for roles that are not system roles.
+ */
+const missingCriticalPermissions = async (role, { permissions, parent_roles = [] }) => {
+  const entry = role.system && ROLES.find((candidate) => candidate.key === role.key);
+  if (!entry) return [];
+
+  const own = await Permission.find({ _id: { $in: permissions }, isDeleted: false }).select('key').lean();
+  const granted = await permissionKeysForRoles(parent_roles);
+  own.forEach((permission) => granted.add(permission.key));
+  return entry.critical.filter((key) => !granted.has(key));
+};
+
+/**
+ * Check that a change to a role's permissions or parent roles does not take a
+ * critical permission away from a system role. Critical permissions the role
+ * already lacks do not block the change.
+ * @param {Object} role - The role before the change.
+ * @param {Object} changes - New `permissions` and/or `parent_roles`.
+ * @returns {Promise<ApiError|null>} A 422 (SYSTEM_ROLE) listing the permissions that would be lost, or null.
+ */
+const checkCriticalPermissions = async (role, changes) => {
+  if (!role.system) return null;
+
+  const current = { permissions: role.permissions, parent_roles: role.parent_roles };
+  const missingBefore = await missingCriticalPermissions(role, current);
+  const missingAfter = await missingCriticalPermissions(role, { ...current, ...changes });
+  const stripped = missingAfter.filter((key) => !missingBefore.includes(key));
+  if (!stripped.length) return null;
+
+  return unprocessable(`${role.name} is a system role and must keep these permissions: ${stripped.join(', ')}`, {
+    code: 'SYSTEM_ROLE',
+    details: stripped.map((permission) => ({ permission })),
+  });
+};
+
+/**
+ * Make sure every system role exists. Missing roles are created with their
+ * catalog permissions and parents; existing ones (matched by key) are marked
+ * as system roles, restored if deleted, and given back any critical
+ * permission they lost. Other changes admins made to them are kept.
+ * Permission keys missing from the database are skipped, so run
+ * syncPermissions first.
+ * @returns {Promise<{ created: Array<string>, updated: Array<string>, unchanged: Array<string> }>} Role keys.
+ */
+const syncSystemRoles = async () => {
+  const report = { created: [], updated: [], unchanged: [] };
+  const permissionIds = new Map(
+    (await Permission.find({ key: { $in: PERMISSIONS.map((permission) => permission.key) }, isDeleted: false })
+      .select('key')
+      .lean()).map((permission) => [permission.key, permission._id])
+  );
+  const idsFor = (keys) => keys.filter((key) => permissionIds.has(key)).map((key) => permissionIds.get(key));
+  const roleIds = new Map();
+
+  for (const entry of ROLES) {
+    const existing = await Role.findOne({ key: entry.key }).lean();
+    if (!existing) {
+      const role = await Role.create({
+        name: entry.name,
+        key: entry.key,
+        system: true,
+        permissions: idsFor(entry.permissions),
+        parent_roles: (entry.parent_roles || []).map((key) => roleIds.get(key)),
+      });
+      await recordAudit(SYSTEM, 'Role', 'create', { after: role });
+      roleIds.set(entry.key, role._id);
+      report.created.push(entry.key);
+      continue;
+    }
+    roleIds.set(entry.key, existing._id);
+
+    const adopted = { ...existing, system: true };
+    const missing = existing.isDeleted ? entry.critical : await missingCriticalPermissions(adopted, existing);
+    if (existing.system && !existing.isDeleted && !missing.length) {
+      report.unchanged.push(entry.key);
+      continue;
+    }
+
+    const update = {
+      $set: { system: true, ...(existing.isDeleted ? RESTORED : {}), updatedAt: Date.now() },
+      $addToSet: { permissions: { $each: idsFor(missing) } },
+    };
+    const role = await Role.findByIdAndUpdate(existing._id, update, { new: true });
+    await recordAudit(SYSTEM, 'Role', existing.isDeleted ? 'restore' : 'update', { before: existing, after: role });
+    report.updated.push(entry.key);
+  }
+
+  return report;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionSyncConfig,
+  planPermissionSync,
+  syncPermissions,
+  describePermissionSync,
+  missingCriticalPermissions,
+  checkCriticalPermissions,
+  syncSystemRoles,
+};
@@ -0,0 +1,55 @@
+const { conflict, preconditionFailed } = require('./errors');
+
+/**
+ * Conditional requests. A resource's ETag is its version (`__v`), which changes
+ * on every write (models/plugins/versioning.js):
+ *
+ * - GET responses carry the ETag; Express answers a matching `If-None-Match` with a 304.
+ * - PUT routes honour `If-Match` and answer a stale one with a 412. Without the
+ *   header the update still only applies to the version it was checked against,
+ *   and a concurrent write in between is answered with a 409.
+ */
+
+/**
+ * The ETag of a document (or lean object).
+ * @returns {string} A strong entity tag, e.g. `"3"`.
+ */
+const etagFor = (doc) => `"${doc.__v || 0}"`;
+
+/**
+ * Set the ETag response header for a document.
+ */
+const setETag = (res, doc) => res.set('ETag', etagFor(doc));
+
+/**
+ * The 412 for an `If-Match` header that does not list the document's current ETag.
+ * @param {Object} req - The request.
+ * @param {Object} doc - The document as currently stored.
+ * @returns {ApiError|null} Null when there is no `If-Match` header, it is `*`, or it matches.
+ */
+const checkIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  // Weak tags never match: If-Match uses strong comparison
+  const tags = header.split(',').map((tag) => tag.trim());
+  if (tags.includes(etagFor(doc))) return null;
+
+  return preconditionFailed('The resource has changed since it was fetched', {
+    details: [{ field: 'If-Match', message: `Current ETag is ${etagFor(doc)}` }],
+  });
+};
+
+/**
+ * Query condition matching only the version of a document that was read, so an
+ * update cannot silently overwrite a concurrent one.
+ */
+const sameVersion = (doc) => ({ __v: doc.__v === undefined ? { $exists: false } : doc.__v });
+
+/**
+ * The 409 for an update that lost a race with another write.
+ */
+const concurrentModification = () =>
+  conflict('The resource was modified concurrently, please retry', { code: 'CONCURRENT_MODIFICATION' });
+
+module.exports = { etagFor, setETag, checkIfMatch, sameVersion, concurrentModification };
@@ -0,0 +1,64 @@
+/**
+ * Errors that map to an HTTP response. Every error response uses the same
+ * envelope: `{ code, message, details }`, where `details` lists field-level
+ * problems (or other context) and may be empty.
+ */
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  500: 'INTERNAL_ERROR',
+};
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message - Human-readable summary.
+   * @param {Object} [options]
+   * @param {string} [options.code] - Machine-readable code; defaults from the status.
+   * @param {Array<Object>} [options.details] - Field-level problems or extra context.
+   */
+  constructor(status, message, { code, details = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+// Request is malformed or fails its declared schema
+const badRequest = (message, options) => new ApiError(400, message, options);
+const unauthorized = (message, options) => new ApiError(401, message, options);
+const forbidden = (message, options) => new ApiError(403, message, options);
+const notFound = (message, options) => new ApiError(404, message, options);
+// Request clashes with the current state (duplicates, concurrent edits, closed runs)
+const conflict = (message, options) => new ApiError(409, message, options);
+// A conditional request (If-Match) no longer matches the resource
+const preconditionFailed = (message, options) => new ApiError(412, message, options);
+// The request body is in a format the endpoint does not accept
+const unsupportedMediaType = (message, options) => new ApiError(415, message, options);
+// Request is well-formed but cannot be applied (unknown references, business rules)
+const unprocessable = (message, options) => new ApiError(422, message, options);
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  preconditionFailed,
+  unsupportedMediaType,
+  unprocessable,
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('./searchQuery');
+
+/**
+ * Parsing for the `filterBy`/`filterTerm`/`sortBy`/`order`/`page`/`limit`
+ * query parameters of the list endpoints. Field names are checked against the
+ * model's schema, and filter terms are matched literally, never as regexes.
+ */
+
+const MAX_TERM_LENGTH = 200;
+const MAX_LIMIT = 100;
+
+const FILTERABLE_TYPES = ['String', 'ObjectId', 'Boolean', 'Number'];
+const SORTABLE_TYPES = [...FILTERABLE_TYPES, 'Date'];
+
+/**
+ * Raised for an invalid list query parameter; the error handler answers it
+ * with a 400 naming the parameter and, where useful, the accepted values.
+ */
+class QueryParamError extends Error {
+  constructor(param, message, allowed) {
+    super(message);
+    this.name = 'QueryParamError';
+    this.param = param;
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * List the top-level schema paths that can be filtered and sorted on.
+ * @param {Object} Model - Mongoose model.
+ * @param {Array<string>} [exclude] - Paths that must never be exposed.
+ * @returns {{ filterable: Object, sortable: Array<string> }} `filterable` maps
+ *   each path to its (element) type.
+ */
+const queryableFields = (Model, exclude = []) => {
+  const filterable = {};
+  const sortable = [];
+
+  Model.schema.eachPath((path, schemaType) => {
+    if (path === '__v' || exclude.includes(path) || schemaType.options.select === false) return;
+
+    // Arrays of scalars (e.g. tags, role ids) filter on their elements but cannot be sorted on
+    const isArray = schemaType.instance === 'Array';
+    const type = isArray ? schemaType.caster && schemaType.caster.instance : schemaType.instance;
+
+    if (FILTERABLE_TYPES.includes(type)) filterable[path] = type;
+    if (!isArray && SORTABLE_TYPES.includes(type)) sortable.push(path);
+  });
+
+  return { filterable, sortable };
+};
+
+/**
+ * Build the Mongo condition for `filterBy`/`filterTerm`.
+ * @returns {Object} Filter to merge into the query; empty when not filtering.
+ */
+const parseFilter = ({ filterBy, filterTerm }, filterable) => {
+  if (filterBy === undefined && filterTerm === undefined) return {};
+  if (typeof filterBy !== 'string' || typeof filterTerm !== 'string' || !filterBy || !filterTerm) {
+    throw new QueryParamError('filterBy', 'filterBy and filterTerm must be given together, once each');
+  }
+  if (!Object.prototype.hasOwnProperty.call(filterable, filterBy)) {
+    throw new QueryParamError('filterBy', `Cannot filter by "${filterBy}"`, Object.keys(filterable));
+  }
+  if (filterTerm.length > MAX_TERM_LENGTH) {
+    throw new QueryParamError('filterTerm', `filterTerm must be at most ${MAX_TERM_LENGTH} characters`);
+  }
+
+  switch (filterable[filterBy]) {
+    case 'String':
+      return { [filterBy]: { $regex: escapeRegex(filterTerm), $options: 'i' } }; // Case-insensitive substring
+    case 'ObjectId':
+      if (!mongoose.isValidObjectId(filterTerm)) {
+        throw new QueryParamError('filterTerm', `filterTerm must be a valid ID to filter by "${filterBy}"`);
+      }
+      return { [filterBy]: filterTerm };
+    case 'Boolean':
+      if (filterTerm !== 'true' && filterTerm !== 'false') {
+        throw new QueryParamError('filterTerm', `filterTerm must be true or false to filter by "${filterBy}"`);
+      }
+      return { [filterBy]: filterTerm === 'true' };
+    default: {
+      const value = Number(filterTerm);
+      if (!Number.isFinite(value)) {
+        throw new QueryParamError('filterTerm', `filterTerm must be a number to filter by "${filterBy}"`);
+      }
+      return { [filterBy]: value };
+    }
+  }
+};
+
+/**
+ * Build the Mongo sort for `sortBy`/`order`.
+ * @param {Object} fallback - Sort used when `sortBy` is absent.
+ * @param {string} defaultOrder - Order used when `order` is absent.
+ */
+const parseSort = ({ sortBy, order }, sortable, fallback, defaultOrder = 'asc') => {
+  const direction = order === undefined ? defaultOrder : order;
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new QueryParamError('order', 'order must be asc or desc', ['asc', 'desc']);
+  }
+  if (sortBy === undefined) return fallback;
+  if (typeof sortBy !== 'string' || !sortable.includes(sortBy)) {
+    throw new QueryParamError('sortBy', `Cannot sort by "${sortBy}"`, sortable);
+  }
+  return { [sortBy]: direction === 'desc' ? -1 : 1 };
+};
+
+/**
+ * Read `page` and `limit` as positive integers, capping the page size.
+ */
+const parsePage = ({ page = '1', limit = '10' }) => {
+  const pageNumber = Number(page);
+  const limitNumber = Number(limit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    throw new QueryParamError('page', 'page must be a positive integer');
+  }
+  if (!Number.isInteger(limitNumber) || limitNumber < 1 || limitNumber > MAX_LIMIT) {
+    throw new QueryParamError('limit', `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber };
+};
+
+/**
+ * Parse the list parameters of a request against a model.
+ * @param {Object} query - `req.query`.
+ * @param {Object} Model - Mongoose model being listed.
+ * @param {Object} options
+ * @param {Object} options.defaultSort - Sort used when `sortBy` is absent.
+ * @param {string} [options.defaultOrder='asc'] - Order used with `sortBy` when `order` is absent.
+ * @param {Array<string>} [options.exclude] - Paths that cannot be filtered or sorted on.
+ * @returns {{ filter: Object, sort: Object, page: number, limit: number, skip: number }}
+ * @throws {QueryParamError} When a parameter is invalid.
+ */
+const parseListQuery = (query, Model, { defaultSort, defaultOrder = 'asc', exclude = [] }) => {
+  const { filterable, sortable } = queryableFields(Model, exclude);
+  return {
+    filter: parseFilter(query, filterable),
+    sort: parseSort(query, sortable, defaultSort, defaultOrder),
+    ...parsePage(query),
+  };
+};
+
+module.exports = { QueryParamError, queryableFields, parseFilter, parseSort, parsePage, parseListQuery };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+
+/**
+ * Versioned data migrations. Each file in migrations/ is named
+ * `<version>-<name>.js` (e.g. `001-camel-case-timestamps.js`) and exports
+ * `up` and `down`, async functions given `{ db, mongoose }` (`db` is the
+ * native driver database, so migrations keep working when models change) and
+ * an optional `description`. Migrations run in version order; each one that
+ * has run is recorded in the migrations collection. Used by migrate.js.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Load the migration scripts, in version order.
+ * @param {string} [dir] - Directory to load from, for tests.
+ * @returns {Array<{ version: string, name: string, description: string, up: Function, down: Function }>}
+ * @throws {Error} For a badly named file, a script without up and down, or two files sharing a version.
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        throw new Error(`Migration files must be named <version>-<name>.js: ${file}`);
+      }
+      const script = require(path.join(dir, file));
+      if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      const [, version, name] = match;
+      return { version, name, description: script.description || name, up: script.up, down: script.down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index && Number(migration.version) === Number(migrations[index - 1].version)) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+  return migrations;
+};
+
+const context = () => ({ db: mongoose.connection.db, mongoose });
+
+const label = (migration) => `${migration.version}-${migration.name}`;
+
+/**
+ * List every migration and whether it has run.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Migrations directory, for tests.
+ * @returns {Promise<{ migrations: Array<Object>, unknown: Array<Object> }>} Each migration with `applied`,
+ *   `appliedAt` and `batch`; `unknown` lists recorded migrations whose file no longer exists.
+ */
+const migrationStatus = async ({ dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const records = await Migration.find().sort({ version: 1 }).lean();
+  const applied = new Map(records.map((record) => [Number(record.version), record]));
+
+  return {
+    migrations: migrations.map(({ version, name, description }) => {
+      const record = applied.get(Number(version));
+      return {
+        version,
+        name,
+        description,
+        applied: Boolean(record),
+        appliedAt: record ? record.appliedAt : null,
+        batch: record ? record.batch : null,
+      };
+    }),
+    unknown: records.filter((record) => !migrations.some((migration) => Number(migration.version) === Number(record.version))),
+  };
+};
+
+/**
+ * Run pending migrations in version order, stopping at the first failure.
+ * Migrations that completed before it stay recorded.
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version.
+ * @param {boolean} [options.dryRun=false] - Only list what would run.
+ * @param {string} [options.dir] - Migrations directory, for tests.
+ * @returns {Promise<{ batch: number|null, migrations: Array<Object> }>} The batch number and the
+ *   migrations that ran (or would run).
+ * @throws {Error} For an unknown target version, or naming the migration that failed.
+ */
+const migrate = async ({ to, dryRun = false, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  if (to !== undefined && !migrations.some((migration) => Number(migration.version) === Number(to))) {
+    throw new Error(`No migration has version ${to}`);
+  }
+
+  const records = await Migration.find().select('version batch').lean();
+  const applied = new Set(records.map((record) => Number(record.version)));
+  const pending = migrations.filter(
+    (migration) => !applied.has(Number(migration.version)) && (to === undefined || Number(migration.version) <= Number(to))
+  );
+  if (dryRun || !pending.length) return { batch: null, migrations: pending };
+
+  const batch = Math.max(0, ...records.map((record) => record.batch)) + 1;
+  for (const migration of pending) {
+    try {
+      await migration.up(context());
+    } catch (err) {
+      throw new Error(`Migration ${label(migration)} failed: ${err.message}`, { cause: err });
+    }
+    await Migration.create({ version: migration.version, name: migration.name, batch });
+  }
+  return { batch, migrations: pending };
+};
+
+/**
+ * Undo applied migrations, newest first: the last batch by default, or the
+ * last `steps` migrations.
+ * @param {Object} [options]
+ * @param {number} [options.steps] - Number of migrations to undo.
+ * @param {boolean} [options.dryRun=false] - Only list what would be undone.
+ * @param {string} [options.dir] - Migrations directory, for tests.
+ * @returns {Promise<{ migrations: Array<Object> }>} The migrations that were (or would be) undone.
+ * @throws {Error} When the file of a migration to undo is missing, or naming the migration that failed.
+ */
+const rollback = async ({ steps, dryRun = false, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const records = await Migration.find().lean();
+  records.sort((a, b) => b.batch - a.batch || Number(b.version) - Number(a.version));
+
+  const lastBatch = records.length ? records[0].batch : null;
+  const undo = steps === undefined ? records.filter((record) => record.batch === lastBatch) : records.slice(0, steps);
+  const scripts = undo.map((record) => {
+    const migration = migrations.find((candidate) => Number(candidate.version) === Number(record.version));
+    if (!migration) {
+      throw new Error(`Cannot roll back ${record.version}-${record.name}: its migration file is missing`);
+    }
+    return migration;
+  });
+  if (dryRun) return { migrations: scripts };
+
+  for (const migration of scripts) {
+    try {
+      await migration.down(context());
+    } catch (err) {
+      throw new Error(`Rolling back migration ${label(migration)} failed: ${err.message}`, { cause: err });
+    }
+    await Migration.deleteOne({ version: migration.version });
+  }
+  return { migrations: scripts };
+};
+
+/**
+ * List migrations that have not run yet.
+ * @returns {Promise<Array<Object>>}
+ */
+const pendingMigrations = async (options) =>
+  (await migrationStatus(options)).migrations.filter((migration) => !migration.applied);
+
+module.exports = { loadMigrations, migrationStatus, migrate, rollback, pendingMigrations };
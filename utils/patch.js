@@ -0,0 +1,235 @@
+const { badRequest, conflict } = require('./errors');
+
+/**
+ * Patch documents for the PATCH routes, applied to plain JSON objects:
+ *
+ * - RFC 7396 JSON Merge Patch: an object of changes, where null removes a member.
+ * - RFC 6902 JSON Patch: an array of add/remove/replace/move/copy/test
+ *   operations addressed by JSON Pointers (RFC 6901), `-` appending to an array.
+ *
+ * A malformed patch is answered with a 400 `INVALID_PATCH`; an operation that
+ * does not fit the document (missing member, index out of range) with a 409
+ * `PATCH_CONFLICT`, and a failed `test` with a 409 `PATCH_TEST_FAILED`.
+ */
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * JSON equality as used by the `test` operation: member order does not matter.
+ */
+const isEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+/**
+ * Apply a JSON Merge Patch.
+ * @param {*} target - The current document.
+ * @param {*} patch - The merge patch.
+ * @returns {*} The patched document; the target is left untouched.
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return clone(patch);
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Split a JSON Pointer into its unescaped reference tokens.
+ * @returns {Array<string>} Empty for the whole document.
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const invalidPatch = (message, index) => badRequest(message, { code: 'INVALID_PATCH', details: [{ operation: index, message }] });
+const patchConflict = (message, index) => conflict(message, { code: 'PATCH_CONFLICT', details: [{ operation: index, message }] });
+
+/**
+ * Check the shape of a JSON Patch before applying any of it.
+ */
+const checkOperations = (operations) => {
+  if (!Array.isArray(operations)) {
+    throw badRequest('A JSON Patch must be an array of operations', { code: 'INVALID_PATCH' });
+  }
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation)) throw invalidPatch(`Operation ${index} must be an object`, index);
+    if (!OPERATIONS.includes(operation.op)) {
+      throw invalidPatch(`Operation ${index} must have an op of ${OPERATIONS.join(', ')}`, index);
+    }
+    const pointers = ['move', 'copy'].includes(operation.op) ? ['path', 'from'] : ['path'];
+    pointers.forEach((member) => {
+      const pointer = operation[member];
+      if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw invalidPatch(`Operation ${index} must have a JSON Pointer as ${member}`, index);
+      }
+    });
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+      throw invalidPatch(`Operation ${index} must have a value`, index);
+    }
+  });
+};
+
+/**
+ * Resolve a pointer to the container holding its last token.
+ * @returns {{ parent: Object|Array, key: string }}
+ */
+const resolveParent = (document, tokens, pointer, index) => {
+  let parent = document;
+  tokens.slice(0, -1).forEach((token) => {
+    const child = Array.isArray(parent) ? (ARRAY_INDEX.test(token) ? parent[Number(token)] : undefined) : parent[token];
+    if (child === null || typeof child !== 'object' || (isPlainObject(parent) && !Object.hasOwn(parent, token))) {
+      throw patchConflict(`Path ${pointer} does not exist`, index);
+    }
+    parent = child;
+  });
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the value a pointer refers to.
+ */
+const getValue = (document, pointer, index) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return document;
+
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+  const exists = Array.isArray(parent) ? ARRAY_INDEX.test(key) && Number(key) < parent.length : Object.hasOwn(parent, key);
+  if (!exists) throw patchConflict(`Path ${pointer} does not exist`, index);
+  return parent[Array.isArray(parent) ? Number(key) : key];
+};
+
+/**
+ * The add operation. Returns the new document, as adding at the root replaces it.
+ */
+const addValue = (document, pointer, value, index) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return value;
+
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+  if (Array.isArray(parent)) {
+    if (key === '-') {
+      parent.push(value);
+    } else if (ARRAY_INDEX.test(key) && Number(key) <= parent.length) {
+      parent.splice(Number(key), 0, value);
+    } else {
+      throw patchConflict(`Path ${pointer} is not a valid array index`, index);
+    }
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+/**
+ * The remove operation. The whole document cannot be removed.
+ */
+const removeValue = (document, pointer, index) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw patchConflict('The whole document cannot be removed', index);
+
+  getValue(document, pointer, index);
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return document;
+};
+
+/**
+ * Apply a JSON Patch. Operations apply in order and the patch is atomic: if
+ * any operation fails, an error is thrown and nothing is returned.
+ * @param {Object} document - The current document.
+ * @param {Array<Object>} operations - The JSON Patch.
+ * @returns {Object} The patched document; the original is left untouched.
+ * @throws {ApiError} 400 for a malformed patch, 409 when an operation cannot be applied.
+ */
+const applyJsonPatch = (document, operations) => {
+  checkOperations(operations);
+
+  return operations.reduce((current, operation, index) => {
+    const { op, path, from } = operation;
+    switch (op) {
+      case 'add':
+        return addValue(current, path, clone(operation.value), index);
+      case 'remove':
+        return removeValue(current, path, index);
+      case 'replace':
+        if (path === '') return clone(operation.value);
+        return addValue(removeValue(current, path, index), path, clone(operation.value), index);
+      case 'move': {
+        // A member cannot be moved into one of its own children
+        if (path.startsWith(`${from}/`)) throw patchConflict(`Cannot move ${from} into itself`, index);
+        const value = getValue(current, from, index);
+        return addValue(removeValue(current, from, index), path, value, index);
+      }
+      case 'copy':
+        return addValue(current, path, clone(getValue(current, from, index)), index);
+      case 'test':
+        if (!isEqual(getValue(current, path, index), operation.value)) {
+          throw conflict(`Test failed for ${path}`, { code: 'PATCH_TEST_FAILED', details: [{ operation: index, path }] });
+        }
+        return current;
+      default:
+        return current; // Unreachable: checkOperations only lets known operations through
+    }
+  }, clone(document));
+};
+
+/**
+ * The top-level members a JSON Patch touches (the first token of each path and from).
+ * @returns {Array<string>} Includes '' for operations on the whole document.
+ * @throws {ApiError} 400 for a malformed patch.
+ */
+const patchedMembers = (operations) => {
+  checkOperations(operations);
+  return [...new Set(
+    operations.flatMap((operation) =>
+      [operation.path, operation.from].filter((pointer) => pointer !== undefined).map((pointer) => parsePointer(pointer)[0] || '')
+    )
+  )];
+};
+
+/**
+ * Turn changed fields into a MongoDB update: null values (members a patch removed) are unset.
+ */
+const toUpdate = (changes) => {
+  const $set = {};
+  const $unset = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null) {
+      $unset[field] = 1;
+    } else {
+      $set[field] = value;
+    }
+  });
+  return Object.keys($unset).length ? { $set, $unset } : { $set };
+};
+
+module.exports = { applyMergePatch, applyJsonPatch, patchedMembers, toUpdate, isEqual };
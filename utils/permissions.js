@@ -0,0 +1,120 @@
+const Permission = require('../models/Permission');
+const ProjectMember = require('../models/ProjectMember');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { collectRoles, collectDescendantRoles } = require('./roleInheritance');
+
+/**
+ * Collect the permission keys granted by a list of roles, including what they
+ * inherit from their parent roles. Soft-deleted roles and permissions grant nothing.
+ * @param {Array} roleIds - Role ids.
+ * @returns {Promise<Set<string>>} The set of permission keys.
+ */
+const permissionKeysForRoles = async (roleIds) => {
+  const roles = await collectRoles(roleIds);
+  const permissions = await Permission.find({
+    _id: { $in: roles.flatMap((role) => role.permissions || []) },
+    isDeleted: false,
+  }).select('key').lean();
+
+  return new Set(permissions.map((permission) => permission.key));
+};
+
+/**
+ * Resolve the permission keys granted to a user through their global roles.
+ * @param {Object} user - User document with a `roles` array of ids.
+ * @returns {Promise<Set<string>>} The set of permission keys.
+ */
+const resolvePermissionKeys = (user) => permissionKeysForRoles(user.roles || []);
+
+/**
+ * Resolve the permission keys a user holds within one project: their global
+ * roles plus the role assigned through project membership.
+ * @param {Object} user - User document.
+ * @param {string} projectId - Project id.
+ * @returns {Promise<Set<string>>} The set of permission keys.
+ */
+const resolveProjectPermissionKeys = async (user, projectId) => {
+  const membership = await ProjectMember.findOne({ project_id: projectId, user_id: user._id });
+  const roleIds = [...(user.roles || [])];
+  if (membership) roleIds.push(membership.role_id);
+
+  return permissionKeysForRoles(roleIds);
+};
+
+/**
+ * Find the projects in which a user holds a permission.
+ * @param {Object} user - User document.
+ * @param {string} key - Permission key.
+ * @returns {Promise<Array|null>} null when the permission is held globally
+ *   (every project), otherwise the ids of projects granting it through membership.
+ */
+const projectIdsWithPermission = async (user, key) => {
+  const globalKeys = await resolvePermissionKeys(user);
+  if (globalKeys.has(key)) return null;
+
+  const memberships = await ProjectMember.find({ user_id: user._id });
+
+  // Resolve each distinct membership role once
+  const grantingRoles = new Set();
+  for (const roleId of new Set(memberships.map((membership) => membership.role_id.toString()))) {
+    const keys = await permissionKeysForRoles([roleId]);
+    if (keys.has(key)) grantingRoles.add(roleId);
+  }
+
+  return memberships
+    .filter((membership) => grantingRoles.has(membership.role_id.toString()))
+    .map((membership) => membership.project_id);
+};
+
+/**
+ * Find who holds a permission: the roles granting it directly, the roles
+ * inheriting it from them, and the users holding one of those roles globally
+ * or through a project membership. Deleted roles and users are left out.
+ * @param {string} permissionId - Permission id.
+ * @returns {Promise<{ roles: Array<Object>, users: Array<Object> }>} Roles with name, key and
+ *   `inherited`; users with username, email, the keys of their granting `global_roles`, and the
+ *   `projects` where a membership role grants it.
+ */
+const findPermissionHolders = async (permissionId) => {
+  const direct = await Role.find({ permissions: permissionId, isDeleted: false }).select('name key').lean();
+  const inheriting = await collectDescendantRoles(direct.map((role) => role._id));
+  const roles = [
+    ...direct.map((role) => ({ ...role, inherited: false })),
+    ...inheriting.map((role) => ({ ...role, inherited: true })),
+  ];
+
+  const roleIds = roles.map((role) => role._id);
+  const keyOf = new Map(roles.map((role) => [String(role._id), role.key]));
+  const [globalHolders, memberships] = await Promise.all([
+    User.find({ roles: { $in: roleIds }, isDeleted: false }).select('username email roles').lean(),
+    ProjectMember.find({ role_id: { $in: roleIds } })
+      .populate({ path: 'user_id', match: { isDeleted: false }, select: 'username email' })
+      .lean(),
+  ]);
+
+  // One entry per user, whether they hold it globally, per project, or both
+  const users = new Map();
+  const entryFor = ({ _id, username, email }) => {
+    if (!users.has(String(_id))) users.set(String(_id), { _id, username, email, global_roles: [], projects: [] });
+    return users.get(String(_id));
+  };
+  globalHolders.forEach((user) => {
+    entryFor(user).global_roles = user.roles.map(String).filter((id) => keyOf.has(id)).map((id) => keyOf.get(id));
+  });
+  memberships
+    .filter((membership) => membership.user_id)
+    .forEach((membership) => {
+      entryFor(membership.user_id).projects.push({ project_id: membership.project_id, role: keyOf.get(String(membership.role_id)) });
+    });
+
+  return { roles, users: [...users.values()] };
+};
+
+module.exports = {
+  findPermissionHolders,
+  permissionKeysForRoles,
+  resolvePermissionKeys,
+  resolveProjectPermissionKeys,
+  projectIdsWithPermission,
+};
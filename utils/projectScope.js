@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project resolvers for `requirePermission(key, { project })`. Each returns a
+ * function `(req) => projectId | null`; null (unknown or malformed id) falls
+ * back to a global permission check and lets the handler report the 404.
+ */
+
+/**
+ * Read the project id straight from a route parameter.
+ * @param {string} [param='id'] - Route parameter holding the project id.
+ */
+const fromParam = (param = 'id') => (req) =>
+  mongoose.isValidObjectId(req.params[param]) ? req.params[param] : null;
+
+/**
+ * Read the project id from a request body field.
+ * @param {string} [field='project_id'] - Body field holding the project id.
+ */
+const fromBody = (field = 'project_id') => (req) =>
+  mongoose.isValidObjectId(req.body[field]) ? req.body[field] : null;
+
+/**
+ * Load the document named by a route parameter and return its project.
+ * @param {Object} Model - Mongoose model with a `project_id` reference.
+ * @param {string} [param='id'] - Route parameter holding the document id.
+ */
+const fromDocument = (Model, param = 'id') => async (req) => {
+  if (!mongoose.isValidObjectId(req.params[param])) return null;
+  const doc = await Model.findById(req.params[param]).select('project_id');
+  return doc ? doc.project_id : null;
+};
+
+/**
+ * Load the document referenced by a request body field and return its project.
+ * @param {Object} Model - Mongoose model with a `project_id` reference.
+ * @param {string} field - Body field holding the document id.
+ */
+const fromReference = (Model, field) => async (req) => {
+  if (!mongoose.isValidObjectId(req.body[field])) return null;
+  const doc = await Model.findById(req.body[field]).select('project_id');
+  return doc ? doc.project_id : null;
+};
+
+module.exports = { fromParam, fromBody, fromDocument, fromReference };
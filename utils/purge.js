@@ -0,0 +1,181 @@
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const Suite = require('../models/Suite');
+const TestPlan = require('../models/TestPlan');
+const TestPlanRevision = require('../models/TestPlanRevision');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const Requirement = require('../models/Requirement');
+const Defect = require('../models/Defect');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+
+/**
+ * Permanent removal of soft-deleted records once their retention period is
+ * over. Used by the in-process scheduler (index.js) and by purgeDeleted.js.
+ *
+ * Users are never purged: they stay referenced as the authors of projects,
+ * test plans and runs.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000; // first run shortly after start, once the database is up
+
+/**
+ * Read the retention policy from the environment.
+ * @returns {{ retentionDays: number, intervalHours: number }} An interval of 0 disables the scheduler.
+ */
+const purgeConfig = (env = process.env) => {
+  const retentionDays = Number(env.PURGE_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS);
+  const intervalHours = Number(env.PURGE_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS);
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error('PURGE_RETENTION_DAYS must be a number of days (0 or more)');
+  }
+  if (!Number.isFinite(intervalHours) || intervalHours < 0) {
+    throw new Error('PURGE_INTERVAL_HOURS must be a number of hours (0 disables the scheduler)');
+  }
+  return { retentionDays, intervalHours };
+};
+
+/**
+ * Filter for deleted records whose retention is over. Records deleted before
+ * `deletedAt` was recorded fall back to their last update.
+ */
+const expiredFilter = (cutoff) => ({
+  isDeleted: true,
+  $or: [{ deletedAt: { $lte: cutoff } }, { deletedAt: null, updatedAt: { $lte: cutoff } }],
+});
+
+const findIds = async (Model, filter) => (await Model.find(filter).select('_id')).map((doc) => doc._id);
+
+/**
+ * Hard delete expired soft-deleted records and clean up references to them.
+ * @param {Object} options
+ * @param {number} options.retentionDays - Records deleted longer ago than this are purged.
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed.
+ * @param {Date} [options.now] - Reference time, for tests.
+ * @returns {Promise<Object>} Report with the cutoff, `removed` counts per collection and
+ *   `cleaned` counts of documents whose references to purged records were removed.
+ */
+const purgeDeleted = async ({ retentionDays, dryRun = false, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  // Everything inside a purged project goes with it, deleted or not
+  const projectIds = await findIds(Project, expiredFilter(cutoff));
+  const inPurgedProject = { project_id: { $in: projectIds } };
+  const orPurgedProject = (filter) => ({ $or: [filter, inPurgedProject] });
+
+  const suiteIds = await findIds(Suite, orPurgedProject(expiredFilter(cutoff)));
+  const testPlanIds = await findIds(TestPlan, orPurgedProject(expiredFilter(cutoff)));
+  const testCaseIds = await findIds(TestCase, orPurgedProject(expiredFilter(cutoff)));
+  // Runs belong to their plan
+  const testRunIds = await findIds(TestRun, {
+    $or: [expiredFilter(cutoff), inPurgedProject, { test_plan_id: { $in: testPlanIds } }],
+  });
+  const requirementIds = await findIds(Requirement, orPurgedProject(expiredFilter(cutoff)));
+  const defectIds = await findIds(Defect, orPurgedProject(expiredFilter(cutoff)));
+  const roleIds = await findIds(Role, expiredFilter(cutoff));
+  const permissionIds = await findIds(Permission, expiredFilter(cutoff));
+
+  // Records removed outright, and records that only lose a reference
+  const removals = {
+    projects: [Project, { _id: { $in: projectIds } }],
+    projectMembers: [ProjectMember, { $or: [inPurgedProject, { role_id: { $in: roleIds } }] }],
+    suites: [Suite, { _id: { $in: suiteIds } }],
+    testPlans: [TestPlan, { _id: { $in: testPlanIds } }],
+    testPlanRevisions: [TestPlanRevision, { test_plan_id: { $in: testPlanIds } }],
+    testCases: [TestCase, { _id: { $in: testCaseIds } }],
+    testRuns: [TestRun, { _id: { $in: testRunIds } }],
+    requirements: [Requirement, { _id: { $in: requirementIds } }],
+    defects: [Defect, { _id: { $in: defectIds } }],
+    roles: [Role, { _id: { $in: roleIds } }],
+    permissions: [Permission, { _id: { $in: permissionIds } }],
+  };
+  const cleanups = {
+    rolePermissions: [
+      Role,
+      { _id: { $nin: roleIds }, permissions: { $in: permissionIds } },
+      { $pull: { permissions: { $in: permissionIds } } },
+    ],
+    roleParents: [
+      Role,
+      { _id: { $nin: roleIds }, parent_roles: { $in: roleIds } },
+      { $pull: { parent_roles: { $in: roleIds } } },
+    ],
+    userRoles: [User, { roles: { $in: roleIds } }, { $pull: { roles: { $in: roleIds } } }],
+    testPlanCases: [
+      TestPlan,
+      { _id: { $nin: testPlanIds }, test_cases: { $in: testCaseIds } },
+      { $pull: { test_cases: { $in: testCaseIds } } },
+    ],
+    testPlanSuites: [TestPlan, { _id: { $nin: testPlanIds }, suite_id: { $in: suiteIds } }, { $set: { suite_id: null } }],
+    suiteParents: [Suite, { _id: { $nin: suiteIds }, parent_id: { $in: suiteIds } }, { $set: { parent_id: null } }],
+    requirementTests: [
+      Requirement,
+      { _id: { $nin: requirementIds }, $or: [{ test_plans: { $in: testPlanIds } }, { test_cases: { $in: testCaseIds } }] },
+      { $pull: { test_plans: { $in: testPlanIds }, test_cases: { $in: testCaseIds } } },
+    ],
+    // Defects outlive the tests they were found in
+    defectTestPlans: [Defect, { _id: { $nin: defectIds }, test_plan_id: { $in: testPlanIds } }, { $set: { test_plan_id: null } }],
+    defectTestCases: [Defect, { _id: { $nin: defectIds }, test_case_id: { $in: testCaseIds } }, { $set: { test_case_id: null } }],
+    defectTestRuns: [
+      Defect,
+      { _id: { $nin: defectIds }, test_run_id: { $in: testRunIds } },
+      { $set: { test_run_id: null, result_id: null } },
+    ],
+  };
+
+  const report = { cutoff, dryRun, removed: {}, cleaned: {} };
+
+  // Clean references first so a failure part-way never leaves them pointing at removed records
+  for (const [name, [Model, filter, update]] of Object.entries(cleanups)) {
+    report.cleaned[name] = dryRun
+      ? await Model.countDocuments(filter)
+      : (await Model.updateMany(filter, update)).modifiedCount;
+  }
+  for (const [name, [Model, filter]] of Object.entries(removals)) {
+    report.removed[name] = dryRun ? await Model.countDocuments(filter) : (await Model.deleteMany(filter)).deletedCount;
+  }
+
+  return report;
+};
+
+/**
+ * Run the purge on a fixed interval inside the server process.
+ * @param {Object} options
+ * @param {number} options.retentionDays - See purgeDeleted.
+ * @param {number} options.intervalHours - Hours between runs; 0 disables the scheduler.
+ * @param {Function} [options.isReady] - Runs are skipped while this returns false (e.g. no database connection).
+ * @returns {Function|null} Stops the scheduler; null when disabled.
+ */
+const startPurgeScheduler = ({ retentionDays, intervalHours, isReady = () => true }) => {
+  if (!intervalHours) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running || !isReady()) return; // Never overlap runs
+    running = true;
+    try {
+      const report = await purgeDeleted({ retentionDays });
+      console.log('Purged soft-deleted records:', JSON.stringify(report.removed), 'cleaned references:', JSON.stringify(report.cleaned));
+    } catch (err) {
+      console.error('Error during scheduled purge:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Never keep the process alive just for the purge
+  const firstRun = setTimeout(run, STARTUP_DELAY_MS).unref();
+  const timer = setInterval(run, intervalHours * HOUR_MS).unref();
+  return () => {
+    clearTimeout(firstRun);
+    clearInterval(timer);
+  };
+};
+
+module.exports = { purgeConfig, purgeDeleted, startPurgeScheduler, DEFAULT_RETENTION_DAYS };
@@ -0,0 +1,97 @@
+const TestPlanRevision = require('../models/TestPlanRevision');
+const { snapshot, diffSnapshots } = require('./audit');
+
+/**
+ * Version history of test plans. Every change to a plan's content (create,
+ * update, step edits, revert) stores the resulting content as the next
+ * numbered TestPlanRevision.
+ */
+
+// Test plan fields kept in a revision
+const REVISION_FIELDS = ['name', 'description', 'project_id', 'suite_id', 'steps', 'test_cases'];
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Pick the versioned fields of a test plan (document, lean object or revision).
+ * @returns {Object} Plain content with ids as strings.
+ */
+const revisionContent = (testPlan) => {
+  const plain = snapshot(testPlan);
+  return REVISION_FIELDS.reduce((content, field) => {
+    if (plain[field] !== undefined) content[field] = plain[field];
+    return content;
+  }, {});
+};
+
+/**
+ * Store the content of a test plan as its next revision.
+ * @param {Object} testPlan - The test plan after the change.
+ * @param {Object} user - The user who made the change.
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - The plan before the change. Plans created before revisions were
+ *   kept have no history yet; their previous state becomes revision 1.
+ * @param {number} [options.revertedFrom] - The revision the change reverted to.
+ * @returns {Promise<Object>} The new revision.
+ */
+const recordRevision = async (testPlan, user, { previous, revertedFrom = null } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const latest = await TestPlanRevision.findOne({ test_plan_id: testPlan._id }).sort({ revision: -1 }).select('revision');
+      let revision = latest ? latest.revision + 1 : 1;
+
+      if (!latest && previous) {
+        await TestPlanRevision.create({
+          ...revisionContent(previous),
+          test_plan_id: testPlan._id,
+          revision,
+          created_by: previous.updated_by || previous.created_by,
+          createdAt: previous.updatedAt || previous.createdAt,
+        });
+        revision += 1;
+      }
+
+      return await TestPlanRevision.create({
+        ...revisionContent(testPlan),
+        test_plan_id: testPlan._id,
+        revision,
+        reverted_from: revertedFrom,
+        created_by: user._id,
+      });
+    } catch (err) {
+      // A concurrent change to the same plan took the number; read the latest again
+      if (err.code !== 11000 || attempt === MAX_ATTEMPTS) throw err;
+    }
+  }
+};
+
+/**
+ * Compare steps by id: which were added, removed, or had a field (or position) changed.
+ */
+const diffSteps = (before = [], after = []) => {
+  const beforeById = new Map(before.map((step) => [step._id, step]));
+  const afterIds = new Set(after.map((step) => step._id));
+
+  return {
+    added: after.filter((step) => !beforeById.has(step._id)),
+    removed: before.filter((step) => !afterIds.has(step._id)),
+    changed: after
+      .filter((step) => beforeById.has(step._id))
+      .map((step) => ({ _id: step._id, changes: diffSnapshots(beforeById.get(step._id), step) }))
+      .filter((step) => step.changes.length),
+  };
+};
+
+/**
+ * Describe what changed between two revisions of a test plan.
+ * @param {Object} from - The older revision.
+ * @param {Object} to - The newer revision.
+ * @returns {{ changes: Array<Object>, steps: { added: Array, removed: Array, changed: Array } }}
+ *   `changes` lists the plan fields other than steps that differ.
+ */
+const diffRevisions = (from, to) => {
+  const { steps: fromSteps, ...fromFields } = revisionContent(from);
+  const { steps: toSteps, ...toFields } = revisionContent(to);
+  return { changes: diffSnapshots(fromFields, toFields), steps: diffSteps(fromSteps, toSteps) };
+};
+
+module.exports = { REVISION_FIELDS, revisionContent, recordRevision, diffRevisions };
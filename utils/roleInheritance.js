@@ -0,0 +1,130 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+
+/**
+ * Role inheritance. A role grants its own permissions plus everything its
+ * parent roles (`parent_roles`) grant, transitively. Role writes refuse
+ * parents that would form a cycle (findInheritanceCycle); resolution still
+ * visits each role once, so a cycle slipped in by concurrent edits cannot
+ * loop forever.
+ */
+
+/**
+ * Collect a set of roles and every role they inherit from, level by level.
+ * Soft-deleted roles grant nothing, including what they inherit.
+ * @param {Array} roleIds - Role ids to start from.
+ * @returns {Promise<Array<Object>>} Each role once (lean, with name, key, permissions and
+ *   parent_roles), nearest first, with its `depth`: 0 for the given roles, 1 for their parents, ...
+ */
+const collectRoles = async (roleIds) => {
+  const seen = new Set();
+  const roles = [];
+
+  let frontier = [...new Set(roleIds.map(String))];
+  for (let depth = 0; frontier.length; depth += 1) {
+    frontier.forEach((id) => seen.add(id));
+    const level = await Role.find({ _id: { $in: frontier }, isDeleted: false })
+      .select('name key permissions parent_roles')
+      .lean();
+    roles.push(...level.map((role) => ({ ...role, depth })));
+
+    const parents = level.flatMap((role) => (role.parent_roles || []).map(String));
+    frontier = [...new Set(parents)].filter((id) => !seen.has(id));
+  }
+
+  return roles;
+};
+
+/**
+ * Collect the roles that inherit from a set of roles, directly or through
+ * other roles. A soft-deleted role passes nothing on, so roles below it are
+ * only included when reachable another way.
+ * @param {Array} roleIds - Role ids to start from (not included in the result).
+ * @returns {Promise<Array<Object>>} Each inheriting role once (lean, with name and key), nearest first.
+ */
+const collectDescendantRoles = async (roleIds) => {
+  const seen = new Set(roleIds.map(String));
+  const roles = [];
+
+  let frontier = [...seen];
+  while (frontier.length) {
+    const level = await Role.find({ parent_roles: { $in: frontier }, _id: { $nin: [...seen] }, isDeleted: false })
+      .select('name key')
+      .lean();
+    level.forEach((role) => seen.add(String(role._id)));
+    roles.push(...level);
+    frontier = level.map((role) => String(role._id));
+  }
+
+  return roles;
+};
+
+/**
+ * Find the cycle that giving a role these parents would create. Deleted roles
+ * count too, so that restoring one can never close a loop.
+ * @param {string} roleId - The role being changed.
+ * @param {Array} parentIds - Its new parent roles.
+ * @returns {Promise<Array<{ _id: string, name: string }>|null>} The roles along the cycle,
+ *   starting and ending with the role itself, or null when there is none.
+ */
+const findInheritanceCycle = async (roleId, parentIds) => {
+  const target = String(roleId);
+  const reachedFrom = new Map(); // role id -> the role whose parent it is
+
+  let frontier = [...new Set(parentIds.map(String))];
+  frontier.forEach((id) => reachedFrom.set(id, target));
+  while (frontier.length && !reachedFrom.has(target)) {
+    const level = await Role.find({ _id: { $in: frontier } }).select('parent_roles').lean();
+    frontier = [];
+    level.forEach((role) => {
+      (role.parent_roles || []).map(String).forEach((id) => {
+        if (reachedFrom.has(id)) return;
+        reachedFrom.set(id, String(role._id));
+        frontier.push(id);
+      });
+    });
+  }
+  if (!reachedFrom.has(target)) return null;
+
+  // Walk back from the role to itself: role -> parent -> ... -> role
+  const path = [target];
+  for (let id = reachedFrom.get(target); id !== target; id = reachedFrom.get(id)) {
+    path.unshift(id);
+  }
+  path.unshift(target);
+
+  const names = new Map(
+    (await Role.find({ _id: { $in: path } }).select('name').lean()).map((role) => [String(role._id), role.name])
+  );
+  return path.map((id) => ({ _id: id, name: names.get(id) }));
+};
+
+/**
+ * Resolve every permission a role grants, directly or through inheritance.
+ * Soft-deleted permissions are left out.
+ * @param {string} roleId - The role.
+ * @returns {Promise<{ roles: Array<Object>, permissions: Array<Object> }>} The role and its
+ *   ancestors (nearest first, with depth), and the permissions sorted by key, each listing the
+ *   roles in that chain that grant it as `granted_by`.
+ */
+const resolveEffectivePermissions = async (roleId) => {
+  const roles = await collectRoles([roleId]);
+  const permissionIds = roles.flatMap((role) => role.permissions || []);
+  const permissions = await Permission.find({ _id: { $in: permissionIds }, isDeleted: false })
+    .select('key name')
+    .sort({ key: 1 })
+    .lean();
+
+  const summaries = roles.map(({ _id, name, key, depth }) => ({ _id, name, key, depth }));
+  return {
+    roles: summaries,
+    permissions: permissions.map((permission) => ({
+      ...permission,
+      granted_by: summaries.filter((summary, index) =>
+        (roles[index].permissions || []).some((id) => String(id) === String(permission._id))
+      ),
+    })),
+  };
+};
+
+module.exports = { collectRoles, collectDescendantRoles, findInheritanceCycle, resolveEffectivePermissions };
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+/**
+ * Structured filter grammar shared by the `POST /search` endpoints.
+ *
+ * A `where` clause is either a condition or a group:
+ *   { field: 'name', op: 'contains', value: 'login' }
+ *   { and: [clause, ...] } | { or: [clause, ...] } | { not: clause }
+ *
+ * Operators: eq, ne, in, nin, gt, gte, lt, lte, range ({ gte, gt, lte, lt }),
+ * exists (boolean), contains and startsWith (case-insensitive, string fields only).
+ * Each endpoint whitelists its searchable fields with a type
+ * ('string' | 'number' | 'boolean' | 'date' | 'objectId'); values are cast to
+ * that type, so date fields accept ISO strings for every comparison.
+ */
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_IN_VALUES = 100;
+const MAX_TEXT_LENGTH = 200;
+
+const COMPARISON_OPERATORS = { eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+const RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
+const OPERATORS = [...Object.keys(COMPARISON_OPERATORS), 'in', 'nin', 'range', 'exists', 'contains', 'startsWith'];
+
+/**
+ * Raised for a malformed search request; the error handler answers it with a 400.
+ */
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cast a single value to the whitelisted type of a field.
+ */
+const castValue = (field, type, value) => {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') throw new SearchQueryError(`Value for "${field}" must be a string`);
+      return value;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new SearchQueryError(`Value for "${field}" must be a number`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new SearchQueryError(`Value for "${field}" must be true or false`);
+      return value;
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new SearchQueryError(`Value for "${field}" must be a valid date`);
+      }
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) throw new SearchQueryError(`Value for "${field}" must be a valid ID`);
+      return new mongoose.Types.ObjectId(String(value));
+    default:
+      throw new SearchQueryError(`Field "${field}" cannot be searched`);
+  }
+};
+
+/**
+ * Translate one `{ field, op, value }` condition into a Mongo filter.
+ */
+const buildCondition = ({ field, op, value }, fields) => {
+  if (typeof field !== 'string' || !Object.prototype.hasOwnProperty.call(fields, field)) {
+    throw new SearchQueryError(`Unknown search field "${field}". Allowed fields: ${Object.keys(fields).join(', ')}`);
+  }
+  if (!OPERATORS.includes(op)) {
+    throw new SearchQueryError(`Unknown operator "${op}". Allowed operators: ${OPERATORS.join(', ')}`);
+  }
+  const type = fields[field];
+
+  if (COMPARISON_OPERATORS[op]) {
+    return { [field]: { [COMPARISON_OPERATORS[op]]: castValue(field, type, value) } };
+  }
+
+  switch (op) {
+    case 'in':
+    case 'nin':
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES) {
+        throw new SearchQueryError(`Value for "${op}" must be an array of 1 to ${MAX_IN_VALUES} items`);
+      }
+      return { [field]: { [`$${op}`]: value.map((item) => castValue(field, type, item)) } };
+    case 'range': {
+      const bounds = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+      if (bounds.length === 0 || bounds.some((bound) => !RANGE_BOUNDS.includes(bound))) {
+        throw new SearchQueryError(`Value for "range" must be an object with any of: ${RANGE_BOUNDS.join(', ')}`);
+      }
+      const range = {};
+      bounds.forEach((bound) => {
+        range[`$${bound}`] = castValue(field, type, value[bound]);
+      });
+      return { [field]: range };
+    }
+    case 'exists':
+      if (typeof value !== 'boolean') throw new SearchQueryError('Value for "exists" must be true or false');
+      // Treat null the same as a missing field
+      return value ? { [field]: { $exists: true, $ne: null } } : { [field]: { $in: [null] } };
+    default: {
+      // contains / startsWith
+      if (type !== 'string') throw new SearchQueryError(`"${op}" only applies to text fields`);
+      const text = castValue(field, type, value);
+      if (!text || text.length > MAX_TEXT_LENGTH) {
+        throw new SearchQueryError(`Value for "${op}" must be 1 to ${MAX_TEXT_LENGTH} characters`);
+      }
+      const pattern = op === 'startsWith' ? `^${escapeRegex(text)}` : escapeRegex(text);
+      return { [field]: { $regex: pattern, $options: 'i' } };
+    }
+  }
+};
+
+/**
+ * Translate a `where` clause into a Mongo filter.
+ * @param {Object} [where] - Condition or and/or/not group; omitted matches everything.
+ * @param {Object} fields - Whitelisted field names mapped to their type.
+ * @returns {Object} Mongo filter.
+ * @throws {SearchQueryError} When the clause is malformed or uses other fields.
+ */
+const buildSearchFilter = (where, fields) => {
+  if (where === undefined || where === null) return {};
+
+  let conditions = 0;
+  const build = (clause, depth) => {
+    if (depth > MAX_DEPTH) throw new SearchQueryError(`Search groups can be nested at most ${MAX_DEPTH} levels deep`);
+    if (!clause || typeof clause !== 'object' || Array.isArray(clause)) {
+      throw new SearchQueryError('Each search clause must be an object');
+    }
+
+    const groups = ['and', 'or', 'not'].filter((key) => clause[key] !== undefined);
+    if (groups.length > 1 || (groups.length === 1 && clause.field !== undefined)) {
+      throw new SearchQueryError('A search clause must be a single condition or a single and/or/not group');
+    }
+
+    if (clause.and || clause.or) {
+      const key = clause.and ? 'and' : 'or';
+      if (!Array.isArray(clause[key]) || clause[key].length === 0) {
+        throw new SearchQueryError(`"${key}" must be a non-empty array of clauses`);
+      }
+      return { [`$${key}`]: clause[key].map((child) => build(child, depth + 1)) };
+    }
+    if (clause.not) {
+      return { $nor: [build(clause.not, depth + 1)] };
+    }
+
+    conditions += 1;
+    if (conditions > MAX_CONDITIONS) throw new SearchQueryError(`A search can have at most ${MAX_CONDITIONS} conditions`);
+    return buildCondition(clause, fields);
+  };
+
+  return build(where, 1);
+};
+
+/**
+ * Translate `[{ field, order }]` into a Mongo sort on whitelisted fields.
+ * @param {Array} [sort] - Sort keys in priority order.
+ * @param {Object} fields - Whitelisted field names mapped to their type.
+ * @param {Object} fallback - Sort to use when none is given.
+ * @param {Object} [options]
+ * @param {string} [options.defaultOrder='asc'] - Direction of keys sent without `order`.
+ * @returns {Object} Mongo sort.
+ * @throws {SearchQueryError} When a sort field is not whitelisted.
+ */
+const buildSearchSort = (sort, fields, fallback, { defaultOrder = 'asc' } = {}) => {
+  if (sort === undefined || sort === null || (Array.isArray(sort) && sort.length === 0)) return fallback;
+  if (!Array.isArray(sort)) throw new SearchQueryError('Sort must be an array of { field, order } objects');
+
+  return sort.reduce((acc, { field, order } = {}) => {
+    if (typeof field !== 'string' || !Object.prototype.hasOwnProperty.call(fields, field)) {
+      throw new SearchQueryError(`Cannot sort by "${field}"`);
+    }
+    acc[field] = (order || defaultOrder) === 'desc' ? -1 : 1;
+    return acc;
+  }, {});
+};
+
+/**
+ * Read page and limit from a search body, capping the page size.
+ * @param {Object} [pagination] - `{ page, limit }`.
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const parsePagination = (pagination = {}) => {
+  const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || 10, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { SearchQueryError, buildSearchFilter, buildSearchSort, parsePagination, escapeRegex };
@@ -0,0 +1,206 @@
+const Project = require('../models/Project');
+const Suite = require('../models/Suite');
+const TestPlan = require('../models/TestPlan');
+const TestCase = require('../models/TestCase');
+const TestRun = require('../models/TestRun');
+const Requirement = require('../models/Requirement');
+const Defect = require('../models/Defect');
+const { parsePage } = require('./listQuery');
+const { unprocessable } = require('./errors');
+
+/**
+ * Cascading soft delete and restore. A delete stamps the requested record and
+ * everything below it with `deleted_with` set to the requested record's id;
+ * restoring that record brings back exactly the records its delete removed,
+ * leaving alone anything that had been deleted on its own before.
+ *
+ *   Project -> suites, test plans, test cases, test runs, requirements, defects
+ *   Suite   -> sub-suites, their test plans and those plans' runs
+ *   TestPlan -> its test runs
+ */
+
+// Models a cascade can reach, keyed as they appear in delete/restore reports
+const CASCADE_MODELS = {
+  suites: Suite,
+  testPlans: TestPlan,
+  testCases: TestCase,
+  testRuns: TestRun,
+  requirements: Requirement,
+  defects: Defect,
+};
+
+/**
+ * Fields set on every record removed by one delete.
+ * @param {Object} root - The record the delete was requested for.
+ * @param {Object} user - The user deleting it.
+ */
+const deletionStamp = (root, user) => ({
+  isDeleted: true,
+  deletedAt: new Date(),
+  deleted_by: user._id,
+  deleted_with: root._id,
+});
+
+const RESTORED = { isDeleted: false, deletedAt: null, deleted_by: null, deleted_with: null };
+
+/**
+ * Whether a deleted record was deleted directly (and so can be restored on its
+ * own) rather than as part of a parent's cascade. Records deleted before the
+ * cascade bookkeeping existed count as direct deletes.
+ */
+const isDeletionRoot = (doc) => !doc.deleted_with || doc.deleted_with.equals(doc._id);
+
+/**
+ * The 422 for restoring a record that went with its parent's cascade.
+ * @param {Object} doc - The deleted record.
+ * @param {string} label - Record type for the message, e.g. 'Test plan'.
+ * @returns {ApiError|null} Null when the record can be restored on its own.
+ */
+const cascadeRestoreError = (doc, label) =>
+  isDeletionRoot(doc)
+    ? null
+    : unprocessable(`${label} was deleted along with a parent record; restore that record instead`, {
+      details: [{ field: 'deleted_with', message: `Restore ${doc.deleted_with} instead` }],
+    });
+
+/**
+ * Soft delete the records matching a filter that are not deleted yet.
+ * @returns {Promise<number>} How many records were deleted.
+ */
+const markDeleted = async (Model, filter, stamp) => {
+  const result = await Model.updateMany({ ...filter, isDeleted: false }, { $set: stamp });
+  return result.modifiedCount;
+};
+
+/**
+ * Soft delete a single record without cascading (roles, permissions, users, test cases, requirements, defects).
+ * @returns {Promise<Object|null>} The deleted record, or null when missing or already deleted.
+ */
+const softDeleteOne = (Model, id, user) =>
+  Model.findOneAndUpdate(
+    { _id: id, isDeleted: false },
+    { $set: deletionStamp({ _id: id }, user) },
+    { new: true }
+  );
+
+/**
+ * Soft delete test plans and their runs.
+ * @returns {Promise<{ testPlans: number, testRuns: number }>}
+ */
+const deleteTestPlans = async (filter, stamp) => {
+  const plans = await TestPlan.find({ ...filter, isDeleted: false }).select('_id');
+  const planIds = plans.map((plan) => plan._id);
+  return {
+    testPlans: await markDeleted(TestPlan, { _id: { $in: planIds } }, stamp),
+    testRuns: await markDeleted(TestRun, { test_plan_id: { $in: planIds } }, stamp),
+  };
+};
+
+/**
+ * Soft delete a project and everything in it.
+ * @returns {Promise<Object|null>} The deleted project with counts per cascaded model, or null when the project is missing.
+ */
+const deleteProject = async (projectId, user) => {
+  const stamp = deletionStamp({ _id: projectId }, user);
+  const project = await Project.findOneAndUpdate({ _id: projectId, isDeleted: false }, { $set: stamp }, { new: true });
+  if (!project) return null;
+
+  const filter = { project_id: project._id };
+  return {
+    project,
+    suites: await markDeleted(Suite, filter, stamp),
+    testPlans: await markDeleted(TestPlan, filter, stamp),
+    testCases: await markDeleted(TestCase, filter, stamp),
+    testRuns: await markDeleted(TestRun, filter, stamp),
+    requirements: await markDeleted(Requirement, filter, stamp),
+    defects: await markDeleted(Defect, filter, stamp),
+  };
+};
+
+/**
+ * Soft delete suites (a suite and its descendants) with their test plans and runs.
+ * @param {Object} root - The suite the delete was requested for.
+ * @param {Array} suiteIds - The root and its descendant suite ids.
+ * @returns {Promise<{ suites: number, testPlans: number, testRuns: number }>}
+ */
+const deleteSuites = async (root, suiteIds, user) => {
+  const stamp = deletionStamp(root, user);
+  return {
+    suites: await markDeleted(Suite, { _id: { $in: suiteIds } }, stamp),
+    ...(await deleteTestPlans({ suite_id: { $in: suiteIds } }, stamp)),
+  };
+};
+
+/**
+ * Soft delete a test plan and its runs.
+ * @returns {Promise<Object|null>} The deleted plan with the run count, or null when missing.
+ */
+const deleteTestPlan = async (planId, user) => {
+  const stamp = deletionStamp({ _id: planId }, user);
+  const testPlan = await TestPlan.findOneAndUpdate({ _id: planId, isDeleted: false }, { $set: stamp }, { new: true });
+  if (!testPlan) return null;
+  return { testPlan, testRuns: await markDeleted(TestRun, { test_plan_id: testPlan._id }, stamp) };
+};
+
+/**
+ * Restore a record whose delete does not cascade (roles, permissions, users, test cases, requirements, defects).
+ * @returns {Promise<Object|null>} The restored record, or null when it is not deleted.
+ */
+const restoreOne = (Model, id) =>
+  Model.findOneAndUpdate({ _id: id, isDeleted: true }, { $set: RESTORED }, { new: true });
+
+/**
+ * Restore a directly deleted record and everything its delete cascaded to.
+ * Callers check first that the record is a deletion root and that its parents exist.
+ * @param {Object} Model - Model of the record.
+ * @param {Object} doc - The deleted record.
+ * @returns {Promise<{ record: Object, restored: Object }>} The restored record and counts per cascaded model.
+ */
+const restoreCascade = async (Model, doc) => {
+  const record = await restoreOne(Model, doc._id);
+
+  const restored = {};
+  for (const [name, CascadeModel] of Object.entries(CASCADE_MODELS)) {
+    const result = await CascadeModel.updateMany({ deleted_with: doc._id, isDeleted: true }, { $set: RESTORED });
+    restored[name] = result.modifiedCount;
+  }
+  return { record, restored };
+};
+
+/**
+ * List a page of deleted records, most recently deleted first.
+ * @param {Object} Model - Model to list.
+ * @param {Object} query - `req.query`; `cascaded=true` includes records deleted along with a parent.
+ * @param {Object} [filter] - Extra conditions, such as project visibility.
+ * @returns {Promise<{ total: number, page: number, totalPages: number, items: Array }>}
+ */
+const findTrash = async (Model, query, filter = {}) => {
+  const { page, limit, skip } = parsePage(query);
+  const conditions = [{ isDeleted: true }, filter];
+  if (!query.cascaded) {
+    conditions.push({ $or: [{ deleted_with: null }, { $expr: { $eq: ['$deleted_with', '$_id'] } }] });
+  }
+  const mongoFilter = { $and: conditions };
+
+  const total = await Model.countDocuments(mongoFilter);
+  const items = await Model.find(mongoFilter)
+    .populate('deleted_by', 'username email')
+    .sort({ deletedAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  return { total, page, totalPages: Math.ceil(total / limit), items };
+};
+
+module.exports = {
+  RESTORED,
+  isDeletionRoot,
+  cascadeRestoreError,
+  softDeleteOne,
+  deleteProject,
+  deleteSuites,
+  deleteTestPlan,
+  restoreOne,
+  restoreCascade,
+  findTrash,
+};
@@ -0,0 +1,65 @@
+/**
+ * Helpers for ordered step lists (test plan steps and anything else built on
+ * models/schemas/StepSchema.js).
+ */
+
+const STEP_FIELDS = ['action', 'expected_result', 'test_data'];
+
+/**
+ * Copy the editable step fields from a request body.
+ * @param {Object} body - Raw step input.
+ * @returns {Object} Step fields that were provided.
+ */
+const pickStepFields = (body = {}) =>
+  STEP_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+/**
+ * Normalize raw step input (objects or plain action strings) into ordered steps.
+ * @param {Array} steps - Raw steps from a request body.
+ * @returns {Array|null} Normalized steps, or null when any step has no action.
+ */
+const normalizeSteps = (steps = []) => {
+  if (!Array.isArray(steps)) return null;
+
+  const normalized = steps.map((step) => (typeof step === 'string' ? { action: step } : pickStepFields(step)));
+  if (normalized.some((step) => !step.action)) return null;
+
+  return normalized.map((step, index) => ({ ...step, order: index + 1 }));
+};
+
+/**
+ * Sort steps by their current order and renumber them 1..n.
+ * @param {Array} steps - Step subdocuments or plain objects.
+ * @returns {Array} Plain step objects (ids preserved) with contiguous order.
+ */
+const renumberSteps = (steps) =>
+  [...steps]
+    .map((step) => (typeof step.toObject === 'function' ? step.toObject() : step))
+    .sort((a, b) => a.order - b.order)
+    .map((step, index) => ({ ...step, order: index + 1 }));
+
+/**
+ * Insert a step at a 1-based position (default: the end) and renumber.
+ * @param {Array} steps - Existing steps.
+ * @param {Object} step - Step to insert.
+ * @param {number} [position] - 1-based position for the new step.
+ * @returns {Array} The new step list.
+ */
+const insertStep = (steps, step, position) => {
+  const ordered = renumberSteps(steps);
+  const index = position ? Math.min(Math.max(position - 1, 0), ordered.length) : ordered.length;
+  ordered.splice(index, 0, step);
+  return ordered.map((item, i) => ({ ...item, order: i + 1 }));
+};
+
+// Validation rule (middleware/validate.js) for a raw step list in a request body
+const stepListRule = {
+  type: 'array',
+  items: { type: ['string', 'object'] },
+  custom: (steps) => (normalizeSteps(steps) ? undefined : 'must each have an action'),
+};
+
+module.exports = { pickStepFields, normalizeSteps, renumberSteps, insertStep, stepListRule };
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Suite = require('../models/Suite');
+
+/**
+ * Helpers for the suite (folder) hierarchy of a project. Suites of one
+ * project are few enough to load at once and walk in memory.
+ */
+
+/**
+ * Collect a suite and all of its descendants from a project's suite list.
+ * @param {Array} suites - Suites of one project (`_id` and `parent_id`).
+ * @param {string} rootId - Suite to start from.
+ * @returns {Array<string>} Ids of the suite and its descendants.
+ */
+const descendantIds = (suites, rootId) => {
+  const children = new Map();
+  suites.forEach((suite) => {
+    const parent = suite.parent_id ? suite.parent_id.toString() : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(suite._id.toString());
+  });
+
+  const ids = [];
+  const pending = [rootId.toString()];
+  while (pending.length) {
+    const id = pending.pop();
+    ids.push(id);
+    pending.push(...(children.get(id) || []));
+  }
+  return ids;
+};
+
+/**
+ * Load a live suite and the ids of its live descendants.
+ * @param {string} suiteId - Suite to start from.
+ * @returns {Promise<Array<string>|null>} Ids, or null when the suite does not exist.
+ */
+const findSuiteWithDescendants = async (suiteId) => {
+  if (!mongoose.isValidObjectId(suiteId)) return null;
+  const suite = await Suite.findOne({ _id: suiteId, isDeleted: false });
+  if (!suite) return null;
+
+  const suites = await Suite.find({ project_id: suite.project_id, isDeleted: false }).select('parent_id');
+  return descendantIds(suites, suite._id);
+};
+
+/**
+ * Nest a project's suites into a tree with test plan counts.
+ * @param {Array} suites - Suites of one project.
+ * @param {Map<string, number>} planCounts - Test plans per suite id.
+ * @returns {Array} Top-level nodes; each has `children`, `testPlanCount`
+ *   (plans directly in the suite) and `totalTestPlanCount` (including sub-suites).
+ */
+const buildSuiteTree = (suites, planCounts) => {
+  const nodes = new Map(
+    suites.map((suite) => [
+      suite._id.toString(),
+      {
+        _id: suite._id,
+        name: suite.name,
+        description: suite.description,
+        parent_id: suite.parent_id,
+        testPlanCount: planCounts.get(suite._id.toString()) || 0,
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent_id && nodes.get(node.parent_id.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  // Sort siblings by name and roll plan counts up from the leaves
+  const finish = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.suiteCount = node.children.length;
+    node.totalTestPlanCount = node.children.reduce((sum, child) => sum + finish(child), node.testPlanCount);
+    return node.totalTestPlanCount;
+  };
+  roots.sort((a, b) => a.name.localeCompare(b.name));
+  roots.forEach(finish);
+
+  return roots;
+};
+
+module.exports = { descendantIds, findSuiteWithDescendants, buildSuiteTree };
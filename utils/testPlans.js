@@ -0,0 +1,45 @@
+const TestCase = require('../models/TestCase');
+const Suite = require('../models/Suite');
+
+/**
+ * Reference checks shared by the test plan routes (create, update, restore and
+ * revert to a revision).
+ */
+
+/**
+ * Check that referenced test cases exist, are not deleted, belong to the
+ * project, and are listed at most once.
+ * @param {Array} testCaseIds - Ordered test case ids.
+ * @param {string} projectId - Project of the test plan.
+ * @returns {Promise<boolean>}
+ */
+const validateTestCases = async (testCaseIds, projectId) => {
+  if (new Set(testCaseIds.map(String)).size !== testCaseIds.length) return false;
+
+  const found = await TestCase.countDocuments({ _id: { $in: testCaseIds }, project_id: projectId, isDeleted: false });
+  return found === testCaseIds.length;
+};
+
+/**
+ * Keep the referenced test cases that are not deleted, in their order.
+ * @param {Array} testCaseIds - Ordered test case ids.
+ * @returns {Promise<Array>} The ids of live test cases.
+ */
+const liveTestCases = async (testCaseIds) => {
+  const live = await TestCase.find({ _id: { $in: testCaseIds }, isDeleted: false }).distinct('_id');
+  const liveIds = new Set(live.map(String));
+  return testCaseIds.filter((id) => liveIds.has(String(id)));
+};
+
+/**
+ * Check that a suite is a live suite of the project; null files the plan nowhere.
+ * @param {string|null} suiteId - Suite to file the test plan in.
+ * @param {string} projectId - Project of the test plan.
+ * @returns {Promise<boolean>}
+ */
+const validateSuite = async (suiteId, projectId) => {
+  if (suiteId === null) return true;
+  return Boolean(await Suite.exists({ _id: suiteId, project_id: projectId, isDeleted: false }));
+};
+
+module.exports = { validateTestCases, liveTestCases, validateSuite };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+
+/**
+ * Read the signing secret; refuse to issue or accept tokens without one.
+ * @returns {string} The JWT secret.
+ */
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Hash a refresh token so only the digest is stored.
+ * @param {string} token - The raw refresh token.
+ * @returns {string} Hex encoded SHA-256 digest.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token for a user.
+ * @param {Object} user - User document (must include tokenVersion).
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = (user) =>
+  jwt.sign(
+    { sub: user._id.toString(), ver: user.tokenVersion || 0 },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Verify an access token and return its payload.
+ * @param {string} token - The JWT from the Authorization header.
+ * @returns {Object} Decoded payload ({ sub, ver, iat, exp }).
+ */
+const verifyAccessToken = (token) => jwt.verify(token, getSecret());
+
+/**
+ * Create and persist a new refresh token for a user.
+ * @param {Object} user - User document.
+ * @returns {Promise<string>} The raw refresh token to hand to the client.
+ */
+const issueRefreshToken = async (user) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Revoke an active refresh token in one atomic step, so that of two requests
+ * presenting the same token only one gets it.
+ * @param {string} token - The raw refresh token.
+ * @returns {Promise<Object|null>} The revoked RefreshToken document, or null when the token
+ *   is unknown, expired or already revoked.
+ */
+const revokeActiveRefreshToken = (token) =>
+  RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: Date.now() } },
+    { new: true }
+  );
+
+/**
+ * Issue an access/refresh token pair for a user.
+ * @param {Object} user - User document.
+ * @returns {Promise<Object>} Token response body.
+ */
+const issueTokens = async (user) => ({
+  tokenType: 'Bearer',
+  accessToken: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user),
+  expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL,
+});
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueRefreshToken,
+  revokeActiveRefreshToken,
+  issueTokens,
+};
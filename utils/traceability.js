@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const TestRun = require('../models/TestRun');
+
+/**
+ * Requirements traceability: which tests cover each requirement and how they
+ * did in their latest execution. A test plan's latest execution is its most
+ * recent run; a test case's is the most recent run that included its steps,
+ * with the status of just those steps.
+ *
+ * A requirement's status is `uncovered` without live linked tests, otherwise
+ * the worst status among them: failed, blocked, not_run (a test that never
+ * ran), incomplete (an unfinished or aborted run), then passed.
+ */
+
+const STATUS_ORDER = ['failed', 'blocked', 'not_run', 'incomplete', 'passed'];
+const STATUSES = ['uncovered', ...STATUS_ORDER];
+
+const toObjectIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * The most recent run of each test plan.
+ * @param {Array} planIds - Test plan ids.
+ * @returns {Promise<Map<string, Object>>} Plan id -> `{ _id, status, started_at, completed_at }`.
+ */
+const latestPlanRuns = async (planIds) => {
+  if (!planIds.length) return new Map();
+  const runs = await TestRun.aggregate([
+    { $match: { test_plan_id: { $in: toObjectIds(planIds) }, isDeleted: false } },
+    { $sort: { started_at: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$test_plan_id',
+        run_id: { $first: '$_id' },
+        status: { $first: '$status' },
+        started_at: { $first: '$started_at' },
+        completed_at: { $first: '$completed_at' },
+      },
+    },
+  ]);
+  return new Map(runs.map(({ _id, run_id, ...run }) => [String(_id), { _id: run_id, ...run }]));
+};
+
+/**
+ * The most recent run that included each test case, with the outcome of that
+ * case's steps in it.
+ * @param {Array} caseIds - Test case ids.
+ * @returns {Promise<Map<string, Object>>} Case id -> `{ _id, test_plan_id, status, started_at, completed_at }`.
+ */
+const latestCaseRuns = async (caseIds) => {
+  if (!caseIds.length) return new Map();
+  const ids = toObjectIds(caseIds);
+  const runs = await TestRun.aggregate([
+    { $match: { 'steps.test_case_id': { $in: ids }, isDeleted: false } },
+    { $project: { test_plan_id: 1, started_at: 1, completed_at: 1, steps: 1 } },
+    { $unwind: '$steps' },
+    { $match: { 'steps.test_case_id': { $in: ids } } },
+    {
+      $group: {
+        _id: { test_case_id: '$steps.test_case_id', run_id: '$_id' },
+        test_plan_id: { $first: '$test_plan_id' },
+        started_at: { $first: '$started_at' },
+        completed_at: { $first: '$completed_at' },
+        statuses: { $push: '$steps.status' },
+      },
+    },
+    { $sort: { started_at: -1, '_id.run_id': -1 } },
+    { $group: { _id: '$_id.test_case_id', latest: { $first: '$$ROOT' } } },
+  ]);
+  return new Map(
+    runs.map(({ _id, latest }) => [
+      String(_id),
+      {
+        _id: latest._id.run_id,
+        test_plan_id: latest.test_plan_id,
+        status: TestRun.statusOf(latest.statuses),
+        started_at: latest.started_at,
+        completed_at: latest.completed_at,
+      },
+    ])
+  );
+};
+
+/**
+ * Fold a test's latest run status into the requirement statuses.
+ */
+const testStatus = (latestRun) => {
+  if (!latestRun) return 'not_run';
+  return STATUS_ORDER.includes(latestRun.status) ? latestRun.status : 'incomplete'; // in_progress, aborted
+};
+
+/**
+ * Build traceability rows for requirements.
+ * @param {Array<Object>} requirements - Lean requirements with `test_plans` populated with `name`
+ *   and `test_cases` with `title`, both limited to live tests.
+ * @returns {Promise<Array<Object>>} Each requirement with `status`, and every linked test with its `latest_run` (or null).
+ */
+const buildTraceability = async (requirements) => {
+  const plans = await latestPlanRuns(requirements.flatMap((requirement) => requirement.test_plans.map((plan) => plan._id)));
+  const cases = await latestCaseRuns(requirements.flatMap((requirement) => requirement.test_cases.map((testCase) => testCase._id)));
+
+  return requirements.map(({ _id, external_id, title, priority, test_plans, test_cases }) => {
+    const linkedPlans = test_plans.map((plan) => ({ ...plan, latest_run: plans.get(String(plan._id)) || null }));
+    const linkedCases = test_cases.map((testCase) => ({ ...testCase, latest_run: cases.get(String(testCase._id)) || null }));
+    const statuses = [...linkedPlans, ...linkedCases].map((test) => testStatus(test.latest_run));
+
+    return {
+      _id,
+      external_id,
+      title,
+      priority,
+      status: statuses.length ? STATUS_ORDER.find((status) => statuses.includes(status)) : 'uncovered',
+      test_plans: linkedPlans,
+      test_cases: linkedCases,
+    };
+  });
+};
+
+/**
+ * Count rows per status.
+ * @returns {Object} `{ total, uncovered, failed, blocked, not_run, incomplete, passed }`.
+ */
+const summarize = (rows) =>
+  STATUSES.reduce(
+    (summary, status) => ({ ...summary, [status]: rows.filter((row) => row.status === status).length }),
+    { total: rows.length }
+  );
+
+module.exports = { STATUSES, latestPlanRuns, latestCaseRuns, buildTraceability, summarize };